@@ -0,0 +1,147 @@
+// ==========================================
+// HEADLESS RUNNER - Simulation sans navigateur ni GPU
+// ==========================================
+// Usage:
+//   node headless/run.js --scene scene.json --steps 2000 --every 100 --out out/
+//   node headless/run.js --replay sph-inputs.json --every 50 --out out/
+//
+// Options:
+//   --scene <file>     scene JSON (Sauver la scene) to load before stepping
+//   --replay <file>    input log (Replay) to reproduce; --steps defaults to its length
+//   --steps <n>        number of physics steps to run (default 1000)
+//   --every <n>        write the state every n steps (default 100)
+//   --out <dir>        output directory (default headless-out)
+//   --width/--height   domain size when no scene is given (default 800x600)
+//   --seed <n>         run in deterministic mode with this seed
+//   --threads <n>      number of sub-workers
+//   --single-thread    disable the sub-workers entirely
+//   --sort-every <n>   sort the particles by grid cell every n steps (0 = never)
+//   --capacity <n>     maximum particle count (default 10000)
+//
+// Each output is a scene document including the fluid (step-000100.json...),
+// so any of them can be reloaded in the browser. Storage order changes with
+// the cell sort: match particles across outputs by particles.id.
+const { Worker } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+
+const SOLVER = path.join(__dirname, '..', 'js', 'physics-worker.js');
+const HOST = path.join(__dirname, 'worker-host.js');
+
+function parseArgs(argv) {
+    const opts = { steps: null, every: 100, out: 'headless-out', width: 800, height: 600 };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--scene': opts.scene = next(); break;
+            case '--replay': opts.replay = next(); break;
+            case '--steps': opts.steps = parseInt(next(), 10); break;
+            case '--every': opts.every = parseInt(next(), 10); break;
+            case '--out': opts.out = next(); break;
+            case '--width': opts.width = parseInt(next(), 10); break;
+            case '--height': opts.height = parseInt(next(), 10); break;
+            case '--seed': opts.seed = parseInt(next(), 10); break;
+            case '--threads': opts.threads = parseInt(next(), 10); break;
+            case '--single-thread': opts.singleThread = true; break;
+            case '--sort-every': opts.sortEvery = parseInt(next(), 10); break;
+            case '--capacity': opts.capacity = parseInt(next(), 10); break;
+            default: throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    if (opts.every < 1) throw new Error('--every must be >= 1');
+    return opts;
+}
+
+// Spawns physics-worker.js in its own thread and exposes request/reply helpers
+function startSolver(opts) {
+    const thread = new Worker(HOST, {
+        workerData: { script: SOLVER, threads: opts.threads, singleThread: !!opts.singleThread }
+    });
+    const waiting = new Map();
+    thread.on('message', (msg) => {
+        if (msg.type === 'sceneError' || msg.type === 'replayError') {
+            for (const p of waiting.values()) p.reject(new Error(msg.message));
+            waiting.clear();
+            return;
+        }
+        const pending = waiting.get(msg.type);
+        if (pending) {
+            waiting.delete(msg.type);
+            pending.resolve(msg);
+        }
+    });
+    thread.on('error', (err) => {
+        for (const p of waiting.values()) p.reject(err);
+        waiting.clear();
+    });
+
+    return {
+        thread,
+        request(msg, replyType) {
+            return new Promise((resolve, reject) => {
+                waiting.set(replyType, { resolve, reject });
+                thread.postMessage(msg);
+            });
+        }
+    };
+}
+
+function writeState(dir, scene, step) {
+    const file = path.join(dir, `step-${String(step).padStart(6, '0')}.json`);
+    fs.writeFileSync(file, JSON.stringify(scene));
+    return file;
+}
+
+async function main() {
+    const opts = parseArgs(process.argv.slice(2));
+    const scene = opts.scene ? JSON.parse(fs.readFileSync(opts.scene, 'utf8')) : null;
+    const log = opts.replay ? JSON.parse(fs.readFileSync(opts.replay, 'utf8')) : null;
+    const width = (scene && scene.width) || (log && log.snapshot && log.snapshot.width) || opts.width;
+    const height = (scene && scene.height) || (log && log.snapshot && log.snapshot.height) || opts.height;
+    let steps = opts.steps;
+    if (steps === null) steps = log ? log.endStep - log.startStep : 1000;
+
+    fs.mkdirSync(opts.out, { recursive: true });
+    const solver = startSolver(opts);
+
+    const ready = await solver.request({ type: 'init', width, height, maxParticles: opts.capacity, autoStart: false }, 'ready');
+    console.log(`Solveur pret (${ready.multiWorker ? `${ready.workerCount} sub-workers` : 'single thread'})`);
+
+    if (scene) {
+        await solver.request({ type: 'loadScene', scene }, 'sceneLoaded');
+        console.log(`Scene chargee: ${opts.scene}`);
+    }
+    if (opts.sortEvery !== undefined) {
+        solver.thread.postMessage({ type: 'params', sortInterval: opts.sortEvery });
+    }
+    if (opts.seed !== undefined && !log) {
+        solver.thread.postMessage({ type: 'setDeterministic', enabled: true, seed: opts.seed });
+    }
+    if (log) {
+        await solver.request({ type: 'replay', log }, 'sceneLoaded');
+        console.log(`Replay: ${log.events.length} evenements sur ${log.endStep - log.startStep} pas`);
+    }
+
+    let done = 0;
+    let state = await solver.request({ type: 'getScene', includeParticles: true }, 'scene');
+    writeState(opts.out, state.scene, done);
+    while (done < steps) {
+        const n = Math.min(opts.every, steps - done);
+        const advanced = await solver.request({ type: 'advance', steps: n }, 'advanced');
+        done += n;
+        state = await solver.request({ type: 'getScene', includeParticles: true }, 'scene');
+        const file = writeState(opts.out, state.scene, done);
+        console.log(`pas ${done}/${steps} (${advanced.simTime.toFixed(0)} ms) -> ${file}`);
+    }
+
+    await solver.thread.terminate();
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
@@ -0,0 +1,66 @@
+// ==========================================
+// IN-PROCESS SOLVER CONTEXT
+// Loads physics-worker.js (or sub-worker.js) into a vm context so that tests
+// can drive it message by message and inspect its internals. Without a Worker
+// constructor the coordinator always takes its single-threaded path.
+// ==========================================
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+function loadScript(file) {
+    const messages = [];
+    const context = {
+        console, performance, structuredClone, btoa, atob,
+        setTimeout: () => 0,
+        clearTimeout() {}
+    };
+    context.self = context;
+    context.postMessage = (msg) => messages.push(msg);
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+
+    return {
+        context,
+        messages,
+        // Evaluate an expression against the script's top-level bindings
+        run: (code) => vm.runInContext(code, context),
+        post: (msg) => context.onmessage({ data: msg })
+    };
+}
+
+// A solver ready to step, with the default ocean fill of `init`
+function createSolver({ width = 800, height = 600, maxParticles } = {}) {
+    const solver = loadScript(path.join(JS_DIR, 'physics-worker.js'));
+    solver.post({ type: 'init', width, height, maxParticles, autoStart: false });
+
+    // Runs whole frames (DT of simulated time each, adaptive substeps)
+    solver.advance = (frames) => {
+        solver.post({ type: 'advance', frames });
+        return solver.messages.pop();
+    };
+    // Copies of the live particle arrays
+    solver.particles = () => solver.run(`({
+        count: particleCount,
+        x: p_x.slice(0, particleCount), y: p_y.slice(0, particleCount),
+        vx: p_vx.slice(0, particleCount), vy: p_vy.slice(0, particleCount),
+        density: p_density.slice(0, particleCount)
+    })`);
+    // Last reply of a given type, e.g. after post({ type: 'getScene' })
+    solver.reply = (type) => {
+        for (let i = solver.messages.length - 1; i >= 0; i--) {
+            if (solver.messages[i].type === type) return solver.messages[i];
+        }
+        return null;
+    };
+    return solver;
+}
+
+// sub-worker.js without its blocking work loop: slices are called directly
+function loadSubWorker() {
+    return loadScript(path.join(JS_DIR, 'sub-worker.js'));
+}
+
+module.exports = { createSolver, loadSubWorker };
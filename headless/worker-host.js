@@ -0,0 +1,56 @@
+// ==========================================
+// HEADLESS WORKER HOST
+// Runs a browser worker script (physics-worker.js, sub-worker.js) inside a
+// Node worker_threads thread by providing the few Web Worker globals it uses.
+// ==========================================
+const { Worker, parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+
+const script = workerData.script;
+
+// Web Worker constructor, resolved relative to the running script like a browser does
+class WorkerShim {
+    constructor(url) {
+        this.onmessage = null;
+        this.onerror = null;
+        this._thread = new Worker(__filename, {
+            workerData: { ...workerData, script: path.resolve(path.dirname(script), url) }
+        });
+        this._thread.on('message', (data) => {
+            if (this.onmessage) this.onmessage({ data });
+        });
+        this._thread.on('error', (err) => {
+            if (this.onerror) this.onerror(err);
+        });
+    }
+
+    postMessage(data) {
+        this._thread.postMessage(data);
+    }
+
+    terminate() {
+        this._thread.terminate();
+    }
+}
+
+globalThis.self = globalThis;
+globalThis.postMessage = (data) => parentPort.postMessage(data);
+globalThis.Worker = WorkerShim;
+if (typeof navigator === 'undefined') {
+    // Same heuristic as a browser tab: the coordinator keeps 2 cores for itself
+    const cores = workerData.threads ? workerData.threads + 2 : os.availableParallelism();
+    globalThis.navigator = { hardwareConcurrency: cores };
+}
+if (workerData.singleThread) {
+    // Without SharedArrayBuffer the coordinator takes its single-threaded path
+    delete globalThis.SharedArrayBuffer;
+}
+
+vm.runInThisContext(fs.readFileSync(script, 'utf8'), { filename: script });
+
+parentPort.on('message', (data) => {
+    if (typeof globalThis.onmessage === 'function') globalThis.onmessage({ data });
+});
@@ -4,6 +4,8 @@
 import { Renderer } from './renderer.js';
 import { ToolManager } from './tools.js';
 import { Recorder } from './recorder.js';
+import { SceneManager } from './scene.js';
+import { InputRecorder } from './replay.js';
 import { UI } from './ui.js';
 
 // ==========================================
@@ -27,6 +29,13 @@ simCanvas.height = height;
 overlayCanvas.width = width;
 overlayCanvas.height = height;
 
+// The simulated domain follows the window, unless a loaded scene or
+// snapshot set another size. The canvases then keep the domain's size in
+// pixels and CSS scales them to the container; pointer positions are
+// mapped back through the same ratio (ToolManager._getCanvasPos). Window
+// resizes leave such a domain alone until a scene brings the window's size.
+let domainPinned = false;
+
 // Set initial tool cursor
 container.setAttribute('data-tool', 'boat');
 
@@ -62,11 +71,13 @@ worker.postMessage({
 });
 
 // ==========================================
-// TOOLS, RECORDER, UI
+// TOOLS, RECORDERS, SCENES, UI
 // ==========================================
 const toolManager = new ToolManager(worker, overlayCanvas);
 const recorder = new Recorder(simCanvas);
-const ui = new UI(worker, renderer, toolManager, recorder);
+const sceneManager = new SceneManager(worker);
+const inputRecorder = new InputRecorder(worker, recorder);
+const ui = new UI(worker, renderer, toolManager, recorder, sceneManager, inputRecorder);
 
 // ==========================================
 // FRAME DATA RECEPTION
@@ -76,13 +87,65 @@ let frameCount = 0;
 let lastFpsTime = performance.now();
 let currentFps = 0;
 
+// Shared particle slots written by the worker (FRAME CHANNEL in physics-worker.js),
+// null when frames arrive as transferred buffers instead
+let frameChannel = null;
+
+function openFrameChannel(msg) {
+    const n = msg.capacity;
+    frameChannel = {
+        header: new Int32Array(msg.buffer, 0, msg.headerInts),
+        slots: msg.slots.map(l => ({
+            positions: new Float32Array(msg.buffer, l.positions, n * 2),
+            densities: new Float32Array(msg.buffer, l.densities, n),
+            velocities: new Float32Array(msg.buffer, l.velocities, n * 2),
+            phases: new Uint8Array(msg.buffer, l.phases, n),
+            dye: new Uint8Array(msg.buffer, l.dye, n * 3)
+        }))
+    };
+}
+
+// Uploads the latest published slot straight from shared memory
+function uploadSharedFrame() {
+    const header = frameChannel.header;
+    const slot = header[0];
+    const seq = header[2 + slot * 2];
+    if (seq < 0) return;
+    const count = header[3 + slot * 2];
+    const v = frameChannel.slots[slot];
+    renderer.updateParticleData(
+        v.positions.subarray(0, count * 2),
+        v.densities.subarray(0, count),
+        v.velocities.subarray(0, count * 2),
+        count,
+        v.phases.subarray(0, count),
+        v.dye.subarray(0, count * 3),
+        seq
+    );
+    // The worker came round to this slot while we read it: read again next time
+    if (header[2 + slot * 2] !== seq) renderer.particleSeq = -1;
+}
+
+// Hands a transferred frame buffer back to the worker for reuse
+function returnFrameBuffer(frame) {
+    if (frame && frame.frameBuffer && frame.frameBuffer.byteLength > 0) {
+        worker.postMessage({ type: 'frameBuffer', buffer: frame.frameBuffer }, [frame.frameBuffer]);
+    }
+}
+
 worker.onmessage = function(e) {
     const msg = e.data;
     if (msg.type === 'frame') {
+        // A transferred frame that was never drawn goes straight back
+        if (latestFrameData && latestFrameData.frameSeq !== renderer.particleSeq) returnFrameBuffer(latestFrameData);
         latestFrameData = {
-            positions: msg.positions,
-            densities: msg.densities,
-            velocities: msg.velocities,
+            frameSeq: msg.frameSeq,
+            frameBuffer: msg.frameBuffer || null,
+            positions: msg.positions || null,
+            densities: msg.densities || null,
+            velocities: msg.velocities || null,
+            phases: msg.phases || null,
+            dye: msg.dye || null,
             foamPositions: msg.foamPositions,
             foamLife: msg.foamLife,
             foamSizes: msg.foamSizes || null,
@@ -96,8 +159,31 @@ worker.onmessage = function(e) {
             rigidBodyCount: msg.rigidBodyCount ?? 0,
             boat: msg.boat || null
         };
+        if (msg.diagnostics) ui.updateDiagnostics(msg.diagnostics);
+        if (msg.substeps) ui.updateSubsteps(msg.substeps);
+        if (msg.workerLoad) ui.updateWorkerLoad(msg.workerLoad);
+        if (msg.drained) toolManager.drainCounts = msg.drained;
+    } else if (msg.type === 'frameChannel') {
+        openFrameChannel(msg);
     } else if (msg.type === 'wallsUpdated') {
         toolManager.walls = msg.walls;
+    } else if (msg.type === 'sceneLoaded') {
+        setDomainSize(msg.scene.width, msg.scene.height);
+        const view = getSize();
+        domainPinned = width !== view.width || height !== view.height;
+        toolManager.syncObjects(msg.scene);
+        ui.applySceneParams(msg.scene.params);
+    } else if (msg.type === 'replayFinished') {
+        ui.updateDeterministic(msg.deterministic);
+    } else if (msg.type === 'sceneError') {
+        console.error('Scene load failed:', msg.message);
+    } else if (msg.type === 'capacity') {
+        // The worker cuts a domain down when its grid cannot grow
+        setDomainSize(msg.width, msg.height);
+        renderer.setCapacity(msg.maxParticles, msg.maxFoam);
+        ui.updateCapacity(msg.maxParticles);
+    } else if (msg.type === 'capacityError') {
+        console.error('Capacity change failed:', msg.message);
     }
 };
 
@@ -113,13 +199,21 @@ function renderLoop(timestamp) {
     lastRenderTime = timestamp;
 
     // Upload latest frame data to GPU
-    if (latestFrameData) {
-        renderer.updateParticleData(
+    if (frameChannel) {
+        uploadSharedFrame();
+    } else if (latestFrameData) {
+        const uploaded = renderer.updateParticleData(
             latestFrameData.positions,
             latestFrameData.densities,
             latestFrameData.velocities,
-            latestFrameData.particleCount
+            latestFrameData.particleCount,
+            latestFrameData.phases,
+            latestFrameData.dye,
+            latestFrameData.frameSeq
         );
+        if (uploaded) returnFrameBuffer(latestFrameData);
+    }
+    if (latestFrameData) {
         renderer.updateFoamData(
             latestFrameData.foamPositions,
             latestFrameData.foamLife,
@@ -304,18 +398,26 @@ function updateBoatControls() {
 // ==========================================
 // RESIZE HANDLER
 // ==========================================
+// Sizes the canvases to the domain the worker simulates
+function setDomainSize(w, h) {
+    if (w === width && h === height) return;
+    width = w;
+    height = h;
+
+    overlayCanvas.width = width;
+    overlayCanvas.height = height;
+
+    renderer.resize(width, height);
+}
+
 let resizeTimeout;
 window.addEventListener('resize', () => {
     clearTimeout(resizeTimeout);
     resizeTimeout = setTimeout(() => {
+        // A domain sized by a scene keeps its size, only its scale changes
+        if (domainPinned) return;
         const size = getSize();
-        width = size.width;
-        height = size.height;
-
-        overlayCanvas.width = width;
-        overlayCanvas.height = height;
-
-        renderer.resize(width, height);
+        setDomainSize(size.width, size.height);
         worker.postMessage({ type: 'resize', width, height });
     }, 100);
 });
@@ -3,16 +3,18 @@
 // Multi-threaded with SharedArrayBuffer + single-threaded fallback
 // ==========================================
 
-const MAX_PARTICLES = 10000;
-const MAX_FOAM = 2000;
+// Capacities, chosen at init and changed with setCapacity (see CAPACITY)
+let MAX_PARTICLES = 10000;
+let MAX_FOAM = 2000;
 const H = 35;
 const H2 = H * H;
 const PARTICLE_RADIUS = 9;
 const REST_DENS = 3.0;
-const DT = 0.014;
-const SUBSTEPS = 2;
+const DT = 0.014;          // Simulated time per frame
+const SUBSTEPS = 2;        // Substeps per frame when adaptive stepping is off
 const WALL_STIFFNESS = 5000;
-const MOUSE_RADIUS = 45;
+const MAX_PHASES = 4;
+const MAX_RIGID_BODIES = 20;
 
 // Dynamic physics parameters
 let GAS_CONST = 3000;
@@ -30,25 +32,100 @@ let foamCount = 0;
 // ==========================================
 // SHARED MEMORY LAYOUT
 // ==========================================
-const MAX_GRID_CELLS = 40000;
+// Grid cells grow with the domain, see fitGrid
+let MAX_GRID_CELLS = 40000;
 const CONTROL_INTS = 32;
 const CONTROL_BYTES = CONTROL_INTS * 4;   // 128 bytes
-const PARTICLE_OFFSET = CONTROL_BYTES;     // 128
 const PARTICLE_ARRAYS = 10;               // x, y, vx, vy, fx, fy, density, nearDensity, pressure, nearPressure
-const PARTICLE_BYTES = PARTICLE_ARRAYS * MAX_PARTICLES * 4; // 400000
-const GRID_OFFSET = PARTICLE_OFFSET + PARTICLE_BYTES;       // 400128
-const GRID_BYTES = (MAX_GRID_CELLS + MAX_PARTICLES) * 4;    // 200000
-const PARAMS_OFFSET = GRID_OFFSET + GRID_BYTES;             // 600128
-const PARAMS_FLOATS = 16;
-const TOTAL_SHARED_BYTES = PARAMS_OFFSET + PARAMS_FLOATS * 4; // 600192
+const PARAMS_FLOATS = 48;
+const DYE_ARRAYS = 6;                     // dyeR, dyeG, dyeB, dyeRateR, dyeRateG, dyeRateB
+
+// Scene objects the sub-workers need, as fixed-size Float32 tables. A stage
+// whose objects do not fit runs on the coordinator instead.
+const MAX_SHARED_WALLS = 128;
+const MAX_SHARED_PORTALS = 16;
+const MAX_SHARED_EXPLOSIONS = 32;
+const MAX_SHARED_DRAINS = 32;   // also the most drains a scene can hold
+const MAX_SHARED_FIELDS = 32;   // also the most force fields a scene can hold
+const WALL_FLOATS = 5;       // x1, y1, x2, y2, thickness
+const PORTAL_FLOATS = 5;     // p1x, p1y, p2x, p2y, r2
+const EXPLOSION_FLOATS = 4;  // x, y, radius, strength scaled by age
+const DRAIN_FLOATS = 6;      // shape, minX, minY, maxX, maxY, r2 (circle) or side (outflow)
+const BODY_FLOATS = 18;      // see writeBodyTable
+const FIELD_FLOATS = 9;      // type, x, y, radius, strength, falloff, dirX, dirY, age
+const WALL_TABLE = 0;
+const PORTAL_TABLE = WALL_TABLE + MAX_SHARED_WALLS * WALL_FLOATS;
+const EXPLOSION_TABLE = PORTAL_TABLE + MAX_SHARED_PORTALS * PORTAL_FLOATS;
+const DRAIN_TABLE = EXPLOSION_TABLE + MAX_SHARED_EXPLOSIONS * EXPLOSION_FLOATS;
+const BODY_TABLE = DRAIN_TABLE + MAX_SHARED_DRAINS * DRAIN_FLOATS;
+const FIELD_TABLE = BODY_TABLE + MAX_RIGID_BODIES * BODY_FLOATS;
+const TABLE_FLOATS = FIELD_TABLE + MAX_SHARED_FIELDS * FIELD_FLOATS;
+
+// Per sub-worker partial sums, added up by the coordinator: the speed clamp
+// count, the time spent on tasks since the last frame (ms), then fx, fy,
+// torque and submerged particle count for every body
+const MAX_SUB_WORKERS = 10;
+const REDUCE_CLAMPS = 0;
+const REDUCE_BUSY = 1;
+const REDUCE_BODIES = 2;
+const REDUCE_STRIDE = REDUCE_BODIES + MAX_RIGID_BODIES * 4;
+
+// Byte offsets of every shared array for the given capacities. Byte arrays
+// are padded so the Float32 and Int32 arrays after them stay aligned.
+function sharedLayout(maxParticles, maxGridCells) {
+    let bytes = CONTROL_BYTES;
+    const take = (size) => {
+        const offset = bytes;
+        bytes += Math.ceil(size / 4) * 4;
+        return offset;
+    };
+    const layout = {
+        particleOffset: take(PARTICLE_ARRAYS * maxParticles * 4),
+        gridOffset: take((maxGridCells + maxParticles) * 4),
+        paramsOffset: take(PARAMS_FLOATS * 4),
+        phaseOffset: take(maxParticles),
+        temperatureOffset: take(maxParticles * 4),
+        heatOffset: take(maxParticles * 4),
+        dyeOffset: take(DYE_ARRAYS * maxParticles * 4),
+        viscosityOffset: take(maxParticles * 4),
+        frozenOffset: take(maxParticles),
+        flagsOffset: take(maxParticles),
+        teleportOffset: take(maxParticles * 4),
+        neighbourOffset: take(maxParticles),
+        tablesOffset: take(TABLE_FLOATS * 4),
+        reduceOffset: take(MAX_SUB_WORKERS * REDUCE_STRIDE * 4)
+    };
+    layout.totalBytes = bytes;
+    return layout;
+}
+let layout = null;
 
 // Control indices
 const CTRL_PHASE = 0;      // Incremented to signal sub-workers
 const CTRL_DONE = 1;       // Atomic counter for barrier
 const CTRL_PCOUNT = 2;     // particleCount
-const CTRL_TASK = 3;       // 1=density, 2=forces
+const CTRL_TASK = 3;       // one of the TASK_ values below
 const CTRL_COLS = 4;
 const CTRL_ROWS = 5;
+const CTRL_DETERMINISTIC = 6; // 1 = reseed the jitter RNG per particle
+const CTRL_SEED = 7;
+const CTRL_STEP = 8;
+const CTRL_WALLS = 9;      // rows used in each shared table
+const CTRL_PORTALS = 10;
+const CTRL_EXPLOSIONS = 11;
+const CTRL_DRAINS = 12;
+const CTRL_BODIES = 13;
+const CTRL_FIELDS = 14;
+const CTRL_SLICES = 16;    // numSubWorkers + 1 slice bounds, see balanceSlices
+
+// Sub-worker tasks
+const TASK_DENSITY = 1;
+const TASK_FORCES = 2;
+const TASK_PBF_LAMBDAS = 3;
+const TASK_PBF_CORRECTIONS = 4;
+const TASK_WALLS = 5;      // custom wall forces
+const TASK_BODIES = 6;     // rigid body contacts, reactions into the partial sums
+const TASK_INTEGRATE = 7;  // integration, foam and drain flags
 
 // Params indices (Float32)
 const PARAM_GAS = 0;
@@ -60,46 +137,74 @@ const PARAM_GRAV_Y = 5;
 const PARAM_WIDTH = 6;
 const PARAM_HEIGHT = 7;
 const PARAM_WALL_STIFF = 8;
+const PARAM_DT = 9;
+const PARAM_CONDUCTION = 10;
+const PARAM_DYE_DIFFUSION = 11;
+const PARAM_RHEOLOGY = 12;       // index into RHEOLOGIES
+const PARAM_FLOW_INDEX = 13;
+const PARAM_YIELD_STRESS = 14;
+const PARAM_PHASE_MASS = 16;     // MAX_PHASES floats each
+const PARAM_PHASE_VISC = 20;
+const PARAM_PHASE_TENSION = 24;
+const PARAM_PHASE_TEMP = 28;
+const PARAM_PHASE_MELT = 32;
+const PARAM_PHASE_FRICTION = 36;
+const PARAM_MOUSE_X = 40;
+const PARAM_MOUSE_Y = 41;
+const PARAM_MOUSE_TOOL = 42;     // index into MOUSE_TOOLS, 0 when the mouse is up
+const PARAM_TOOL_STRENGTH = 43;
+const PARAM_TOOL_RADIUS = 44;
+const PARAM_MOUSE_DIR_X = 45;    // Drag direction, steers the wind tool
+const PARAM_MOUSE_DIR_Y = 46;
+const PARAM_PERIODIC = 47;       // 1 = x wraps around, 2 = y wraps around
 
 // ==========================================
 // PARTICLE DATA (initialized in init as shared or local)
 // ==========================================
 let p_x, p_y, p_vx, p_vy, p_fx, p_fy;
 let p_density, p_nearDensity, p_pressure, p_nearPressure;
+let p_phase;    // Uint8Array - index into the phase table
+let p_temperature, p_heat; // degrees C and their rate of change from conduction
+let p_dyeR, p_dyeG, p_dyeB;             // passive dye color, 0..1 per channel
+let p_dyeRateR, p_dyeRateG, p_dyeRateB; // its rate of change from diffusion
+let p_viscosity; // effective viscosity, written by the density pass
+let p_frozen;    // Uint8Array - 1 while frozen solid (see THERMAL)
+let p_teleportCD; // seconds before a portal can take the particle again
+let p_flags;     // Uint8Array - FLAG_ bits left by the integration for finishIntegration
+let p_neighbours; // Uint8Array - neighbour count from the last density pass (multi-worker only)
 
 // Foam particles (always local - not parallelized)
-const foam_x = new Float32Array(MAX_FOAM);
-const foam_y = new Float32Array(MAX_FOAM);
-const foam_vx = new Float32Array(MAX_FOAM);
-const foam_vy = new Float32Array(MAX_FOAM);
-const foam_life = new Float32Array(MAX_FOAM);
-const foam_size = new Float32Array(MAX_FOAM);
+let foam_x = new Float32Array(MAX_FOAM);
+let foam_y = new Float32Array(MAX_FOAM);
+let foam_vx = new Float32Array(MAX_FOAM);
+let foam_vy = new Float32Array(MAX_FOAM);
+let foam_life = new Float32Array(MAX_FOAM);
+let foam_size = new Float32Array(MAX_FOAM);
 
-// Freeze state (local only)
-const p_frozen = new Uint8Array(MAX_PARTICLES);
+// Solid material (local only): 0 = fluid, otherwise an index into SOLID_MATERIALS
+let p_material = new Uint8Array(MAX_PARTICLES);
 
-// Teleport cooldown
-const p_teleportCD = new Float32Array(MAX_PARTICLES);
+// Stable particle ids (local only): indices change when the arrays are
+// sorted by cell (see CELL SORTING), ids stay with the particle
+let p_id = new Int32Array(MAX_PARTICLES);
+let nextParticleId = 0;
 
 // Spatial hash grid
 let cellHead;
 let particleNext;
 
 // Neighbor cache (single-threaded mode only)
-const MAX_NEIGHBORS = MAX_PARTICLES * 40;
-const neigh_i = new Int32Array(MAX_NEIGHBORS);
-const neigh_j = new Int32Array(MAX_NEIGHBORS);
-const neigh_r = new Float32Array(MAX_NEIGHBORS);
-const neigh_q = new Float32Array(MAX_NEIGHBORS);
+let MAX_NEIGHBORS = MAX_PARTICLES * 40;
+let neigh_i = new Int32Array(MAX_NEIGHBORS);
+let neigh_j = new Int32Array(MAX_NEIGHBORS);
+let neigh_r = new Float32Array(MAX_NEIGHBORS);
+let neigh_q = new Float32Array(MAX_NEIGHBORS);
 let neighborCount = 0;
 
-// Pre-allocated transfer buffers
-const transferPos = new Float32Array(MAX_PARTICLES * 2);
-const transferDens = new Float32Array(MAX_PARTICLES);
-const transferVel = new Float32Array(MAX_PARTICLES * 2);
-const transferFoamPos = new Float32Array(MAX_FOAM * 2);
-const transferFoamLife = new Float32Array(MAX_FOAM);
-const transferFoamSize = new Float32Array(MAX_FOAM);
+// Pre-allocated transfer buffers (particles go through the frame channel)
+let transferFoamPos = new Float32Array(MAX_FOAM * 2);
+let transferFoamLife = new Float32Array(MAX_FOAM);
+let transferFoamSize = new Float32Array(MAX_FOAM);
 
 // Sim FPS tracking
 let simFrameCount = 0;
@@ -107,9 +212,14 @@ let simFpsLastTime = performance.now();
 let simFps = 0;
 
 // Interaction state
-const mouse = { x: -1000, y: -1000, active: false };
+const mouse = { x: -1000, y: -1000, active: false, dirX: 1, dirY: 0 };
 let activeTool = 'push';
 let toolStrength = 500;
+// Default radius of the pointer tools acting in the worker, changed per tool from the UI
+const TOOL_RADII = { push: 45, vortex: 120, wind: 150, attractor: 200, localGravity: 180, heat: 60, cool: 60, paint: 40 };
+let toolRadii = { ...TOOL_RADII };
+// Tools that act inside integrate(), numbered for the sub-workers (0 = none)
+const MOUSE_TOOLS = ['', 'push', 'vortex', 'wind', 'attractor', 'localGravity'];
 
 // Emitters, drains, walls
 let emitters = [];
@@ -125,7 +235,6 @@ let portals = [];
 
 // Rigid bodies
 let rigidBodies = [];
-const MAX_RIGID_BODIES = 20;
 const RIGID_BODY_STIFFNESS = 5000;
 const MAX_RB_FLOATS = 16;
 const transferRigidBodies = new Float32Array(MAX_RIGID_BODIES * MAX_RB_FLOATS);
@@ -157,10 +266,603 @@ let useMultiWorker = false;
 let sharedBuffer = null;
 let control = null;       // Int32Array on SharedArrayBuffer
 let sharedParams = null;   // Float32Array on SharedArrayBuffer
+let sharedTables = null;   // Float32Array on SharedArrayBuffer, scene object tables
+let sharedReduce = null;   // Float32Array on SharedArrayBuffer, per sub-worker partial sums
 let subWorkers = [];
 let numSubWorkers = 0;
 let subWorkersReady = 0;
+let workerGeneration = 0; // bumped each time the sub-workers are replaced
 let pendingSimStart = false;
+let autoStart = true;     // false when driven step by step (headless runner)
+
+// ==========================================
+// FLUID PHASES
+// ==========================================
+// Each particle belongs to a phase with its own rest density, viscosity and
+// surface tension. Phase 0 is the main fluid, driven by VISC and
+// SURFACE_TENSION. density is relative to phase 0 and acts as the particle
+// mass: pressure is scaled by it and every pair force is divided by it, so
+// heavier phases sink below lighter ones while a single phase behaves the
+// same whatever its density.
+let phases = [
+    { density: 1.0, temperature: 20, meltPoint: 0, reposeAngle: 0 },
+    { density: 0.6, viscosity: 20, surfaceTension: 800, temperature: 20, meltPoint: -20, reposeAngle: 0 },   // oil, light enough to rise visibly
+    { density: 1.4, viscosity: 400, surfaceTension: 2000, temperature: 20, meltPoint: -10, reposeAngle: 0 }, // honey
+    { density: 3.0, viscosity: 2, surfaceTension: 3000, temperature: 20, meltPoint: -39, reposeAngle: 0 }    // mercury
+];
+const phaseMass = new Float32Array(MAX_PHASES);
+const phaseVisc = new Float32Array(MAX_PHASES);
+const phaseTension = new Float32Array(MAX_PHASES);
+const phaseTemp = new Float32Array(MAX_PHASES);
+const phaseMelt = new Float32Array(MAX_PHASES);
+const phaseFriction = new Float32Array(MAX_PHASES); // tan(reposeAngle), 0 for liquids
+
+function updatePhaseTable() {
+    for (let k = 0; k < MAX_PHASES; k++) {
+        phaseMass[k] = phases[k].density;
+        phaseVisc[k] = k === 0 ? VISC : phases[k].viscosity;
+        phaseTension[k] = k === 0 ? SURFACE_TENSION : phases[k].surfaceTension;
+        phaseTemp[k] = phases[k].temperature;
+        phaseMelt[k] = phases[k].meltPoint;
+        phaseFriction[k] = Math.tan(Math.min(phases[k].reposeAngle || 0, MAX_REPOSE_ANGLE) * Math.PI / 180);
+    }
+}
+
+// Partial updates, e.g. [null, { viscosity: 50 }] only changes phase 1
+function setPhases(list) {
+    for (let k = 0; k < MAX_PHASES && k < list.length; k++) {
+        const src = list[k];
+        if (!src) continue;
+        if (src.density > 0) phases[k].density = src.density;
+        if (src.viscosity !== undefined) phases[k].viscosity = src.viscosity;
+        if (src.surfaceTension !== undefined) phases[k].surfaceTension = src.surfaceTension;
+        if (src.meltPoint !== undefined) phases[k].meltPoint = src.meltPoint;
+        if (src.reposeAngle !== undefined) phases[k].reposeAngle = Math.max(0, src.reposeAngle);
+        if (src.temperature !== undefined) {
+            // The fluid already poured follows, e.g. switching to the lava preset
+            shiftTemperatures(k, src.temperature - phases[k].temperature);
+            phases[k].temperature = src.temperature;
+        }
+    }
+}
+
+function clampPhase(phase) {
+    return Math.max(0, Math.min(MAX_PHASES - 1, phase | 0));
+}
+
+// ==========================================
+// TEMPERATURE
+// ==========================================
+// Every particle carries a temperature in degrees C. Heat diffuses between SPH
+// neighbours at rate CONDUCTION (computed with the forces, into p_heat), the
+// fluid relaxes towards AMBIENT_TEMP at rate COOLING and the heat/cool tools
+// add or remove heat under the mouse.
+// Each phase is poured at its `temperature`, where it has its nominal
+// viscosity. Cooling down to its `meltPoint` thickens it up to
+// THERMAL_VISC_MAX times; below the melting point it freezes solid (p_frozen)
+// and it thaws again once heated back above it, so lava cools into rock and
+// ice melts into water.
+const THERMAL_VISC_MAX = 20;
+const FREEZE_HYSTERESIS = 1;   // degrees either side of the melting point
+const FREEZE_TOOL_DEPTH = 30;  // how far below the melting point freezeAt cools
+const ABSOLUTE_ZERO = -273.15;
+let CONDUCTION = 2;
+let COOLING = 0.02;
+let AMBIENT_TEMP = 20;
+
+// Viscosity multiplier: 1 at the pouring temperature, THERMAL_VISC_MAX at the melting point
+function thermalViscFactor(temp, phase) {
+    const span = phaseTemp[phase] - phaseMelt[phase];
+    if (span <= 0) return 1.0;
+    const s = Math.min(Math.max((phaseTemp[phase] - temp) / span, 0), 1);
+    return 1.0 + (THERMAL_VISC_MAX - 1.0) * s * s;
+}
+
+function shiftTemperatures(phase, delta) {
+    if (delta === 0) return;
+    for (let i = 0; i < particleCount; i++) {
+        if (p_phase[i] === phase) p_temperature[i] += delta;
+    }
+}
+
+// Temperature for particles restored from data that has none (older scenes)
+function defaultTemperature(i) {
+    const ph = phases[p_phase[i]];
+    return p_frozen[i] ? ph.meltPoint - FREEZE_TOOL_DEPTH : ph.temperature;
+}
+
+function updateTemperatures() {
+    const dt = stepDt;
+    const heatTool = mouse.active && (activeTool === 'heat' || activeTool === 'cool');
+    const toolRate = activeTool === 'heat' ? toolStrength * 0.5 : -toolStrength * 0.5;
+    const toolRadius = toolRadii[activeTool];
+    const toolR2 = toolRadius * toolRadius;
+
+    for (let i = 0; i < particleCount; i++) {
+        let t = p_temperature[i] + (p_heat[i] + COOLING * (AMBIENT_TEMP - p_temperature[i])) * dt;
+        if (heatTool) {
+            const dx = wrapDx(p_x[i] - mouse.x);
+            const dy = wrapDy(p_y[i] - mouse.y);
+            const d2 = dx * dx + dy * dy;
+            if (d2 < toolR2) t += toolRate * (1.0 - Math.sqrt(d2) / toolRadius) * dt;
+        }
+        if (t < ABSOLUTE_ZERO) t = ABSOLUTE_ZERO;
+        p_temperature[i] = t;
+
+        const melt = phaseMelt[p_phase[i]];
+        if (!p_frozen[i] && t < melt - FREEZE_HYSTERESIS) {
+            p_frozen[i] = 1;
+        } else if (p_frozen[i] && t > melt + FREEZE_HYSTERESIS) {
+            p_frozen[i] = 0;
+        }
+    }
+}
+
+// ==========================================
+// RHEOLOGY
+// ==========================================
+// The main fluid (phase 0) can be non-Newtonian: its viscosity then depends
+// on a local shear rate (1/s), estimated in the density pass as the
+// q-weighted RMS of |v_j - v_i| / r over the neighbours.
+//   'newtonian'  constant viscosity
+//   'power'      viscosity * (shear / SHEAR_RATE_REF)^(FLOW_INDEX - 1), so
+//                the viscosity setting is the value at rest: FLOW_INDEX < 1
+//                thins under shear (paint), > 1 thickens (cornstarch)
+//   'bingham'    viscosity + YIELD_STRESS / shear: close to rigid until
+//                sheared hard enough, then it flows (ketchup)
+// The density pass stores each particle's effective viscosity (phase,
+// temperature and rheology together) in p_viscosity for the force pass.
+const RHEOLOGIES = ['newtonian', 'power', 'bingham']; // same order in sub-worker.js
+const SHEAR_RATE_REF = 1;
+const SHEAR_RATE_MIN = 1;    // bounds the Bingham viscosity at rest
+const POWER_LAW_MIN = 0.02;  // bounds of the power law factor
+const POWER_LAW_MAX = 50;
+let RHEOLOGY = 'newtonian';
+let FLOW_INDEX = 1.0;
+let YIELD_STRESS = 0;
+
+function rheologyViscosity(visc, shearRate) {
+    const shear = Math.max(shearRate, SHEAR_RATE_MIN);
+    if (RHEOLOGY === 'power') {
+        const factor = Math.pow(shear / SHEAR_RATE_REF, FLOW_INDEX - 1.0);
+        return visc * Math.min(Math.max(factor, POWER_LAW_MIN), POWER_LAW_MAX);
+    }
+    if (RHEOLOGY === 'bingham') return visc + YIELD_STRESS / shear;
+    return visc;
+}
+
+function effectiveViscosity(i, shearRate) {
+    const phase = p_phase[i];
+    const visc = phaseVisc[phase] * thermalViscFactor(p_temperature[i], phase);
+    return phase === 0 ? rheologyViscosity(visc, shearRate) : visc;
+}
+
+// ==========================================
+// DYE
+// ==========================================
+// A passive color carried by every particle to visualize mixing; it never
+// acts on the flow. It diffuses slightly between SPH neighbours at rate
+// DYE_DIFFUSION (computed with the forces, into p_dyeRate*) and the paint tool
+// tints the fluid under the mouse with dyeColor, which is also the color of
+// newly poured fluid.
+const PAINT_RATE = 20;  // fraction per second at the centre of the brush
+let DYE_DIFFUSION = 0.5;
+let dyeColor = [0.10, 0.45, 0.75];
+
+function isColor(c) {
+    return Array.isArray(c) && c.length === 3;
+}
+
+function setDye(i, color) {
+    p_dyeR[i] = color[0];
+    p_dyeG[i] = color[1];
+    p_dyeB[i] = color[2];
+}
+
+function updateDye() {
+    const dt = stepDt;
+    const painting = mouse.active && activeTool === 'paint';
+    const paintRadius = toolRadii.paint;
+    const paintR2 = paintRadius * paintRadius;
+
+    for (let i = 0; i < particleCount; i++) {
+        let r = p_dyeR[i] + p_dyeRateR[i] * dt;
+        let g = p_dyeG[i] + p_dyeRateG[i] * dt;
+        let b = p_dyeB[i] + p_dyeRateB[i] * dt;
+        if (painting) {
+            const dx = wrapDx(p_x[i] - mouse.x);
+            const dy = wrapDy(p_y[i] - mouse.y);
+            const d2 = dx * dx + dy * dy;
+            if (d2 < paintR2) {
+                const k = Math.min(PAINT_RATE * (1.0 - Math.sqrt(d2) / paintRadius) * dt, 1.0);
+                r += (dyeColor[0] - r) * k;
+                g += (dyeColor[1] - g) * k;
+                b += (dyeColor[2] - b) * k;
+            }
+        }
+        p_dyeR[i] = Math.min(Math.max(r, 0), 1);
+        p_dyeG[i] = Math.min(Math.max(g, 0), 1);
+        p_dyeB[i] = Math.min(Math.max(b, 0), 1);
+    }
+}
+
+// ==========================================
+// BONDED SOLIDS
+// ==========================================
+// Jelly, snow and mud are particles tied to their neighbours by bonds that
+// remember the distance they were created at. On top of the SPH forces a bond
+// pulls or pushes its two particles back to that rest length with the
+// material's stiffness (acceleration per pixel of stretch), damped along the
+// bond. Stretched or squeezed beyond yieldStrain it flows plastically: the
+// rest length creeps towards the current length at `plasticity` per second.
+// Beyond breakStrain it snaps. Materials that `reform` bond again to close
+// neighbours of the same material, so crumbled snow packs back together when
+// pressed.
+const SOLID_MATERIALS = [
+    null, // 0: fluid
+    { name: 'jelly', stiffness: 4000, damping: 60, yieldStrain: 0.5, breakStrain: 1.0, plasticity: 0, reform: false, color: [0.35, 0.85, 0.30] },
+    { name: 'snow', stiffness: 6000, damping: 40, yieldStrain: 0.04, breakStrain: 0.15, plasticity: 0, reform: true, color: [0.92, 0.95, 1.00] },
+    { name: 'mud', stiffness: 2000, damping: 40, yieldStrain: 0.03, breakStrain: 0.6, plasticity: 4, reform: true, color: [0.40, 0.27, 0.15] }
+];
+const SOLID_SPACING = PARTICLE_RADIUS * 2.1; // same as addParticles
+let MAX_BONDS = MAX_PARTICLES * 4;         // a square lattice with diagonals has 4 per particle
+const MAX_BONDS_PER_PARTICLE = 8;
+const REFORM_RANGE = SOLID_SPACING * 0.95;   // how tightly crumbled particles must be pressed
+let bondA = new Int32Array(MAX_BONDS);
+let bondB = new Int32Array(MAX_BONDS);
+let bondRest = new Float32Array(MAX_BONDS);
+let bondDegree = new Uint8Array(MAX_PARTICLES);
+// Bonded partners of each particle, MAX_BONDS_PER_PARTICLE slots apiece
+let bondPartners = new Int32Array(MAX_PARTICLES * MAX_BONDS_PER_PARTICLE);
+let bondCount = 0;
+
+function solidMaterialIndex(name) {
+    const k = SOLID_MATERIALS.findIndex(m => m && m.name === name);
+    return k > 0 ? k : 1;
+}
+
+function addBond(i, j, rest) {
+    if (bondCount >= MAX_BONDS) return;
+    bondA[bondCount] = i;
+    bondB[bondCount] = j;
+    bondRest[bondCount] = rest;
+    bondCount++;
+}
+
+function removeBond(b) {
+    bondCount--;
+    bondA[b] = bondA[bondCount];
+    bondB[b] = bondB[bondCount];
+    bondRest[b] = bondRest[bondCount];
+}
+
+// Particle i is gone and the last particle `moved` now lives in its slot
+function removeParticleBonds(i, moved) {
+    for (let b = bondCount - 1; b >= 0; b--) {
+        if (bondA[b] === i || bondB[b] === i) {
+            removeBond(b);
+            continue;
+        }
+        if (bondA[b] === moved) bondA[b] = i;
+        if (bondB[b] === moved) bondB[b] = i;
+    }
+}
+
+// Fills a rectangle with a square lattice of bonded particles at rest
+function addSolid(x1, y1, x2, y2, material, phase = 0) {
+    const margin = PARTICLE_RADIUS * 2;
+    const left = Math.max(margin, Math.min(x1, x2));
+    const top = Math.max(margin, Math.min(y1, y2));
+    const right = Math.min(width - margin, Math.max(x1, x2));
+    const bottom = Math.min(height - margin, Math.max(y1, y2));
+    const nCols = Math.max(1, Math.floor((right - left) / SOLID_SPACING) + 1);
+    const nRows = Math.max(1, Math.floor((bottom - top) / SOLID_SPACING) + 1);
+    const color = SOLID_MATERIALS[material].color;
+    const lattice = new Int32Array(nCols * nRows).fill(-1);
+
+    for (let r = 0; r < nRows; r++) {
+        for (let c = 0; c < nCols; c++) {
+            if (particleCount >= MAX_PARTICLES) break;
+            const id = particleCount++;
+            p_x[id] = left + c * SOLID_SPACING;
+            p_y[id] = top + r * SOLID_SPACING;
+            p_vx[id] = 0;
+            p_vy[id] = 0;
+            p_fx[id] = 0;
+            p_fy[id] = 0;
+            p_frozen[id] = 0;
+            p_teleportCD[id] = 0;
+            p_phase[id] = phase;
+            p_material[id] = material;
+            p_temperature[id] = phases[phase].temperature;
+            p_id[id] = nextParticleId++;
+            setDye(id, color);
+            lattice[c + r * nCols] = id;
+
+            // Left, up and both upper diagonals: every pair of lattice neighbours once
+            const links = [[c - 1, r], [c - 1, r - 1], [c, r - 1], [c + 1, r - 1]];
+            for (const [lc, lr] of links) {
+                if (lc < 0 || lc >= nCols || lr < 0) continue;
+                const j = lattice[lc + lr * nCols];
+                if (j < 0) continue;
+                addBond(j, id, Math.hypot(p_x[id] - p_x[j], p_y[id] - p_y[j]));
+            }
+        }
+    }
+}
+
+function applyBondForces() {
+    if (substepsLeft === frameSubsteps) reformBonds();
+    const dt = stepDt;
+    for (let b = bondCount - 1; b >= 0; b--) {
+        const i = bondA[b], j = bondB[b];
+        const mat = SOLID_MATERIALS[p_material[i]] || SOLID_MATERIALS[1];
+        const dx = wrapDx(p_x[j] - p_x[i]);
+        const dy = wrapDy(p_y[j] - p_y[i]);
+        const r = Math.sqrt(dx * dx + dy * dy);
+        const rest = bondRest[b];
+        const strain = (r - rest) / rest;
+        if (Math.abs(strain) > mat.breakStrain) {
+            removeBond(b);
+            continue;
+        }
+        if (mat.plasticity > 0 && Math.abs(strain) > mat.yieldStrain) {
+            // Rest length at which the bond would sit exactly at the yield limit
+            const target = r / (1.0 + Math.sign(strain) * mat.yieldStrain);
+            bondRest[b] = rest + (target - rest) * Math.min(1.0, mat.plasticity * dt);
+        }
+        if (r < 0.001) continue;
+
+        const nx = dx / r, ny = dy / r;
+        const closing = (p_vx[j] - p_vx[i]) * nx + (p_vy[j] - p_vy[i]) * ny;
+        const accel = mat.stiffness * (r - rest) + mat.damping * closing;
+        // Momentum-conserving split between phases, as for viscosity
+        const massI = phaseMass[p_phase[i]], massJ = phaseMass[p_phase[j]];
+        const shareI = 2.0 * massJ / (massI + massJ);
+        const shareJ = 2.0 * massI / (massI + massJ);
+        p_fx[i] += accel * shareI * nx;
+        p_fy[i] += accel * shareI * ny;
+        p_fx[j] -= accel * shareJ * nx;
+        p_fy[j] -= accel * shareJ * ny;
+    }
+}
+
+// Counts a bond of i to j. A particle with every slot taken takes no new
+// bonds, so its partners past the slots are never looked up.
+function linkBond(i, j) {
+    if (bondDegree[i] < MAX_BONDS_PER_PARTICLE) bondPartners[i * MAX_BONDS_PER_PARTICLE + bondDegree[i]] = j;
+    bondDegree[i]++;
+}
+
+function isBonded(i, j) {
+    const o = i * MAX_BONDS_PER_PARTICLE;
+    for (let k = 0; k < bondDegree[i]; k++) {
+        if (bondPartners[o + k] === j) return true;
+    }
+    return false;
+}
+
+// Once per frame: bonds pressed-together particles of reforming materials
+function reformBonds() {
+    let reforming = false;
+    for (let i = 0; i < particleCount && !reforming; i++) {
+        const mat = SOLID_MATERIALS[p_material[i]];
+        reforming = !!(mat && mat.reform);
+    }
+    if (!reforming) return;
+
+    bondDegree.fill(0, 0, particleCount);
+    for (let b = 0; b < bondCount; b++) {
+        linkBond(bondA[b], bondB[b]);
+        linkBond(bondB[b], bondA[b]);
+    }
+
+    const range2 = REFORM_RANGE * REFORM_RANGE;
+    for (let i = 0; i < particleCount; i++) {
+        const material = p_material[i];
+        const mat = SOLID_MATERIALS[material];
+        if (!mat || !mat.reform || bondDegree[i] >= MAX_BONDS_PER_PARTICLE) continue;
+        const cx = Math.max(0, Math.min(cols - 1, (p_x[i] / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (p_y[i] / cellH) | 0));
+        for (let oy = -1; oy <= 1; oy++) {
+            const ny = neighbourRow(cy + oy);
+            if (ny < 0) continue;
+            for (let ox = -1; ox <= 1; ox++) {
+                const nx = neighbourCol(cx + ox);
+                if (nx < 0) continue;
+                let j = cellHead[nx + ny * cols];
+                while (j !== -1) {
+                    if (j > i && p_material[j] === material && bondDegree[j] < MAX_BONDS_PER_PARTICLE &&
+                        bondDegree[i] < MAX_BONDS_PER_PARTICLE) {
+                        const dx = wrapDx(p_x[j] - p_x[i]);
+                        const dy = wrapDy(p_y[j] - p_y[i]);
+                        const r2 = dx * dx + dy * dy;
+                        if (r2 < range2 && !isBonded(i, j)) {
+                            addBond(i, j, Math.max(Math.sqrt(r2), PARTICLE_RADIUS));
+                            linkBond(i, j);
+                            linkBond(j, i);
+                        }
+                    }
+                    j = particleNext[j];
+                }
+            }
+        }
+    }
+}
+
+// ==========================================
+// GRANULAR MATERIALS
+// ==========================================
+// A phase with a reposeAngle (degrees, 0 for liquids) is granular: on top of
+// the SPH forces its grains rub against the grains they touch, the container
+// and the walls (rigid bodies: see applyRigidBodyForces) with Coulomb friction
+// of coefficient tan(reposeAngle). The normal load of a contact is its SPH
+// pressure force, rebuilt from the densities so both solvers agree, plus the
+// part of the grain's weight pressing along the contact normal: pressure
+// makes friction grow with depth, the weight holds the surface grains that
+// pressure barely loads. A grain is held still when the friction its
+// contacts can provide, each along its own tangent, is enough to cancel its
+// whole step velocity: poured sand stops in a pile, steeper for a larger
+// angle, instead of flowing flat. Otherwise it slides with kinetic friction
+// capped at the viscous stability limit. SPH pressure is isotropic, so the
+// slopes come out gentler than the nominal angle.
+const MAX_REPOSE_ANGLE = 80;
+const MAX_GRAIN_CONTACTS = 16;
+const GRAIN_CONTACT_RANGE = PARTICLE_RADIUS * 2.5; // first ring of neighbours
+const contactNx = new Float32Array(MAX_GRAIN_CONTACTS); // unit normal, pointing at the grain
+const contactNy = new Float32Array(MAX_GRAIN_CONTACTS);
+const contactLimit = new Float32Array(MAX_GRAIN_CONTACTS); // largest friction force, mu * load
+const contactOther = new Int32Array(MAX_GRAIN_CONTACTS); // grain index, -1 for a wall
+
+let contactCount = 0;
+function addContact(nx, ny, limit, other) {
+    if (contactCount === MAX_GRAIN_CONTACTS || !(limit > 0)) return;
+    contactNx[contactCount] = nx;
+    contactNy[contactCount] = ny;
+    contactLimit[contactCount] = limit;
+    contactOther[contactCount] = other;
+    contactCount++;
+}
+
+// Fills the contact arrays for grain i and returns how many it has
+function collectGrainContacts(i) {
+    contactCount = 0;
+    const muI = phaseFriction[p_phase[i]];
+    const px = p_x[i], py = p_y[i];
+    const pressI = Math.max(0, GAS_CONST * (p_density[i] - REST_DENS)) * phaseMass[p_phase[i]];
+    const nearI = NEAR_GAS_CONST * p_nearDensity[i] * phaseMass[p_phase[i]];
+
+    const cx = Math.max(0, Math.min(cols - 1, (px / cellW) | 0));
+    const cy = Math.max(0, Math.min(rows - 1, (py / cellH) | 0));
+    for (let oy = -1; oy <= 1; oy++) {
+        const ny = neighbourRow(cy + oy);
+        if (ny < 0) continue;
+        for (let ox = -1; ox <= 1; ox++) {
+            const nx = neighbourCol(cx + ox);
+            if (nx < 0) continue;
+            let j = cellHead[nx + ny * cols];
+            while (j !== -1) {
+                const muJ = phaseFriction[p_phase[j]];
+                if (j !== i && muJ > 0) {
+                    const dx = wrapDx(px - p_x[j]);
+                    const dy = wrapDy(py - p_y[j]);
+                    const r2 = dx * dx + dy * dy;
+                    if (r2 < GRAIN_CONTACT_RANGE * GRAIN_CONTACT_RANGE && r2 > 1e-6) {
+                        const r = Math.sqrt(r2);
+                        const q = 1.0 - r / H;
+                        const massJ = phaseMass[p_phase[j]];
+                        const pressJ = Math.max(0, GAS_CONST * (p_density[j] - REST_DENS)) * massJ;
+                        const nearJ = NEAR_GAS_CONST * p_nearDensity[j] * massJ;
+                        const dens = (p_density[i] + p_density[j]) * 0.5;
+                        // Plus the weight the grain rests on this contact with
+                        const weight = Math.max(0, -(GRAVITY_X * dx + GRAVITY_Y * dy) / r);
+                        const load = ((pressI + pressJ) * 0.5 * q + (nearI + nearJ) * 0.5 * q * q) / dens + weight;
+                        addContact(dx / r, dy / r, (muI + muJ) * 0.5 * load, j);
+                    }
+                }
+                j = particleNext[j];
+            }
+        }
+    }
+
+    // Container walls, loaded by the same springs as computeForces
+    const wallMargin = PARTICLE_RADIUS * 2;
+    if (px < wallMargin) {
+        if (!edgeOpen('left', py)) addContact(1, 0, muI * (wallMargin - px) * WALL_STIFFNESS, -1);
+    } else if (px > width - wallMargin) {
+        if (!edgeOpen('right', py)) addContact(-1, 0, muI * (px - (width - wallMargin)) * WALL_STIFFNESS, -1);
+    }
+    if (py < wallMargin) {
+        if (!edgeOpen('top', px)) addContact(0, 1, muI * (wallMargin - py) * WALL_STIFFNESS, -1);
+    } else if (py > height - wallMargin) {
+        if (!edgeOpen('bottom', px)) addContact(0, -1, muI * (py - (height - wallMargin)) * WALL_STIFFNESS, -1);
+    }
+
+    // Custom wall segments
+    for (let w = 0; w < walls.length; w++) {
+        const wall = walls[w];
+        const wdx = wall.x2 - wall.x1;
+        const wdy = wall.y2 - wall.y1;
+        const wLen2 = wdx * wdx + wdy * wdy;
+        if (wLen2 < 0.01) continue;
+        const t = Math.max(0, Math.min(1, ((px - wall.x1) * wdx + (py - wall.y1) * wdy) / wLen2));
+        const distX = px - (wall.x1 + t * wdx);
+        const distY = py - (wall.y1 + t * wdy);
+        const dist2 = distX * distX + distY * distY;
+        const effectiveRadius = (wall.thickness || 8) + PARTICLE_RADIUS;
+        if (dist2 < effectiveRadius * effectiveRadius && dist2 > 0.001) {
+            const dist = Math.sqrt(dist2);
+            addContact(distX / dist, distY / dist, muI * (effectiveRadius - dist) * WALL_STIFFNESS * 0.5, -1);
+        }
+    }
+    return contactCount;
+}
+
+// Whether the contact frictions, each at most contactLimit along its own
+// tangent, can add up to (rx, ry). Their sums form a zonotope whose faces are
+// normal to the contact normals, so checking those directions is enough.
+function frictionCanReach(rx, ry, count) {
+    for (let k = 0; k < count; k++) {
+        const nx = contactNx[k], ny = contactNy[k];
+        let reach = 0;
+        for (let m = 0; m < count; m++) {
+            reach += contactLimit[m] * Math.abs(contactNx[m] * ny - contactNy[m] * nx);
+        }
+        if (Math.abs(rx * nx + ry * ny) > reach) return false;
+    }
+    return true;
+}
+
+function applyGranularFriction() {
+    let granular = false;
+    for (let k = 0; k < MAX_PHASES; k++) if (phaseFriction[k] > 0) granular = true;
+    if (!granular) return;
+
+    // Each grain only updates its own force: the kinetic pair terms are
+    // symmetric, so the neighbour applies the reaction itself
+    for (let i = 0; i < particleCount; i++) {
+        if (phaseFriction[p_phase[i]] === 0 || p_frozen[i]) continue;
+        const count = collectGrainContacts(i);
+        if (count === 0) continue;
+
+        // Static friction: cancel the whole velocity the grain would reach
+        const rx = -(p_vx[i] / stepDt + p_fx[i]);
+        const ry = -(p_vy[i] / stepDt + p_fy[i]);
+        if (frictionCanReach(rx, ry, count)) {
+            p_fx[i] += rx;
+            p_fy[i] += ry;
+            continue;
+        }
+
+        // Kinetic friction against the tangential relative velocity. A wall
+        // does not move, so it may stop the grain's predicted slide outright;
+        // between grains the drag is shared out to stay stable.
+        const stickLimit = 0.5 / (stepDt * count);
+        const massI = phaseMass[p_phase[i]];
+        for (let k = 0; k < count; k++) {
+            const j = contactOther[k];
+            let rvx, rvy, cap, share = 1.0;
+            if (j === -1) {
+                rvx = rx * stepDt;
+                rvy = ry * stepDt;
+                cap = 1.0 / stepDt;
+            } else {
+                rvx = p_vx[j] - p_vx[i];
+                rvy = p_vy[j] - p_vy[i];
+                cap = stickLimit;
+                const massJ = phaseMass[p_phase[j]];
+                share = 2.0 * massJ / (massI + massJ);
+            }
+            const vn = rvx * contactNx[k] + rvy * contactNy[k];
+            const tx = rvx - vn * contactNx[k], ty = rvy - vn * contactNy[k];
+            const vt = Math.sqrt(tx * tx + ty * ty);
+            if (vt < 1e-6) continue;
+            const coef = Math.min(contactLimit[k] / vt, cap) * share;
+            p_fx[i] += coef * tx;
+            p_fy[i] += coef * ty;
+        }
+    }
+}
 
 // ==========================================
 // FAST SQRT LOOKUP
@@ -185,30 +887,131 @@ function xorshift() {
     return (rngState >>> 0) / 4294967296;
 }
 
+// Integer hash used to derive reproducible RNG seeds from (seed, step, index).
+// sub-worker.js has a copy: keep both in sync.
+function hashSeed(seed, step, index) {
+    let h = Math.imul(seed ^ 0x9e3779b9, 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13) ^ step, 0xc2b2ae35);
+    h = Math.imul(h ^ (h >>> 16) ^ index, 0x85ebca6b);
+    h ^= h >>> 15;
+    return h || 1; // xorshift must never be seeded with 0
+}
+
+// ==========================================
+// DETERMINISTIC MODE
+// ==========================================
+// When enabled, every message that changes the simulation is queued and
+// applied at the start of a given step index instead of whenever it happens
+// to arrive between two frames. The step counter, the main RNG and the
+// sub-worker jitter are all derived from the seed, so an identical input
+// sequence always produces the same particle state.
+const DEFAULT_SEED = 12345;
+const INPUT_MESSAGES = new Set([
+    'resize', 'setCapacity', 'mouse', 'tool', 'params', 'addParticles', 'addSolid', 'reset',
+    'addEmitter', 'updateEmitter', 'removeEmitter', 'addDrain', 'removeDrain', 'addForceField', 'removeForceField',
+    'addWall', 'clearWalls', 'eraseWallNear', 'explosion', 'freezeAt', 'thawAt',
+    'addPortalPair', 'clearPortals', 'addRigidBody', 'removeRigidBody', 'clearRigidBodies',
+    'placeBoat', 'removeBoat', 'boatKeys', 'loadScene', 'restore'
+]);
+let simStep = 0;
+let deterministic = false;
+let detSeed = DEFAULT_SEED;
+let inputQueue = []; // [{ step, msg }] sorted by step, FIFO within a step
+
+function queueInput(msg) {
+    const at = msg.step !== undefined ? Math.max(msg.step, simStep) : simStep;
+    let i = inputQueue.length;
+    while (i > 0 && inputQueue[i - 1].step > at) i--;
+    inputQueue.splice(i, 0, { step: at, msg });
+}
+
+// A replay reads its log in order instead of queueing it up front: a
+// restore rewinds the step counter, so the events after it are keyed to
+// steps of the restored timeline.
+function nextInput(n) {
+    if (replayEvents) {
+        const e = replayEvents[replayCursor];
+        if (!e || e.step > simStep) return null;
+        replayCursor++;
+        return e.msg;
+    }
+    return n < inputQueue.length && inputQueue[n].step <= simStep ? inputQueue[n].msg : null;
+}
+
+function applyQueuedInputs() {
+    let n = 0;
+    let objectsChanged = false;
+    let msg;
+    while ((msg = nextInput(n)) !== null) {
+        if (!replayEvents) n++;
+        if (inputLog) recordInput(msg);
+        handleMessage(msg);
+        if (msg.type !== 'mouse' && msg.type !== 'boatKeys') objectsChanged = true;
+    }
+    if (n > 0) inputQueue.splice(0, n);
+    // Keep the main thread's overlay in sync with objects created by a replay
+    if (replayEndStep >= 0 && objectsChanged) {
+        self.postMessage({ type: 'sceneLoaded', scene: serializeScene(false) });
+    }
+}
+
+function setDeterministic(enabled, seed) {
+    if (seed !== undefined) detSeed = (seed >>> 0) || DEFAULT_SEED;
+    if (!enabled && inputQueue.length) {
+        // Leaving deterministic mode: apply whatever was still pending
+        const pending = inputQueue;
+        inputQueue = [];
+        for (const entry of pending) handleMessage(entry.msg);
+    }
+    deterministic = enabled;
+    if (enabled) {
+        simStep = 0;
+        rngState = hashSeed(detSeed, 0, 0);
+    }
+}
+
 // ==========================================
 // INITIALIZATION
 // ==========================================
 function initArrays() {
+    layout = sharedLayout(MAX_PARTICLES, MAX_GRID_CELLS);
     try {
-        sharedBuffer = new SharedArrayBuffer(TOTAL_SHARED_BYTES);
+        sharedBuffer = new SharedArrayBuffer(layout.totalBytes);
         control = new Int32Array(sharedBuffer, 0, CONTROL_INTS);
-        sharedParams = new Float32Array(sharedBuffer, PARAMS_OFFSET, PARAMS_FLOATS);
+        sharedParams = new Float32Array(sharedBuffer, layout.paramsOffset, PARAMS_FLOATS);
 
         // Particle arrays as views into SharedArrayBuffer
-        p_x           = new Float32Array(sharedBuffer, PARTICLE_OFFSET,                        MAX_PARTICLES);
-        p_y           = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 4,     MAX_PARTICLES);
-        p_vx          = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 8,     MAX_PARTICLES);
-        p_vy          = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 12,    MAX_PARTICLES);
-        p_fx          = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 16,    MAX_PARTICLES);
-        p_fy          = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 20,    MAX_PARTICLES);
-        p_density     = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 24,    MAX_PARTICLES);
-        p_nearDensity = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 28,    MAX_PARTICLES);
-        p_pressure    = new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 32,    MAX_PARTICLES);
-        p_nearPressure= new Float32Array(sharedBuffer, PARTICLE_OFFSET + MAX_PARTICLES * 36,    MAX_PARTICLES);
+        p_x           = new Float32Array(sharedBuffer, layout.particleOffset,                          MAX_PARTICLES);
+        p_y           = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 4,      MAX_PARTICLES);
+        p_vx          = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 8,      MAX_PARTICLES);
+        p_vy          = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 12,     MAX_PARTICLES);
+        p_fx          = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 16,     MAX_PARTICLES);
+        p_fy          = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 20,     MAX_PARTICLES);
+        p_density     = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 24,     MAX_PARTICLES);
+        p_nearDensity = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 28,     MAX_PARTICLES);
+        p_pressure    = new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 32,     MAX_PARTICLES);
+        p_nearPressure= new Float32Array(sharedBuffer, layout.particleOffset + MAX_PARTICLES * 36,     MAX_PARTICLES);
+
+        p_phase       = new Uint8Array(sharedBuffer, layout.phaseOffset, MAX_PARTICLES);
+        p_temperature = new Float32Array(sharedBuffer, layout.temperatureOffset, MAX_PARTICLES);
+        p_heat        = new Float32Array(sharedBuffer, layout.heatOffset, MAX_PARTICLES);
+        p_dyeR        = new Float32Array(sharedBuffer, layout.dyeOffset,                               MAX_PARTICLES);
+        p_dyeG        = new Float32Array(sharedBuffer, layout.dyeOffset + MAX_PARTICLES * 4,           MAX_PARTICLES);
+        p_dyeB        = new Float32Array(sharedBuffer, layout.dyeOffset + MAX_PARTICLES * 8,           MAX_PARTICLES);
+        p_dyeRateR    = new Float32Array(sharedBuffer, layout.dyeOffset + MAX_PARTICLES * 12,          MAX_PARTICLES);
+        p_dyeRateG    = new Float32Array(sharedBuffer, layout.dyeOffset + MAX_PARTICLES * 16,          MAX_PARTICLES);
+        p_dyeRateB    = new Float32Array(sharedBuffer, layout.dyeOffset + MAX_PARTICLES * 20,          MAX_PARTICLES);
+        p_viscosity   = new Float32Array(sharedBuffer, layout.viscosityOffset, MAX_PARTICLES);
+        p_frozen      = new Uint8Array(sharedBuffer, layout.frozenOffset, MAX_PARTICLES);
+        p_flags       = new Uint8Array(sharedBuffer, layout.flagsOffset, MAX_PARTICLES);
+        p_teleportCD  = new Float32Array(sharedBuffer, layout.teleportOffset, MAX_PARTICLES);
+        p_neighbours  = new Uint8Array(sharedBuffer, layout.neighbourOffset, MAX_PARTICLES);
+        sharedTables  = new Float32Array(sharedBuffer, layout.tablesOffset, TABLE_FLOATS);
+        sharedReduce  = new Float32Array(sharedBuffer, layout.reduceOffset, MAX_SUB_WORKERS * REDUCE_STRIDE);
 
         // Grid arrays on SharedArrayBuffer
-        cellHead      = new Int32Array(sharedBuffer, GRID_OFFSET, MAX_GRID_CELLS);
-        particleNext  = new Int32Array(sharedBuffer, GRID_OFFSET + MAX_GRID_CELLS * 4, MAX_PARTICLES);
+        cellHead      = new Int32Array(sharedBuffer, layout.gridOffset, MAX_GRID_CELLS);
+        particleNext  = new Int32Array(sharedBuffer, layout.gridOffset + MAX_GRID_CELLS * 4, MAX_PARTICLES);
 
         useMultiWorker = true;
         initSubWorkers();
@@ -225,6 +1028,20 @@ function initArrays() {
         p_nearDensity = new Float32Array(MAX_PARTICLES);
         p_pressure    = new Float32Array(MAX_PARTICLES);
         p_nearPressure= new Float32Array(MAX_PARTICLES);
+        p_phase       = new Uint8Array(MAX_PARTICLES);
+        p_temperature = new Float32Array(MAX_PARTICLES);
+        p_heat        = new Float32Array(MAX_PARTICLES);
+        p_dyeR        = new Float32Array(MAX_PARTICLES);
+        p_dyeG        = new Float32Array(MAX_PARTICLES);
+        p_dyeB        = new Float32Array(MAX_PARTICLES);
+        p_dyeRateR    = new Float32Array(MAX_PARTICLES);
+        p_dyeRateG    = new Float32Array(MAX_PARTICLES);
+        p_dyeRateB    = new Float32Array(MAX_PARTICLES);
+        p_viscosity   = new Float32Array(MAX_PARTICLES);
+        p_frozen      = new Uint8Array(MAX_PARTICLES);
+        p_flags       = new Uint8Array(MAX_PARTICLES);
+        p_teleportCD  = new Float32Array(MAX_PARTICLES);
+        p_neighbours  = new Uint8Array(MAX_PARTICLES);
 
         cellHead      = new Int32Array(MAX_GRID_CELLS);
         particleNext  = new Int32Array(MAX_PARTICLES);
@@ -242,61 +1059,186 @@ function fallbackToSingleThread() {
     // Arrays (views into SharedArrayBuffer) still work fine for single-thread
 }
 
+// Steps run on the coordinator alone until every sub-worker has its views
+function parallelReady() {
+    return useMultiWorker && subWorkersReady === numSubWorkers;
+}
+
 function initSubWorkers() {
     // Use available cores minus 2 (main thread + this coordinator)
     const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
-    numSubWorkers = Math.max(2, Math.min(cores - 2, 10));
+    numSubWorkers = Math.max(2, Math.min(cores - 2, MAX_SUB_WORKERS));
     subWorkersReady = 0;
-
-    const sliceSize = Math.ceil(MAX_PARTICLES / numSubWorkers);
+    // Workers replaced by a reallocation may still answer: ignore them
+    const generation = ++workerGeneration;
 
     for (let w = 0; w < numSubWorkers; w++) {
         const worker = new Worker('sub-worker.js');
         worker.onmessage = function(e) {
+            if (generation !== workerGeneration) return;
             if (e.data.type === 'ready') {
                 subWorkersReady++;
                 if (subWorkersReady === numSubWorkers && pendingSimStart) {
                     pendingSimStart = false;
-                    simLoop();
+                    startSimulation();
                 }
             }
         };
         worker.onerror = function(err) {
+            if (generation !== workerGeneration) return;
             console.error('Sub-worker failed:', err);
             fallbackToSingleThread();
             if (pendingSimStart) {
                 pendingSimStart = false;
-                simLoop();
+                startSimulation();
             }
         };
-        worker.postMessage({
+        worker.postMessage(Object.assign({
             type: 'init',
             sharedBuffer: sharedBuffer,
             maxParticles: MAX_PARTICLES,
             maxGridCells: MAX_GRID_CELLS,
-            particleOffset: PARTICLE_OFFSET,
-            gridOffset: GRID_OFFSET,
-            paramsOffset: PARAMS_OFFSET,
-            startIdx: w * sliceSize,
-            endIdx: Math.min((w + 1) * sliceSize, MAX_PARTICLES),
+            tableFloats: TABLE_FLOATS,
+            tables: {
+                walls: WALL_TABLE, portals: PORTAL_TABLE, explosions: EXPLOSION_TABLE,
+                drains: DRAIN_TABLE, bodies: BODY_TABLE, fields: FIELD_TABLE
+            },
+            reduceFloats: REDUCE_STRIDE,
             workerId: w
-        });
+        }, layout, { reduceOffset: layout.reduceOffset + w * REDUCE_STRIDE * 4 }));
         subWorkers.push(worker);
     }
 
     // Timeout: if sub-workers not ready in 3s, fall back to single-thread
     setTimeout(() => {
-        if (subWorkersReady < numSubWorkers) {
+        if (generation === workerGeneration && subWorkersReady < numSubWorkers) {
             console.warn('Sub-workers timeout, falling back to single thread');
             fallbackToSingleThread();
             if (pendingSimStart) {
                 pendingSimStart = false;
-                simLoop();
+                startSimulation();
             }
         }
     }, 3000);
 }
 
+// ==========================================
+// CAPACITY
+// ==========================================
+// The particle and foam capacities are chosen at init and can change later
+// with setCapacity. The grid grows with the domain (fitGrid). Everything they
+// size is reallocated together: the shared buffer with a new set of
+// sub-workers, the local arrays and the frame channel. main.js resizes the
+// renderer's instance buffers on the 'capacity' message.
+const MIN_CAPACITY = 1000;
+const MAX_CAPACITY = 200000;
+let reallocating = false;  // inside setCapacity, whose restore must not grow again
+
+function clampCapacity(n, fallback) {
+    n = Math.floor(Number(n));
+    return Number.isFinite(n) ? Math.max(MIN_CAPACITY, Math.min(n, MAX_CAPACITY)) : fallback;
+}
+
+// Local (never shared) arrays sized by the capacities, zeroed
+function allocateLocalArrays() {
+    foam_x = new Float32Array(MAX_FOAM);
+    foam_y = new Float32Array(MAX_FOAM);
+    foam_vx = new Float32Array(MAX_FOAM);
+    foam_vy = new Float32Array(MAX_FOAM);
+    foam_life = new Float32Array(MAX_FOAM);
+    foam_size = new Float32Array(MAX_FOAM);
+    transferFoamPos = new Float32Array(MAX_FOAM * 2);
+    transferFoamLife = new Float32Array(MAX_FOAM);
+    transferFoamSize = new Float32Array(MAX_FOAM);
+
+    p_material = new Uint8Array(MAX_PARTICLES);
+    p_id = new Int32Array(MAX_PARTICLES);
+
+    MAX_NEIGHBORS = MAX_PARTICLES * 40;
+    neigh_i = new Int32Array(MAX_NEIGHBORS);
+    neigh_j = new Int32Array(MAX_NEIGHBORS);
+    neigh_r = new Float32Array(MAX_NEIGHBORS);
+    neigh_q = new Float32Array(MAX_NEIGHBORS);
+
+    MAX_BONDS = MAX_PARTICLES * 4;
+    bondA = new Int32Array(MAX_BONDS);
+    bondB = new Int32Array(MAX_BONDS);
+    bondRest = new Float32Array(MAX_BONDS);
+    bondDegree = new Uint8Array(MAX_PARTICLES);
+    bondPartners = new Int32Array(MAX_PARTICLES * MAX_BONDS_PER_PARTICLE);
+
+    sortCell = new Int32Array(MAX_PARTICLES);
+    sortOrder = new Int32Array(MAX_PARTICLES);
+    sortRank = new Int32Array(MAX_PARTICLES);
+    cellStart = new Int32Array(MAX_GRID_CELLS + 1);
+    sortScratch = {
+        Float32Array: new Float32Array(MAX_PARTICLES),
+        Int32Array: new Int32Array(MAX_PARTICLES),
+        Uint8Array: new Uint8Array(MAX_PARTICLES)
+    };
+}
+
+function postCapacity() {
+    self.postMessage({
+        type: 'capacity', maxParticles: MAX_PARTICLES, maxFoam: MAX_FOAM, maxGridCells: MAX_GRID_CELLS,
+        width, height
+    });
+}
+
+// Moves the simulation to new capacities through a snapshot; particles, foam
+// and bonds past a smaller capacity are dropped. When the memory cannot be
+// allocated the previous capacities are kept, 'capacityError' is posted and
+// false returned.
+function setCapacity(maxParticles, maxFoam, maxGridCells = MAX_GRID_CELLS) {
+    const previous = [MAX_PARTICLES, MAX_FOAM, MAX_GRID_CELLS];
+    const snap = captureSnapshot();
+    const queued = inputQueue;
+    const allocate = (sizes) => {
+        [MAX_PARTICLES, MAX_FOAM, MAX_GRID_CELLS] = sizes;
+        // The old sub-workers are blocked on the old buffer
+        fallbackToSingleThread();
+        initArrays();
+        allocateLocalArrays();
+    };
+
+    let ok = true;
+    reallocating = true;
+    try {
+        allocate([maxParticles, maxFoam, maxGridCells]);
+    } catch (e) {
+        ok = false;
+        self.postMessage({
+            type: 'capacityError',
+            message: `Could not allocate ${maxParticles} particles and ${maxGridCells} grid cells: ${e.message}`
+        });
+        allocate(previous);
+    }
+    restoreSnapshot(snap);
+    reallocating = false;
+    inputQueue = queued;
+    // Spare frame sets and the frame channel have the old size
+    spareFrameSets.length = 0;
+    postCapacity();
+    initFrameChannel();
+    return ok;
+}
+
+// Sets cols and rows for the current domain. A domain with more cells than
+// the grid holds grows the grid; if that fails the domain is cut down to the
+// cells available rather than letting the grid overflow. The failed
+// setCapacity posts the cut size with the capacities so the canvases follow.
+function fitGrid() {
+    cols = Math.ceil(width / H);
+    rows = Math.ceil(height / H);
+    if (cols * rows <= MAX_GRID_CELLS) return;
+    if (!reallocating && setCapacity(MAX_PARTICLES, MAX_FOAM, cols * rows)) return;
+
+    cols = Math.min(cols, MAX_GRID_CELLS);
+    rows = Math.floor(MAX_GRID_CELLS / cols);
+    width = Math.min(width, cols * H);
+    height = Math.min(height, rows * H);
+}
+
 // ==========================================
 // SHARED PARAMS SYNC
 // ==========================================
@@ -310,6 +1252,26 @@ function updateSharedParams() {
     sharedParams[PARAM_WIDTH] = width;
     sharedParams[PARAM_HEIGHT] = height;
     sharedParams[PARAM_WALL_STIFF] = WALL_STIFFNESS;
+    sharedParams[PARAM_DT] = stepDt;
+    sharedParams[PARAM_CONDUCTION] = CONDUCTION;
+    sharedParams[PARAM_DYE_DIFFUSION] = DYE_DIFFUSION;
+    sharedParams[PARAM_RHEOLOGY] = RHEOLOGIES.indexOf(RHEOLOGY);
+    sharedParams[PARAM_FLOW_INDEX] = FLOW_INDEX;
+    sharedParams[PARAM_YIELD_STRESS] = YIELD_STRESS;
+    sharedParams.set(phaseMass, PARAM_PHASE_MASS);
+    sharedParams.set(phaseVisc, PARAM_PHASE_VISC);
+    sharedParams.set(phaseTension, PARAM_PHASE_TENSION);
+    sharedParams.set(phaseTemp, PARAM_PHASE_TEMP);
+    sharedParams.set(phaseMelt, PARAM_PHASE_MELT);
+    sharedParams.set(phaseFriction, PARAM_PHASE_FRICTION);
+    sharedParams[PARAM_MOUSE_X] = mouse.x;
+    sharedParams[PARAM_MOUSE_Y] = mouse.y;
+    sharedParams[PARAM_MOUSE_TOOL] = mouse.active ? Math.max(0, MOUSE_TOOLS.indexOf(activeTool)) : 0;
+    sharedParams[PARAM_TOOL_STRENGTH] = toolStrength;
+    sharedParams[PARAM_TOOL_RADIUS] = toolRadii[activeTool] || 0;
+    sharedParams[PARAM_MOUSE_DIR_X] = mouse.dirX;
+    sharedParams[PARAM_MOUSE_DIR_Y] = mouse.dirY;
+    sharedParams[PARAM_PERIODIC] = (periodX > 0 ? 1 : 0) | (periodY > 0 ? 2 : 0);
 }
 
 // ==========================================
@@ -321,11 +1283,48 @@ function signalSubWorkers(taskType) {
     Atomics.store(control, CTRL_TASK, taskType);
     Atomics.store(control, CTRL_COLS, cols);
     Atomics.store(control, CTRL_ROWS, rows);
+    Atomics.store(control, CTRL_DETERMINISTIC, deterministic ? 1 : 0);
+    Atomics.store(control, CTRL_SEED, detSeed);
+    Atomics.store(control, CTRL_STEP, simStep);
     // Increment phase to wake all sub-workers
     Atomics.add(control, CTRL_PHASE, 1);
     Atomics.notify(control, CTRL_PHASE);
 }
 
+// Splits the particles into one contiguous slice per sub-worker with about
+// the same number of neighbour pairs each (plus one per particle for the
+// per-particle work). Particles are sorted by cell, so the slices are also
+// compact regions; counts are from the previous step, new particles weigh 1.
+function balanceSlices() {
+    let total = 0;
+    for (let i = 0; i < particleCount; i++) total += 1 + p_neighbours[i];
+
+    let w = 1, acc = 0;
+    control[CTRL_SLICES] = 0;
+    for (let i = 0; i < particleCount && w < numSubWorkers; i++) {
+        acc += 1 + p_neighbours[i];
+        while (w < numSubWorkers && acc >= total * w / numSubWorkers) control[CTRL_SLICES + w++] = i + 1;
+    }
+    while (w <= numSubWorkers) control[CTRL_SLICES + w++] = particleCount;
+}
+
+// Particles in each sub-worker's slice at the last step
+function workerSliceSizes() {
+    const sizes = [];
+    for (let w = 0; w < numSubWorkers; w++) sizes.push(control[CTRL_SLICES + w + 1] - control[CTRL_SLICES + w]);
+    return sizes;
+}
+
+// Milliseconds each sub-worker spent on tasks since the last call
+function takeWorkerTimes() {
+    const times = [];
+    for (let w = 0; w < numSubWorkers; w++) {
+        times.push(sharedReduce[w * REDUCE_STRIDE + REDUCE_BUSY]);
+        sharedReduce[w * REDUCE_STRIDE + REDUCE_BUSY] = 0;
+    }
+    return times;
+}
+
 function waitBarrier() {
     // Spin-wait with Atomics.wait for done count to reach numSubWorkers
     while (Atomics.load(control, CTRL_DONE) < numSubWorkers) {
@@ -333,49 +1332,269 @@ function waitBarrier() {
     }
 }
 
+// ==========================================
+// SHARED SCENE TABLES
+// ==========================================
+// Written right before the task that reads them; the writers that can
+// overflow return false and the stage then runs on the coordinator.
+function writeWallTable() {
+    if (walls.length > MAX_SHARED_WALLS) return false;
+    for (let w = 0; w < walls.length; w++) {
+        const wall = walls[w], o = WALL_TABLE + w * WALL_FLOATS;
+        sharedTables[o] = wall.x1;
+        sharedTables[o + 1] = wall.y1;
+        sharedTables[o + 2] = wall.x2;
+        sharedTables[o + 3] = wall.y2;
+        sharedTables[o + 4] = wall.thickness || 8;
+    }
+    control[CTRL_WALLS] = walls.length;
+    return true;
+}
+
+// Row per body: type (0 box, 1 circle, 2 triangle), x, y, angle, halfW,
+// halfH, radius, vx, vy, omega, the three local triangle vertices, then the
+// contact and buoyancy reach used by applyRigidBodyForces
+function writeBodyTable() {
+    for (let b = 0; b < rigidBodies.length; b++) {
+        const body = rigidBodies[b], o = BODY_TABLE + b * BODY_FLOATS;
+        const reach = bodyReach(body);
+        sharedTables[o] = body.type === 'box' ? 0 : body.type === 'circle' ? 1 : 2;
+        sharedTables[o + 1] = body.x;
+        sharedTables[o + 2] = body.y;
+        sharedTables[o + 3] = body.angle;
+        sharedTables[o + 4] = body.halfW || 0;
+        sharedTables[o + 5] = body.halfH || 0;
+        sharedTables[o + 6] = body.radius || 0;
+        sharedTables[o + 7] = body.vx;
+        sharedTables[o + 8] = body.vy;
+        sharedTables[o + 9] = body.omega;
+        for (let v = 0; v < 3; v++) {
+            sharedTables[o + 10 + v * 2] = body.localVerts ? body.localVerts[v].x : 0;
+            sharedTables[o + 11 + v * 2] = body.localVerts ? body.localVerts[v].y : 0;
+        }
+        sharedTables[o + 16] = reach.quick;
+        sharedTables[o + 17] = reach.check;
+    }
+    control[CTRL_BODIES] = rigidBodies.length;
+}
+
+// Drains always fit (addDrain stops at MAX_SHARED_DRAINS); written every
+// step since the force pass also needs the open outflow spans
+function writeDrainTable() {
+    for (let d = 0; d < drains.length; d++) {
+        const drain = drains[d], o = DRAIN_TABLE + d * DRAIN_FLOATS;
+        sharedTables[o] = DRAIN_SHAPES.indexOf(drain.shape);
+        sharedTables[o + 1] = drain.minX;
+        sharedTables[o + 2] = drain.minY;
+        sharedTables[o + 3] = drain.maxX;
+        sharedTables[o + 4] = drain.maxY;
+        sharedTables[o + 5] = drain.shape === 'outflow' ? OUTFLOW_SIDES.indexOf(drain.side) : drain.radius * drain.radius;
+    }
+    control[CTRL_DRAINS] = drains.length;
+}
+
+// Portals, explosions (strength already scaled by age) and force fields
+function writeIntegrationTables() {
+    if (portals.length > MAX_SHARED_PORTALS || explosions.length > MAX_SHARED_EXPLOSIONS ||
+        forceFields.length > MAX_SHARED_FIELDS) return false;
+    for (let pp = 0; pp < portals.length; pp++) {
+        const pair = portals[pp], o = PORTAL_TABLE + pp * PORTAL_FLOATS;
+        sharedTables[o] = pair.p1x;
+        sharedTables[o + 1] = pair.p1y;
+        sharedTables[o + 2] = pair.p2x;
+        sharedTables[o + 3] = pair.p2y;
+        sharedTables[o + 4] = pair.r2;
+    }
+    for (let e = 0; e < explosions.length; e++) {
+        const exp = explosions[e], o = EXPLOSION_TABLE + e * EXPLOSION_FLOATS;
+        sharedTables[o] = exp.x;
+        sharedTables[o + 1] = exp.y;
+        sharedTables[o + 2] = exp.radius;
+        sharedTables[o + 3] = exp.strength * (1.0 - exp.age / exp.maxAge);
+    }
+    for (let f = 0; f < forceFields.length; f++) {
+        const field = forceFields[f], o = FIELD_TABLE + f * FIELD_FLOATS;
+        sharedTables[o] = FIELD_TYPES.indexOf(field.type);
+        sharedTables[o + 1] = field.x;
+        sharedTables[o + 2] = field.y;
+        sharedTables[o + 3] = field.radius;
+        sharedTables[o + 4] = field.strength;
+        sharedTables[o + 5] = field.falloffIndex;
+        sharedTables[o + 6] = field.dirX;
+        sharedTables[o + 7] = field.dirY;
+        sharedTables[o + 8] = field.age;
+    }
+    control[CTRL_PORTALS] = portals.length;
+    control[CTRL_EXPLOSIONS] = explosions.length;
+    control[CTRL_FIELDS] = forceFields.length;
+    return true;
+}
+
 // ==========================================
 // GRID
 // ==========================================
 function updateGrid() {
     cellHead.fill(-1);
     for (let i = 0; i < particleCount; i++) {
-        const cx = Math.max(0, Math.min(cols - 1, (p_x[i] / H) | 0));
-        const cy = Math.max(0, Math.min(rows - 1, (p_y[i] / H) | 0));
+        const cx = Math.max(0, Math.min(cols - 1, (p_x[i] / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (p_y[i] / cellH) | 0));
         const cid = cx + cy * cols;
         particleNext[i] = cellHead[cid];
         cellHead[cid] = i;
     }
 }
 
+// ==========================================
+// PERIODIC BOUNDARIES
+// ==========================================
+// Each axis is either closed (walls) or periodic: particles leaving one side
+// come back on the other and neighbours are found across the seam. The
+// period is the window itself, so the seam is the visible edge: a periodic
+// axis gets floor(width / H) cells stretched to span it exactly, a closed
+// one keeps H-sized cells over the ceil. The stretched count never exceeds
+// what fitGrid allocated. An axis shorter than three cells stays closed,
+// otherwise the neighbour search would visit a cell twice.
+//
+// Mouse tools and force fields measure their reach across the seam too.
+// Drains, walls, portals, explosions and rigid bodies do not: they act on
+// the side they were placed on only, and an outflow span on a periodic side
+// catches nothing since particles wrap before crossing it.
+let periodicX = false;
+let periodicY = false;
+let periodX = 0; // 0 when the axis is closed
+let periodY = 0;
+let cellW = H;   // grid cell size, stretched on a periodic axis
+let cellH = H;
+
+function updatePeriods() {
+    periodX = periodicX && width >= 3 * H ? width : 0;
+    periodY = periodicY && height >= 3 * H ? height : 0;
+    cols = periodX > 0 ? Math.floor(width / H) : Math.ceil(width / H);
+    rows = periodY > 0 ? Math.floor(height / H) : Math.ceil(height / H);
+    cellW = periodX > 0 ? width / cols : H;
+    cellH = periodY > 0 ? height / rows : H;
+}
+
+// Shortest offset between two particles along x (minimum image)
+function wrapDx(dx) {
+    if (periodX > 0) {
+        if (dx > periodX * 0.5) return dx - periodX;
+        if (dx < -periodX * 0.5) return dx + periodX;
+    }
+    return dx;
+}
+
+function wrapDy(dy) {
+    if (periodY > 0) {
+        if (dy > periodY * 0.5) return dy - periodY;
+        if (dy < -periodY * 0.5) return dy + periodY;
+    }
+    return dy;
+}
+
+// Neighbour cell column / row, wrapped on a periodic axis, -1 past a wall
+function neighbourCol(nx) {
+    if (nx >= 0 && nx < cols) return nx;
+    return periodX > 0 ? (nx + cols) % cols : -1;
+}
+
+function neighbourRow(ny) {
+    if (ny >= 0 && ny < rows) return ny;
+    return periodY > 0 ? (ny + rows) % rows : -1;
+}
+
+// ==========================================
+// CELL SORTING
+// ==========================================
+// The neighbour loops walk the grid cell by cell, so particles stored in
+// cell order are read from nearby memory. Every sortInterval steps a counting
+// sort by cell reorders every array of perParticleArrays() (new attributes
+// only need to be listed there) and remaps the bonds, the only particle
+// indices kept from one step to the next. 0 disables the sort. Outside the
+// worker a particle is followed by its p_id, saved with the scene particles.
+const SORT_INTERVAL = 8;
+let sortInterval = SORT_INTERVAL;
+let sortCell = new Int32Array(MAX_PARTICLES);   // cell of each particle
+let sortOrder = new Int32Array(MAX_PARTICLES);  // new index -> old index
+let sortRank = new Int32Array(MAX_PARTICLES);   // old index -> new index
+let cellStart = new Int32Array(MAX_GRID_CELLS + 1);
+let sortScratch = {
+    Float32Array: new Float32Array(MAX_PARTICLES),
+    Int32Array: new Int32Array(MAX_PARTICLES),
+    Uint8Array: new Uint8Array(MAX_PARTICLES)
+};
+
+function sortParticlesByCell() {
+    const cellCount = cols * rows;
+    cellStart.fill(0, 0, cellCount + 1);
+    for (let i = 0; i < particleCount; i++) {
+        const cx = Math.max(0, Math.min(cols - 1, (p_x[i] / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (p_y[i] / cellH) | 0));
+        const cid = cx + cy * cols;
+        sortCell[i] = cid;
+        cellStart[cid + 1]++;
+    }
+    for (let c = 0; c < cellCount; c++) cellStart[c + 1] += cellStart[c];
+
+    // Stable: particles of a cell keep their relative order
+    let moved = false;
+    for (let i = 0; i < particleCount; i++) {
+        const k = cellStart[sortCell[i]]++;
+        sortOrder[k] = i;
+        sortRank[i] = k;
+        if (k !== i) moved = true;
+    }
+    if (!moved) return;
+
+    const arrays = perParticleArrays();
+    for (const name in arrays) {
+        const array = arrays[name];
+        const scratch = sortScratch[array.constructor.name];
+        scratch.set(array.subarray(0, particleCount));
+        for (let k = 0; k < particleCount; k++) array[k] = scratch[sortOrder[k]];
+    }
+    for (let b = 0; b < bondCount; b++) {
+        bondA[b] = sortRank[bondA[b]];
+        bondB[b] = sortRank[bondB[b]];
+    }
+}
+
 // ==========================================
 // DENSITY & PRESSURE (single-threaded fallback)
 // ==========================================
 function computeDensityPressure() {
     neighborCount = 0;
+    const shearNeeded = RHEOLOGY !== 'newtonian';
     for (let i = 0; i < particleCount; i++) {
         let d = 0, nd = 0;
+        let shear2 = 0, sumQ = 0;
         const px = p_x[i], py = p_y[i];
-        const cx = Math.max(0, Math.min(cols - 1, (px / H) | 0));
-        const cy = Math.max(0, Math.min(rows - 1, (py / H) | 0));
-
-        const cxMin = cx > 0 ? cx - 1 : 0;
-        const cxMax = cx < cols - 1 ? cx + 1 : cols - 1;
-        const cyMin = cy > 0 ? cy - 1 : 0;
-        const cyMax = cy < rows - 1 ? cy + 1 : rows - 1;
-
-        for (let ny = cyMin; ny <= cyMax; ny++) {
-            for (let nx = cxMin; nx <= cxMax; nx++) {
+        const cx = Math.max(0, Math.min(cols - 1, (px / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (py / cellH) | 0));
+
+        for (let oy = -1; oy <= 1; oy++) {
+            const ny = neighbourRow(cy + oy);
+            if (ny < 0) continue;
+            for (let ox = -1; ox <= 1; ox++) {
+                const nx = neighbourCol(cx + ox);
+                if (nx < 0) continue;
                 let j = cellHead[nx + ny * cols];
                 while (j !== -1) {
                     if (i !== j) {
-                        const dx = p_x[j] - px;
-                        const dy = p_y[j] - py;
+                        const dx = wrapDx(p_x[j] - px);
+                        const dy = wrapDy(p_y[j] - py);
                         const r2 = dx * dx + dy * dy;
                         if (r2 < H2) {
                             const r = r2 < 1.0 ? Math.sqrt(r2) : fastSqrt(r2);
                             const q = 1.0 - r / H;
                             d += q * q;
                             nd += q * q * q;
+                            if (shearNeeded) {
+                                const dvx = p_vx[j] - p_vx[i];
+                                const dvy = p_vy[j] - p_vy[i];
+                                shear2 += q * (dvx * dvx + dvy * dvy) / Math.max(r2, PARTICLE_RADIUS * PARTICLE_RADIUS);
+                                sumQ += q;
+                            }
 
                             if (neighborCount < MAX_NEIGHBORS) {
                                 neigh_i[neighborCount] = i;
@@ -395,10 +1614,12 @@ function computeDensityPressure() {
         nd += 1.0;
         if (d < 0.1) d = 0.1;
 
+        const mass = phaseMass[p_phase[i]];
         p_density[i] = d;
         p_nearDensity[i] = nd;
-        p_pressure[i] = Math.max(-GAS_CONST * 0.1, GAS_CONST * (d - REST_DENS));
-        p_nearPressure[i] = NEAR_GAS_CONST * nd;
+        p_pressure[i] = Math.max(-GAS_CONST * 0.1, GAS_CONST * (d - REST_DENS)) * mass;
+        p_nearPressure[i] = NEAR_GAS_CONST * nd * mass;
+        p_viscosity[i] = effectiveViscosity(i, sumQ > 0 ? Math.sqrt(shear2 / sumQ) : 0);
     }
 }
 
@@ -412,10 +1633,16 @@ function computeForces() {
 
         const wallMargin = PARTICLE_RADIUS * 2;
         let wallFx = 0, wallFy = 0;
-        if (px < wallMargin) wallFx += (wallMargin - px) * WALL_STIFFNESS;
-        else if (px > width - wallMargin) wallFx -= (px - (width - wallMargin)) * WALL_STIFFNESS;
-        if (py < wallMargin) wallFy += (wallMargin - py) * WALL_STIFFNESS;
-        else if (py > height - wallMargin) wallFy -= (py - (height - wallMargin)) * WALL_STIFFNESS;
+        if (px < wallMargin) {
+            if (!edgeOpen('left', py)) wallFx += (wallMargin - px) * WALL_STIFFNESS;
+        } else if (px > width - wallMargin) {
+            if (!edgeOpen('right', py)) wallFx -= (px - (width - wallMargin)) * WALL_STIFFNESS;
+        }
+        if (py < wallMargin) {
+            if (!edgeOpen('top', px)) wallFy += (wallMargin - py) * WALL_STIFFNESS;
+        } else if (py > height - wallMargin) {
+            if (!edgeOpen('bottom', px)) wallFy -= (py - (height - wallMargin)) * WALL_STIFFNESS;
+        }
 
         // Custom wall segments
         for (let w = 0; w < walls.length; w++) {
@@ -448,6 +1675,10 @@ function computeForces() {
 
         p_fx[i] = wallFx + GRAVITY_X;
         p_fy[i] = wallFy + GRAVITY_Y;
+        p_heat[i] = 0;
+        p_dyeRateR[i] = 0;
+        p_dyeRateG[i] = 0;
+        p_dyeRateB[i] = 0;
     }
 
     // Iterate cached neighbor pairs
@@ -457,8 +1688,8 @@ function computeForces() {
         const r = neigh_r[n];
         const q = neigh_q[n];
 
-        let dx = p_x[j] - p_x[i];
-        let dy = p_y[j] - p_y[i];
+        let dx = wrapDx(p_x[j] - p_x[i]);
+        let dy = wrapDy(p_y[j] - p_y[i]);
 
         let actualR = r;
         if (r < 0.001) {
@@ -469,26 +1700,42 @@ function computeForces() {
         }
 
         const pDens = p_density[i];
+        const phaseI = p_phase[i], phaseJ = p_phase[j];
+        const massI = phaseMass[phaseI], massJ = phaseMass[phaseJ];
         const avgPress = (p_pressure[i] + p_pressure[j]) * 0.5;
         const avgNearPress = (p_nearPressure[i] + p_nearPressure[j]) * 0.5;
-        const cohesion = SURFACE_TENSION * q * (1.0 - q);
+        const tension = (phaseTension[phaseI] + phaseTension[phaseJ]) * 0.5;
+        const cohesion = tension * q * (1.0 - q) * (massI + massJ) * 0.5;
         const forcePress = (avgPress * q + avgNearPress * q * q) / pDens;
-        const totalForce = forcePress - cohesion;
+        const totalForce = (forcePress - cohesion) / massI;
         const invR = 1.0 / actualR;
 
         p_fx[i] -= totalForce * dx * invR;
         p_fy[i] -= totalForce * dy * invR;
 
-        const VISC_STABILITY_LIMIT = 0.5 / (DT / SUBSTEPS);
-        const forceVisc = Math.min(VISC * q / pDens, VISC_STABILITY_LIMIT);
+        // Momentum-conserving split of the viscous exchange between phases
+        const VISC_STABILITY_LIMIT = 0.5 / stepDt;
+        const tempI = p_temperature[i], tempJ = p_temperature[j];
+        const visc = (p_viscosity[i] + p_viscosity[j]) * 0.5;
+        const massShare = 2.0 * massJ / (massI + massJ);
+        const forceVisc = Math.min(visc * q / pDens, VISC_STABILITY_LIMIT) * massShare;
         p_fx[i] += forceVisc * (p_vx[j] - p_vx[i]);
         p_fy[i] += forceVisc * (p_vy[j] - p_vy[i]);
+
+        // Heat conduction, split between phases the same way
+        p_heat[i] += Math.min(CONDUCTION * q / pDens, VISC_STABILITY_LIMIT) * massShare * (tempJ - tempI);
+
+        const dyeMix = Math.min(DYE_DIFFUSION * q / pDens, VISC_STABILITY_LIMIT);
+        p_dyeRateR[i] += dyeMix * (p_dyeR[j] - p_dyeR[i]);
+        p_dyeRateG[i] += dyeMix * (p_dyeG[j] - p_dyeG[i]);
+        p_dyeRateB[i] += dyeMix * (p_dyeB[j] - p_dyeB[i]);
     }
 }
 
 // ==========================================
 // CUSTOM WALL FORCES (multi-worker mode only)
-// Applied after sub-workers compute particle + boundary forces
+// Applied after sub-workers compute particle + boundary forces, on the
+// coordinator when there are more walls than MAX_SHARED_WALLS
 // ==========================================
 function applyCustomWallForces() {
     if (walls.length === 0) return;
@@ -524,6 +1771,148 @@ function applyCustomWallForces() {
     }
 }
 
+// ==========================================
+// POSITION BASED FLUIDS (alternative solver)
+// ==========================================
+// Instead of turning compression into a pressure force, the PBF solver
+// predicts where every particle would go under the non-pressure forces and
+// then iteratively moves the predictions until each neighbourhood is back at
+// REST_DENS (Macklin & Mueller 2013). Only compression is corrected so that
+// free surfaces do not clump, and corrections are weighted by the inverse
+// particle mass so that heavier phases give way less.
+//
+// The projection runs on the grid and neighbour cache of the current step,
+// with the scratch arrays reused as follows:
+//   p_fx, p_fy                 predicted displacement D (x* = x + D)
+//   p_density                  density at x*
+//   p_nearDensity              constraint multiplier lambda
+//   p_pressure, p_nearPressure position correction of the iteration
+// It finally leaves the force that integrate() needs to land on x* in
+// p_fx/p_fy, so tools, collisions and drains behave as with the other solver.
+// Distances use Math.sqrt: the fastSqrt table is far too coarse near zero
+// for the 1 / r of the constraint gradients.
+const PBF_RELAXATION = 1e-3; // Constraint force mixing, keeps lambda finite
+let solverMode = 'ddr';      // 'ddr' (double density relaxation) or 'pbf'
+let pbfIterations = 4;
+
+function predictPositions() {
+    const dt = stepDt;
+    for (let i = 0; i < particleCount; i++) {
+        if (p_frozen[i]) {
+            p_fx[i] = 0;
+            p_fy[i] = 0;
+            continue;
+        }
+        p_fx[i] = (p_vx[i] + p_fx[i] * dt) * dt;
+        p_fy[i] = (p_vy[i] + p_fy[i] * dt) * dt;
+    }
+}
+
+// Single-threaded lambda pass over the cached neighbour pairs (grouped by i)
+function computeConstraintLambdas() {
+    let n = 0;
+    for (let i = 0; i < particleCount; i++) {
+        const px = p_x[i] + p_fx[i], py = p_y[i] + p_fy[i];
+        let d = 1.0, gradX = 0, gradY = 0, sumGrad2 = 0;
+
+        for (; n < neighborCount && neigh_i[n] === i; n++) {
+            const j = neigh_j[n];
+            const dx = wrapDx(p_x[j] + p_fx[j] - px);
+            const dy = wrapDy(p_y[j] + p_fy[j] - py);
+            const r2 = dx * dx + dy * dy;
+            if (r2 >= H2) continue;
+            const r = Math.sqrt(r2);
+            const q = 1.0 - r / H;
+            d += q * q;
+            if (r < 0.001) continue;
+            const g = 2.0 * q / (H * REST_DENS * r);
+            gradX += g * dx;
+            gradY += g * dy;
+            sumGrad2 += g * g * r2 / phaseMass[p_phase[j]];
+        }
+
+        const C = Math.max(d / REST_DENS - 1.0, 0);
+        const grad2 = (gradX * gradX + gradY * gradY) / phaseMass[p_phase[i]];
+        p_density[i] = d;
+        p_nearDensity[i] = -C / (sumGrad2 + grad2 + PBF_RELAXATION);
+    }
+}
+
+// Single-threaded correction pass, same pair order as the lambda pass
+function computePositionCorrections() {
+    let n = 0;
+    for (let i = 0; i < particleCount; i++) {
+        const px = p_x[i] + p_fx[i], py = p_y[i] + p_fy[i];
+        const lambda = p_nearDensity[i];
+        let corrX = 0, corrY = 0;
+
+        for (; n < neighborCount && neigh_i[n] === i; n++) {
+            const j = neigh_j[n];
+            const dx = wrapDx(p_x[j] + p_fx[j] - px);
+            const dy = wrapDy(p_y[j] + p_fy[j] - py);
+            const r2 = dx * dx + dy * dy;
+            if (r2 >= H2 || r2 < 0.000001) continue;
+            const r = Math.sqrt(r2);
+            const q = 1.0 - r / H;
+            const s = (lambda + p_nearDensity[j]) * 2.0 * q / (H * REST_DENS * r);
+            corrX += s * dx;
+            corrY += s * dy;
+        }
+
+        const invMass = 1.0 / phaseMass[p_phase[i]];
+        p_pressure[i] = corrX * invMass;
+        p_nearPressure[i] = corrY * invMass;
+    }
+}
+
+// Moves the predictions (Jacobi update) and keeps them inside the container
+function applyPositionCorrections() {
+    for (let i = 0; i < particleCount; i++) {
+        if (p_frozen[i]) continue;
+        let x = p_x[i] + p_fx[i] + p_pressure[i];
+        let y = p_y[i] + p_fy[i] + p_nearPressure[i];
+        if ((x < PARTICLE_RADIUS || x > width - PARTICLE_RADIUS) &&
+            !edgeOpen(x < PARTICLE_RADIUS ? 'left' : 'right', y)) {
+            x = Math.max(PARTICLE_RADIUS, Math.min(width - PARTICLE_RADIUS, x));
+        }
+        if ((y < PARTICLE_RADIUS || y > height - PARTICLE_RADIUS) &&
+            !edgeOpen(y < PARTICLE_RADIUS ? 'top' : 'bottom', x)) {
+            y = Math.max(PARTICLE_RADIUS, Math.min(height - PARTICLE_RADIUS, y));
+        }
+        p_fx[i] = x - p_x[i];
+        p_fy[i] = y - p_y[i];
+    }
+}
+
+// The force pass then only adds gravity, walls, cohesion and viscosity
+function clearPressures() {
+    p_pressure.fill(0, 0, particleCount);
+    p_nearPressure.fill(0, 0, particleCount);
+}
+
+function projectDensityConstraints() {
+    predictPositions();
+    for (let k = 0; k < pbfIterations; k++) {
+        if (parallelReady()) {
+            signalSubWorkers(TASK_PBF_LAMBDAS);
+            waitBarrier();
+            signalSubWorkers(TASK_PBF_CORRECTIONS);
+            waitBarrier();
+        } else {
+            computeConstraintLambdas();
+            computePositionCorrections();
+        }
+        applyPositionCorrections();
+    }
+
+    // Force that moves each particle from x to x* in one integrate() step
+    const invDt2 = 1.0 / (stepDt * stepDt);
+    for (let i = 0; i < particleCount; i++) {
+        p_fx[i] = (p_fx[i] - p_vx[i] * stepDt) * invDt2;
+        p_fy[i] = (p_fy[i] - p_vy[i] * stepDt) * invDt2;
+    }
+}
+
 // ==========================================
 // RIGID BODY COLLISION DETECTION
 // ==========================================
@@ -607,9 +1996,62 @@ function collideParticleTriangle(px, py, body) {
 // ==========================================
 // RIGID BODY FORCES (two-way coupling)
 // ==========================================
+// How close a particle must be for a contact test (quick) and to count
+// towards buoyancy (check)
+function bodyReach(body) {
+    let contactR, buoyancyR;
+    if (body.type === 'circle') {
+        contactR = buoyancyR = body.radius;
+    } else if (body.type === 'box') {
+        contactR = Math.sqrt(body.halfW * body.halfW + body.halfH * body.halfH);
+        buoyancyR = Math.max(body.halfW, body.halfH);
+    } else {
+        let maxR2 = 0;
+        for (let v = 0; v < 3; v++) maxR2 = Math.max(maxR2, body.localVerts[v].x * body.localVerts[v].x + body.localVerts[v].y * body.localVerts[v].y);
+        contactR = buoyancyR = Math.sqrt(maxR2);
+    }
+    return { quick: contactR + PARTICLE_RADIUS + 5, check: buoyancyR + H };
+}
+
+const bodySubmerged = new Float64Array(MAX_RIGID_BODIES);
+
 function applyRigidBodyForces() {
     if (rigidBodies.length === 0) return;
 
+    if (parallelReady()) {
+        // Sub-workers push the particles and sum the reactions of their slice
+        writeBodyTable();
+        signalSubWorkers(TASK_BODIES);
+        waitBarrier();
+        for (let b = 0; b < rigidBodies.length; b++) {
+            const body = rigidBodies[b];
+            body.fx = GRAVITY_X * body.mass;
+            body.fy = GRAVITY_Y * body.mass;
+            body.torque = 0;
+            bodySubmerged[b] = 0;
+            for (let w = 0; w < numSubWorkers; w++) {
+                const o = w * REDUCE_STRIDE + REDUCE_BODIES + b * 4;
+                body.fx += sharedReduce[o];
+                body.fy += sharedReduce[o + 1];
+                body.torque += sharedReduce[o + 2];
+                bodySubmerged[b] += sharedReduce[o + 3];
+            }
+        }
+    } else {
+        applyRigidBodyContacts();
+    }
+
+    // Buoyancy from the particles around each body
+    for (let b = 0; b < rigidBodies.length; b++) {
+        const body = rigidBodies[b];
+        body.fy -= bodySubmerged[b] * 0.8 * GRAVITY_Y * (body.mass / 60.0);
+    }
+}
+
+// Single-threaded contacts; mirrored by computeBodySlice in sub-worker.js
+function applyRigidBodyContacts() {
+    const reach = rigidBodies.map(bodyReach);
+
     // Reset forces, apply gravity
     for (let b = 0; b < rigidBodies.length; b++) {
         const body = rigidBodies[b];
@@ -627,16 +2069,8 @@ function applyRigidBodyForces() {
             const body = rigidBodies[b];
 
             // AABB early out
-            let bRadius;
-            if (body.type === 'circle') bRadius = body.radius;
-            else if (body.type === 'box') bRadius = Math.sqrt(body.halfW * body.halfW + body.halfH * body.halfH);
-            else {
-                let maxR2 = 0;
-                for (let v = 0; v < 3; v++) maxR2 = Math.max(maxR2, body.localVerts[v].x * body.localVerts[v].x + body.localVerts[v].y * body.localVerts[v].y);
-                bRadius = Math.sqrt(maxR2);
-            }
             const ddx = px - body.x, ddy = py - body.y;
-            const quickR = bRadius + PARTICLE_RADIUS + 5;
+            const quickR = reach[b].quick;
             if (ddx * ddx + ddy * ddy > quickR * quickR) continue;
 
             let col;
@@ -670,6 +2104,21 @@ function applyRigidBodyForces() {
                 totalFy += col.ny * dampF;
             }
 
+            // Grains rub along the surface (see GRANULAR MATERIALS)
+            const mu = phaseFriction[p_phase[i]];
+            if (mu > 0) {
+                const relVx = p_vx[i] - bodyVxC, relVy = p_vy[i] - bodyVyC;
+                const tx = relVx - relVn * col.nx, ty = relVy - relVn * col.ny;
+                const vt = Math.sqrt(tx * tx + ty * ty);
+                if (vt > 1e-6) {
+                    const coef = Math.min(mu * forceMag / vt, 0.5 / stepDt);
+                    p_fx[i] -= coef * tx;
+                    p_fy[i] -= coef * ty;
+                    totalFx -= coef * tx;
+                    totalFy -= coef * ty;
+                }
+            }
+
             // Reaction on body (Newton's 3rd law)
             body.fx -= totalFx;
             body.fy -= totalFy;
@@ -680,22 +2129,13 @@ function applyRigidBodyForces() {
     // Buoyancy: count nearby particles
     for (let b = 0; b < rigidBodies.length; b++) {
         const body = rigidBodies[b];
-        let bRadius;
-        if (body.type === 'circle') bRadius = body.radius;
-        else if (body.type === 'box') bRadius = Math.max(body.halfW, body.halfH);
-        else {
-            let maxR2 = 0;
-            for (let v = 0; v < 3; v++) maxR2 = Math.max(maxR2, body.localVerts[v].x * body.localVerts[v].x + body.localVerts[v].y * body.localVerts[v].y);
-            bRadius = Math.sqrt(maxR2);
-        }
-        const checkR = bRadius + H;
-        const checkR2 = checkR * checkR;
+        const checkR2 = reach[b].check * reach[b].check;
         let submerged = 0;
         for (let i = 0; i < particleCount; i++) {
             const ddx = p_x[i] - body.x, ddy = p_y[i] - body.y;
             if (ddx * ddx + ddy * ddy < checkR2) submerged++;
         }
-        body.fy -= submerged * 0.8 * GRAVITY_Y * (body.mass / 60.0);
+        bodySubmerged[b] = submerged;
     }
 }
 
@@ -703,7 +2143,7 @@ function applyRigidBodyForces() {
 // RIGID BODY INTEGRATION
 // ==========================================
 function integrateRigidBodies() {
-    const dt = DT / SUBSTEPS;
+    const dt = stepDt;
 
     for (let b = 0; b < rigidBodies.length; b++) {
         const body = rigidBodies[b];
@@ -787,6 +2227,10 @@ function integrateRigidBodies() {
 // ==========================================
 // BATEAU — COUPLAGE FLUIDE (collision + moteur)
 // ==========================================
+// Runs on the coordinator in both modes, unlike the rigid bodies: the wake
+// draws its foam from the shared RNG in particle order, and slices would
+// interleave those draws differently with each thread count, so a recorded
+// session would no longer replay the same on another machine.
 function applyBoatForces() {
     if (!boat) return;
     boat.fx = 0;
@@ -928,7 +2372,7 @@ function applyBoatForces() {
 // ==========================================
 function integrateBoat() {
     if (!boat) return;
-    const dt = DT / SUBSTEPS;
+    const dt = stepDt;
 
     // Logique de gouvernail et de moteur avec puissance variable
     let thrust = 0;
@@ -991,14 +2435,124 @@ function integrateBoat() {
     if (boat.y + BOAT_HALF_H > height - margin) { boat.y = height - margin - BOAT_HALF_H; boat.vy *= -0.4; }
 }
 
+// ==========================================
+// FORCE FIELDS
+// ==========================================
+// Persistent fields placed with the Champ tool, acting on every particle
+// within their radius until erased:
+//   directional  along the field's angle
+//   radial       away from the centre, towards it for a negative strength
+//   vortex       around the centre, the same way as the vortex tool when positive
+//   turbulence   along the curl of a slowly drifting noise, which stirs the
+//                fluid without compressing it
+// The falloff scales the strength from the centre (1) to the radius.
+// integrateSlice applies them, sub-worker.js reads them from FIELD_TABLE.
+const FIELD_TYPES = ['directional', 'radial', 'vortex', 'turbulence'];
+const FIELD_FALLOFFS = ['none', 'linear', 'smooth'];
+const TURBULENCE_SCALE = 60;   // px per noise cell, same as sub-worker.js
+const TURBULENCE_SPEED = 0.5;  // noise cells drifted per second
+
+function createForceField(src) {
+    const angle = src.angle || 0;
+    const falloff = FIELD_FALLOFFS.includes(src.falloff) ? src.falloff : 'smooth';
+    return {
+        type: FIELD_TYPES.includes(src.type) ? src.type : 'directional',
+        x: src.x, y: src.y,
+        radius: Math.max(src.radius || 120, 10),
+        strength: src.strength ?? 600,
+        falloff,
+        falloffIndex: FIELD_FALLOFFS.indexOf(falloff),
+        angle,
+        dirX: Math.cos(angle),
+        dirY: Math.sin(angle),
+        age: 0
+    };
+}
+
+function fieldFalloff(falloff, r) {
+    if (falloff === 1) return 1 - r;
+    if (falloff === 2) return (1 - r) * (1 - r);
+    return 1;
+}
+
+// Value noise on an integer lattice, -1..1 at the corners; same as sub-worker.js
+function latticeNoise(ix, iy, iz) {
+    let h = Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1) ^ Math.imul(iz, 0x9e3779b9);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h ^= h >>> 13;
+    return (h & 0xffff) / 0x8000 - 1;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Noise on the lattice plane k, at (u, v) between ix..ix + 1 and iy..iy + 1
+function noisePlane(ix, iy, k, u, v) {
+    return lerp(
+        lerp(latticeNoise(ix, iy, k), latticeNoise(ix + 1, iy, k), u),
+        lerp(latticeNoise(ix, iy + 1, k), latticeNoise(ix + 1, iy + 1, k), u), v);
+}
+
+function valueNoise(x, y, z) {
+    const ix = Math.floor(x), iy = Math.floor(y), iz = Math.floor(z);
+    const fx = x - ix, fy = y - iy, fz = z - iz;
+    const u = fx * fx * (3 - 2 * fx), v = fy * fy * (3 - 2 * fy), w = fz * fz * (3 - 2 * fz);
+    return lerp(noisePlane(ix, iy, iz, u, v), noisePlane(ix, iy, iz + 1, u, v), w);
+}
+
+// Curl of the noise at (x, y) after `age` seconds, in noise units per cell,
+// written to `turbulence` since it runs for every particle in a field
+const turbulence = { x: 0, y: 0 };
+function turbulenceAt(x, y, age) {
+    const nx = x / TURBULENCE_SCALE, ny = y / TURBULENCE_SCALE, nz = age * TURBULENCE_SPEED;
+    const e = 0.25;
+    turbulence.x = (valueNoise(nx, ny + e, nz) - valueNoise(nx, ny - e, nz)) / (2 * e);
+    turbulence.y = -(valueNoise(nx + e, ny, nz) - valueNoise(nx - e, ny, nz)) / (2 * e);
+}
+
+function applyForceFields(i, dt) {
+    for (let f = 0; f < forceFields.length; f++) {
+        const field = forceFields[f];
+        const dx = wrapDx(p_x[i] - field.x);
+        const dy = wrapDy(p_y[i] - field.y);
+        const d2 = dx * dx + dy * dy;
+        if (d2 >= field.radius * field.radius) continue;
+        const d = Math.sqrt(d2);
+        const a = field.strength * fieldFalloff(field.falloffIndex, d / field.radius) * dt;
+        if (field.type === 'directional') {
+            p_vx[i] += field.dirX * a;
+            p_vy[i] += field.dirY * a;
+        } else if (d > 1 && field.type === 'radial') {
+            p_vx[i] += (dx / d) * a;
+            p_vy[i] += (dy / d) * a;
+        } else if (d > 1 && field.type === 'vortex') {
+            p_vx[i] += (-dy / d) * a;
+            p_vy[i] += (dx / d) * a;
+        } else if (field.type === 'turbulence') {
+            turbulenceAt(p_x[i], p_y[i], field.age);
+            p_vx[i] += turbulence.x * a;
+            p_vy[i] += turbulence.y * a;
+        }
+    }
+}
+
 // ==========================================
 // INTEGRATION
 // ==========================================
+const VITESSE_MAX = 1500;
+let speedClampCount = 0; // velocity clamps since the last frame
+
+// What integrateSlice saw happen to a particle, handled by finishIntegration
+// once every slice is done: foam comes from the coordinator's RNG in particle
+// order, and drains compact the arrays.
+const FLAG_PUSH_FOAM = 1;   // thrown by the push tool
+const FLAG_FLOOR_FOAM = 2;  // hit the floor hard
+const FLAG_SPLASH = 4;      // high acceleration, may throw spray
+const FLAG_DRAINED = 8;     // inside a drain
+
 function integrate() {
-    const BOUNDARY_DAMPING = -0.3;
-    const dt = DT / SUBSTEPS;
-    const vitesseMax = 1500;
-    const vitesseMax2 = vitesseMax * vitesseMax;
+    const dt = stepDt;
 
     // Update explosions
     for (let e = explosions.length - 1; e >= 0; e--) {
@@ -1007,17 +2561,36 @@ function integrate() {
             explosions.splice(e, 1);
         }
     }
+    // Turbulence drifts with the field's age
+    for (let f = 0; f < forceFields.length; f++) forceFields[f].age += dt;
 
-    // Decrease teleport cooldowns
-    for (let i = 0; i < particleCount; i++) {
-        if (p_teleportCD[i] > 0) p_teleportCD[i] -= dt;
+    if (parallelReady() && writeIntegrationTables()) {
+        signalSubWorkers(TASK_INTEGRATE);
+        waitBarrier();
+        for (let w = 0; w < numSubWorkers; w++) speedClampCount += sharedReduce[w * REDUCE_STRIDE + REDUCE_CLAMPS];
+    } else {
+        integrateSlice(0, particleCount);
     }
+    finishIntegration();
+}
+
+// Moves particles start..end-1 and sets their p_flags; mirrored by
+// integrateSlice in sub-worker.js
+function integrateSlice(start, end) {
+    const BOUNDARY_DAMPING = -0.3;
+    const dt = stepDt;
+    const vitesseMax2 = VITESSE_MAX * VITESSE_MAX;
+    const toolRadius = toolRadii[activeTool];
+
+    for (let i = start; i < end; i++) {
+        if (p_teleportCD[i] > 0) p_teleportCD[i] -= dt;
+        let flags = 0;
 
-    for (let i = 0; i < particleCount; i++) {
         // Frozen particles: zero velocity, skip movement
         if (p_frozen[i]) {
             p_vx[i] = 0;
             p_vy[i] = 0;
+            p_flags[i] = 0;
             continue;
         }
 
@@ -1028,9 +2601,10 @@ function integrate() {
 
         const v2 = p_vx[i] * p_vx[i] + p_vy[i] * p_vy[i];
         if (v2 > vitesseMax2) {
-            const ratio = vitesseMax / Math.sqrt(v2);
+            const ratio = VITESSE_MAX / Math.sqrt(v2);
             p_vx[i] *= ratio;
             p_vy[i] *= ratio;
+            speedClampCount++;
         }
 
         // Explosion forces
@@ -1049,13 +2623,14 @@ function integrate() {
             }
         }
 
+        if (forceFields.length > 0) applyForceFields(i, dt);
+
         // Local gravity tool
         if (mouse.active && activeTool === 'localGravity') {
-            const mdx = mouse.x - p_x[i];
-            const mdy = mouse.y - p_y[i];
+            const mdx = wrapDx(mouse.x - p_x[i]);
+            const mdy = wrapDy(mouse.y - p_y[i]);
             const mDist2 = mdx * mdx + mdy * mdy;
-            const wellRadius = 180;
-            if (mDist2 < wellRadius * wellRadius && mDist2 > 100) {
+            if (mDist2 < toolRadius * toolRadius && mDist2 > 100) {
                 const mDist = Math.sqrt(mDist2);
                 const force = toolStrength * 3.0 / (mDist * 0.5);
                 p_vx[i] += (mdx / mDist) * force * dt;
@@ -1068,63 +2643,52 @@ function integrate() {
 
         // Mouse obstacle
         if (mouse.active && activeTool === 'push') {
-            const mdx = p_x[i] - mouse.x;
-            const mdy = p_y[i] - mouse.y;
+            const mdx = wrapDx(p_x[i] - mouse.x);
+            const mdy = wrapDy(p_y[i] - mouse.y);
             const mDist2 = mdx * mdx + mdy * mdy;
-            if (mDist2 < MOUSE_RADIUS * MOUSE_RADIUS) {
+            if (mDist2 < toolRadius * toolRadius) {
                 let mDist = Math.sqrt(mDist2);
                 if (mDist === 0) mDist = 1;
                 const nx = mdx / mDist;
                 const ny = mdy / mDist;
-                p_x[i] = mouse.x + nx * MOUSE_RADIUS;
-                p_y[i] = mouse.y + ny * MOUSE_RADIUS;
+                p_x[i] = mouse.x + nx * toolRadius;
+                p_y[i] = mouse.y + ny * toolRadius;
                 p_vx[i] += nx * 300;
                 p_vy[i] += ny * 300;
-
-                if (v2 > 100000 && foamCount < MAX_FOAM) {
-                    foam_x[foamCount] = p_x[i];
-                    foam_y[foamCount] = p_y[i];
-                    foam_vx[foamCount] = p_vx[i] * 0.5 + (xorshift() - 0.5) * 200;
-                    foam_vy[foamCount] = p_vy[i] * 0.5 - xorshift() * 300;
-                    foam_life[foamCount] = 1.0;
-                    foam_size[foamCount] = 0.8 + xorshift() * 0.8;
-                    foamCount++;
-                }
+                if (v2 > 100000) flags |= FLAG_PUSH_FOAM;
             }
         }
 
         // Vortex tool
         if (mouse.active && activeTool === 'vortex') {
-            const mdx = p_x[i] - mouse.x;
-            const mdy = p_y[i] - mouse.y;
+            const mdx = wrapDx(p_x[i] - mouse.x);
+            const mdy = wrapDy(p_y[i] - mouse.y);
             const mDist2 = mdx * mdx + mdy * mdy;
-            const vortexRadius = 120;
-            if (mDist2 < vortexRadius * vortexRadius && mDist2 > 1) {
+            if (mDist2 < toolRadius * toolRadius && mDist2 > 1) {
                 const mDist = Math.sqrt(mDist2);
-                const strength = toolStrength * (1.0 - mDist / vortexRadius);
+                const strength = toolStrength * (1.0 - mDist / toolRadius);
                 p_vx[i] += (-mdy / mDist) * strength * dt;
                 p_vy[i] += (mdx / mDist) * strength * dt;
             }
         }
 
-        // Wind tool
+        // Wind tool, blowing along the drag direction
         if (mouse.active && activeTool === 'wind') {
-            const mdx = p_x[i] - mouse.x;
-            const mdy = p_y[i] - mouse.y;
+            const mdx = wrapDx(p_x[i] - mouse.x);
+            const mdy = wrapDy(p_y[i] - mouse.y);
             const mDist2 = mdx * mdx + mdy * mdy;
-            const windRadius = 150;
-            if (mDist2 < windRadius * windRadius) {
-                p_vx[i] += toolStrength * dt;
+            if (mDist2 < toolRadius * toolRadius) {
+                p_vx[i] += toolStrength * mouse.dirX * dt;
+                p_vy[i] += toolStrength * mouse.dirY * dt;
             }
         }
 
         // Attractor tool
         if (mouse.active && activeTool === 'attractor') {
-            const mdx = mouse.x - p_x[i];
-            const mdy = mouse.y - p_y[i];
+            const mdx = wrapDx(mouse.x - p_x[i]);
+            const mdy = wrapDy(mouse.y - p_y[i]);
             const mDist2 = mdx * mdx + mdy * mdy;
-            const attractRadius = 200;
-            if (mDist2 < attractRadius * attractRadius && mDist2 > 1) {
+            if (mDist2 < toolRadius * toolRadius && mDist2 > 1) {
                 const mDist = Math.sqrt(mDist2);
                 const strength = toolStrength * 2;
                 p_vx[i] += (mdx / mDist) * strength * dt;
@@ -1132,47 +2696,44 @@ function integrate() {
             }
         }
 
-        // Boundary clamping
+        // Periodic axes: leaving one side re-enters on the other
+        if (periodX > 0) {
+            if (p_x[i] < 0) p_x[i] += periodX;
+            else if (p_x[i] >= periodX) p_x[i] -= periodX;
+        }
+        if (periodY > 0) {
+            if (p_y[i] < 0) p_y[i] += periodY;
+            else if (p_y[i] >= periodY) p_y[i] -= periodY;
+        }
+
+        // Boundary clamping, except across outflow spans and periodic axes
         if (p_x[i] - PARTICLE_RADIUS < 0) {
-            p_x[i] = PARTICLE_RADIUS;
-            p_vx[i] *= BOUNDARY_DAMPING;
+            if (!edgeOpen('left', p_y[i])) {
+                p_x[i] = PARTICLE_RADIUS;
+                p_vx[i] *= BOUNDARY_DAMPING;
+            }
         } else if (p_x[i] + PARTICLE_RADIUS > width) {
-            p_x[i] = width - PARTICLE_RADIUS;
-            p_vx[i] *= BOUNDARY_DAMPING;
+            if (!edgeOpen('right', p_y[i])) {
+                p_x[i] = width - PARTICLE_RADIUS;
+                p_vx[i] *= BOUNDARY_DAMPING;
+            }
         }
         if (p_y[i] - PARTICLE_RADIUS < 0) {
-            p_y[i] = PARTICLE_RADIUS;
-            p_vy[i] *= BOUNDARY_DAMPING;
+            if (!edgeOpen('top', p_x[i])) {
+                p_y[i] = PARTICLE_RADIUS;
+                p_vy[i] *= BOUNDARY_DAMPING;
+            }
         } else if (p_y[i] + PARTICLE_RADIUS > height) {
-            p_y[i] = height - PARTICLE_RADIUS;
-            p_vy[i] *= BOUNDARY_DAMPING;
-
-            if (Math.abs(p_vy[i]) > 100 && foamCount < MAX_FOAM) {
-                foam_x[foamCount] = p_x[i];
-                foam_y[foamCount] = p_y[i] - PARTICLE_RADIUS;
-                foam_vx[foamCount] = (xorshift() - 0.5) * 150;
-                foam_vy[foamCount] = -xorshift() * 200;
-                foam_life[foamCount] = 0.8;
-                foam_size[foamCount] = 0.5 + xorshift() * 0.5;
-                foamCount++;
+            if (!edgeOpen('bottom', p_x[i])) {
+                p_y[i] = height - PARTICLE_RADIUS;
+                p_vy[i] *= BOUNDARY_DAMPING;
+                if (Math.abs(p_vy[i]) > 100) flags |= FLAG_FLOOR_FOAM;
             }
         }
 
         // Foam from high acceleration (splashing)
         const accel2 = p_fx[i] * p_fx[i] + p_fy[i] * p_fy[i];
-        if (accel2 > 800000 && foamCount < MAX_FOAM && xorshift() > 0.85) {
-            foam_x[foamCount] = p_x[i];
-            foam_y[foamCount] = p_y[i];
-            foam_vx[foamCount] = p_vx[i] * 0.3 + (xorshift() - 0.5) * 150;
-            foam_vy[foamCount] = p_vy[i] * 0.3 - xorshift() * 200;
-            foam_life[foamCount] = 0.5 + xorshift() * 0.5;
-            // Size variation: small = bubble, medium = spray, large = splash
-            const sizeRand = xorshift();
-            if (sizeRand < 0.3) foam_size[foamCount] = 0.3 + xorshift() * 0.3; // bubble
-            else if (sizeRand < 0.7) foam_size[foamCount] = 0.7 + xorshift() * 0.5; // spray
-            else foam_size[foamCount] = 1.3 + xorshift() * 0.7; // splash
-            foamCount++;
-        }
+        if (accel2 > 800000) flags |= FLAG_SPLASH;
 
         // Teleporter portals
         if (p_teleportCD[i] <= 0) {
@@ -1196,26 +2757,89 @@ function integrate() {
                 }
             }
         }
+
+        // Drains, behind one box around all of them
+        const px = p_x[i], py = p_y[i];
+        if (px >= drainBox.minX && px <= drainBox.maxX && py >= drainBox.minY && py <= drainBox.maxY &&
+            drainAt(px, py) >= 0) {
+            flags |= FLAG_DRAINED;
+        }
+        p_flags[i] = flags;
+    }
+}
+
+function finishIntegration() {
+    for (let i = 0; i < particleCount; i++) {
+        const flags = p_flags[i];
+        if (flags === 0) continue;
+
+        if ((flags & FLAG_PUSH_FOAM) && foamCount < MAX_FOAM) {
+            foam_x[foamCount] = p_x[i];
+            foam_y[foamCount] = p_y[i];
+            foam_vx[foamCount] = p_vx[i] * 0.5 + (xorshift() - 0.5) * 200;
+            foam_vy[foamCount] = p_vy[i] * 0.5 - xorshift() * 300;
+            foam_life[foamCount] = 1.0;
+            foam_size[foamCount] = 0.8 + xorshift() * 0.8;
+            foamCount++;
+        }
+
+        if ((flags & FLAG_FLOOR_FOAM) && foamCount < MAX_FOAM) {
+            foam_x[foamCount] = p_x[i];
+            foam_y[foamCount] = p_y[i] - PARTICLE_RADIUS;
+            foam_vx[foamCount] = (xorshift() - 0.5) * 150;
+            foam_vy[foamCount] = -xorshift() * 200;
+            foam_life[foamCount] = 0.8;
+            foam_size[foamCount] = 0.5 + xorshift() * 0.5;
+            foamCount++;
+        }
+
+        if ((flags & FLAG_SPLASH) && foamCount < MAX_FOAM && xorshift() > 0.85) {
+            foam_x[foamCount] = p_x[i];
+            foam_y[foamCount] = p_y[i];
+            foam_vx[foamCount] = p_vx[i] * 0.3 + (xorshift() - 0.5) * 150;
+            foam_vy[foamCount] = p_vy[i] * 0.3 - xorshift() * 200;
+            foam_life[foamCount] = 0.5 + xorshift() * 0.5;
+            // Size variation: small = bubble, medium = spray, large = splash
+            const sizeRand = xorshift();
+            if (sizeRand < 0.3) foam_size[foamCount] = 0.3 + xorshift() * 0.3; // bubble
+            else if (sizeRand < 0.7) foam_size[foamCount] = 0.7 + xorshift() * 0.5; // spray
+            else foam_size[foamCount] = 1.3 + xorshift() * 0.7; // splash
+            foamCount++;
+        }
     }
 
-    // Drain processing
-    for (let d = 0; d < drains.length; d++) {
+    // Drain processing, from the end so the particle swapped in was already seen
+    for (let i = particleCount - 1; i >= 0; i--) {
+        if (!(p_flags[i] & FLAG_DRAINED)) continue;
+        // Float32 bounds on the sub-workers may disagree right at the edge
+        const d = drainAt(p_x[i], p_y[i]);
+        if (d < 0) continue;
         const drain = drains[d];
-        const r2 = drain.radius * drain.radius;
-        for (let i = particleCount - 1; i >= 0; i--) {
-            const dx = p_x[i] - drain.x;
-            const dy = p_y[i] - drain.y;
-            if (dx * dx + dy * dy < r2) {
-                particleCount--;
-                if (i < particleCount) {
-                    p_x[i] = p_x[particleCount];
-                    p_y[i] = p_y[particleCount];
-                    p_vx[i] = p_vx[particleCount];
-                    p_vy[i] = p_vy[particleCount];
-                    p_frozen[i] = p_frozen[particleCount];
-                    p_teleportCD[i] = p_teleportCD[particleCount];
-                }
+        if (drain.rate > 0) {
+            if (drain.budget < 1) {
+                // Drain saturated: a particle already out of the domain is put back
+                keepInside(i);
+                continue;
             }
+            drain.budget -= 1;
+        }
+        drain.absorbed++;
+        particleCount--;
+        if (bondCount > 0) removeParticleBonds(i, particleCount);
+        if (i < particleCount) {
+            p_x[i] = p_x[particleCount];
+            p_y[i] = p_y[particleCount];
+            p_vx[i] = p_vx[particleCount];
+            p_vy[i] = p_vy[particleCount];
+            p_frozen[i] = p_frozen[particleCount];
+            p_teleportCD[i] = p_teleportCD[particleCount];
+            p_phase[i] = p_phase[particleCount];
+            p_material[i] = p_material[particleCount];
+            p_temperature[i] = p_temperature[particleCount];
+            p_dyeR[i] = p_dyeR[particleCount];
+            p_dyeG[i] = p_dyeG[particleCount];
+            p_dyeB[i] = p_dyeB[particleCount];
+            p_id[i] = p_id[particleCount];
         }
     }
 }
@@ -1223,12 +2847,16 @@ function integrate() {
 // ==========================================
 // FOAM PHYSICS
 // ==========================================
+// Foam was tuned to advance a whole DT on each of the two fixed substeps,
+// twice the fluid's pace. Scale that by the substep length so the spray
+// looks the same whatever substep count the adaptive stepping picks.
 function updateFoam() {
-    const dt = DT;
+    const dt = stepDt * SUBSTEPS;
+    const drag = Math.pow(0.98, dt / DT);
     for (let i = foamCount - 1; i >= 0; i--) {
         foam_vy[i] += GRAVITY_Y * 0.3 * dt;
-        foam_vx[i] *= 0.98;
-        foam_vy[i] *= 0.98;
+        foam_vx[i] *= drag;
+        foam_vy[i] *= drag;
         foam_x[i] += foam_vx[i] * dt;
         foam_y[i] += foam_vy[i] * dt;
         foam_life[i] -= dt * 0.8;
@@ -1247,27 +2875,210 @@ function updateFoam() {
     }
 }
 
+// ==========================================
+// DRAINS AND OUTFLOW BOUNDARIES
+// ==========================================
+// A drain removes the particles that enter it: a circle of `radius`, a
+// rectangle x1..x2 / y1..y2, or an outflow span from..to along one side of
+// the container, where the wall is open so the water leaves the domain and
+// is removed beyond it. `rate` caps the particles removed per second (0 = no
+// limit) and `absorbed` counts them for the main thread.
+const DRAIN_SHAPES = ['circle', 'rect', 'outflow'];
+const OUTFLOW_SIDES = ['left', 'right', 'top', 'bottom'];
+const FAR = 1e9; // outflow boxes reach out of the domain
+
+// Box around every drain, refreshed each step by updateDrains
+const drainBox = { minX: 0, minY: 0, maxX: -1, maxY: -1 };
+let outflowCount = 0;
+
+function createDrain(src) {
+    const shape = DRAIN_SHAPES.includes(src.shape) ? src.shape : 'circle';
+    const drain = { shape, rate: Math.max(src.rate || 0, 0), budget: 0, absorbed: 0 };
+    if (shape === 'circle') {
+        drain.x = src.x;
+        drain.y = src.y;
+        drain.radius = src.radius || 30;
+    } else if (shape === 'rect') {
+        drain.x1 = Math.min(src.x1, src.x2);
+        drain.y1 = Math.min(src.y1, src.y2);
+        drain.x2 = Math.max(src.x1, src.x2);
+        drain.y2 = Math.max(src.y1, src.y2);
+    } else {
+        drain.side = OUTFLOW_SIDES.includes(src.side) ? src.side : 'right';
+        drain.from = Math.min(src.from, src.to);
+        drain.to = Math.max(src.from, src.to);
+    }
+    return drain;
+}
+
+// Scene entry: the layout and rate, without the counters
+function serializeDrain(drain) {
+    if (drain.shape === 'circle') return { shape: 'circle', x: drain.x, y: drain.y, radius: drain.radius, rate: drain.rate };
+    if (drain.shape === 'rect') return { shape: 'rect', x1: drain.x1, y1: drain.y1, x2: drain.x2, y2: drain.y2, rate: drain.rate };
+    return { shape: 'outflow', side: drain.side, from: drain.from, to: drain.to, rate: drain.rate };
+}
+
+// Bounds follow the container size; the rate budget refills up to one
+// particle or one step's worth, so a saturated drain does not burst later
+function updateDrains(dt) {
+    drainBox.minX = drainBox.minY = FAR;
+    drainBox.maxX = drainBox.maxY = -FAR;
+    outflowCount = 0;
+    for (const drain of drains) {
+        if (drain.shape === 'circle') {
+            drain.minX = drain.x - drain.radius;
+            drain.minY = drain.y - drain.radius;
+            drain.maxX = drain.x + drain.radius;
+            drain.maxY = drain.y + drain.radius;
+        } else if (drain.shape === 'rect') {
+            drain.minX = drain.x1;
+            drain.minY = drain.y1;
+            drain.maxX = drain.x2;
+            drain.maxY = drain.y2;
+        } else {
+            const vertical = drain.side === 'left' || drain.side === 'right';
+            drain.minX = vertical ? (drain.side === 'left' ? -FAR : width) : drain.from;
+            drain.maxX = vertical ? (drain.side === 'left' ? 0 : FAR) : drain.to;
+            drain.minY = vertical ? drain.from : (drain.side === 'top' ? -FAR : height);
+            drain.maxY = vertical ? drain.to : (drain.side === 'top' ? 0 : FAR);
+            outflowCount++;
+        }
+        drainBox.minX = Math.min(drainBox.minX, drain.minX);
+        drainBox.minY = Math.min(drainBox.minY, drain.minY);
+        drainBox.maxX = Math.max(drainBox.maxX, drain.maxX);
+        drainBox.maxY = Math.max(drainBox.maxY, drain.maxY);
+        if (drain.rate > 0) drain.budget = Math.min(drain.budget + drain.rate * dt, Math.max(1, drain.rate * dt));
+    }
+}
+
+// Index of the first drain containing the point, -1 if none
+function drainAt(x, y) {
+    for (let d = 0; d < drains.length; d++) {
+        const drain = drains[d];
+        if (x < drain.minX || x > drain.maxX || y < drain.minY || y > drain.maxY) continue;
+        if (drain.shape === 'circle') {
+            const dx = x - drain.x, dy = y - drain.y;
+            if (dx * dx + dy * dy >= drain.radius * drain.radius) continue;
+        }
+        return d;
+    }
+    return -1;
+}
+
+// Whether the given side of the container is open at coordinate c along it:
+// everywhere on a periodic axis, across outflow spans otherwise
+function edgeOpen(side, c) {
+    if (side === 'left' || side === 'right' ? periodX > 0 : periodY > 0) return true;
+    if (outflowCount === 0) return false;
+    for (const drain of drains) {
+        if (drain.shape === 'outflow' && drain.side === side && c >= drain.from && c <= drain.to) return true;
+    }
+    return false;
+}
+
+function keepInside(i) {
+    const BOUNDARY_DAMPING = -0.3;
+    if (p_x[i] < PARTICLE_RADIUS || p_x[i] > width - PARTICLE_RADIUS) {
+        p_x[i] = Math.max(PARTICLE_RADIUS, Math.min(width - PARTICLE_RADIUS, p_x[i]));
+        p_vx[i] *= BOUNDARY_DAMPING;
+    }
+    if (p_y[i] < PARTICLE_RADIUS || p_y[i] > height - PARTICLE_RADIUS) {
+        p_y[i] = Math.max(PARTICLE_RADIUS, Math.min(height - PARTICLE_RADIUS, p_y[i]));
+        p_vy[i] *= BOUNDARY_DAMPING;
+    }
+}
+
 // ==========================================
 // EMITTER PROCESSING
 // ==========================================
+// An emitter pours `rate` particles per second at `speed` along `angle`,
+// within a cone of `spread` radians. Its nozzle is a point, a line of
+// `width` across the jet or a `width` square, and its schedule either runs
+// continuously, once for `duration` seconds or `duration` seconds out of
+// every `interval` (pulse). `age` counts the time spent enabled.
+const EMITTER_SHAPES = ['point', 'line', 'area'];
+const EMITTER_SCHEDULES = ['continuous', 'once', 'pulse'];
+
+function createEmitter(src) {
+    return {
+        x: src.x, y: src.y,
+        angle: src.angle ?? Math.PI / 2,
+        rate: Math.max(src.rate || 60, 0.1),
+        speed: src.speed ?? 300,
+        spread: Math.max(src.spread ?? 0.5, 0),
+        shape: EMITTER_SHAPES.includes(src.shape) ? src.shape : 'point',
+        width: Math.max(src.width || 40, 1),
+        schedule: EMITTER_SCHEDULES.includes(src.schedule) ? src.schedule : 'continuous',
+        duration: Math.max(src.duration ?? 2, 0),
+        interval: Math.max(src.interval || 4, 0.1),
+        enabled: src.enabled ?? true,
+        phase: clampPhase(src.phase),
+        dye: isColor(src.dye) ? src.dye.slice() : dyeColor.slice(),
+        timer: 0,
+        age: 0
+    };
+}
+
+// Applies an edit from the inspector; switching it back on or changing the
+// schedule restarts the schedule
+function updateEmitter(index, settings) {
+    const old = emitters[index];
+    if (!old) return;
+    const em = createEmitter({ ...old, ...settings });
+    if ((em.enabled && !old.enabled) || em.schedule !== old.schedule ||
+        em.duration !== old.duration || em.interval !== old.interval) {
+        em.age = 0;
+    } else {
+        em.timer = old.timer;
+        em.age = old.age;
+    }
+    emitters[index] = em;
+}
+
+function emitterRunning(em) {
+    if (em.schedule === 'once') return em.age <= em.duration;
+    if (em.schedule === 'pulse') return em.age % em.interval < em.duration;
+    return true;
+}
+
 function processEmitters(dt) {
     for (let e = 0; e < emitters.length; e++) {
         const em = emitters[e];
-        em.timer = (em.timer || 0) + dt;
+        if (!em.enabled) continue;
+        em.age += dt;
+        if (!emitterRunning(em)) {
+            em.timer = 0;
+            continue;
+        }
+        em.timer += dt;
         const interval = 1.0 / em.rate;
+        // Nozzle axes: along the jet and across it
+        const ax = Math.cos(em.angle), ay = Math.sin(em.angle);
         while (em.timer >= interval && particleCount < MAX_PARTICLES) {
             em.timer -= interval;
             const id = particleCount;
-            const spread = (xorshift() - 0.5) * 0.5;
+            const spread = (xorshift() - 0.5) * em.spread;
             const angle = em.angle + spread;
-            p_x[id] = em.x + (xorshift() - 0.5) * 8;
-            p_y[id] = em.y + (xorshift() - 0.5) * 8;
+            if (em.shape === 'point') {
+                p_x[id] = em.x + (xorshift() - 0.5) * 8;
+                p_y[id] = em.y + (xorshift() - 0.5) * 8;
+            } else {
+                const across = (xorshift() - 0.5) * em.width;
+                const along = em.shape === 'area' ? (xorshift() - 0.5) * em.width : 0;
+                p_x[id] = em.x - ay * across + ax * along;
+                p_y[id] = em.y + ax * across + ay * along;
+            }
             p_vx[id] = Math.cos(angle) * em.speed;
             p_vy[id] = Math.sin(angle) * em.speed;
             p_fx[id] = 0;
             p_fy[id] = 0;
             p_frozen[id] = 0;
             p_teleportCD[id] = 0;
+            p_phase[id] = em.phase;
+            p_material[id] = 0;
+            p_temperature[id] = phaseTemp[em.phase];
+            p_id[id] = nextParticleId++;
+            setDye(id, em.dye);
             particleCount++;
         }
     }
@@ -1276,7 +3087,7 @@ function processEmitters(dt) {
 // ==========================================
 // ADD PARTICLES
 // ==========================================
-function addParticles(count, startX, startY) {
+function addParticles(count, startX, startY, phase = 0) {
     const pCols = Math.floor(Math.sqrt(count));
     const spacing = PARTICLE_RADIUS * 2.1;
     const safeX = Math.max(H, Math.min(width - H - pCols * spacing, startX));
@@ -1293,35 +3104,127 @@ function addParticles(count, startX, startY) {
         p_fy[id] = 0;
         p_frozen[id] = 0;
         p_teleportCD[id] = 0;
+        p_phase[id] = phase;
+        p_material[id] = 0;
+        p_temperature[id] = phases[phase].temperature;
+        p_id[id] = nextParticleId++;
+        setDye(id, dyeColor);
         particleCount++;
     }
 }
 
+// ==========================================
+// ADAPTIVE TIME STEPPING
+// ==========================================
+// Every frame advances the simulation by DT, split into as many substeps as
+// the stability criteria require (measured on the state at the frame start):
+//   CFL        dt <= CFL_NUMBER * H / vmax
+//   forces     dt <= FORCE_NUMBER * sqrt(H / amax), double density solver only
+//   viscosity  dt <= VISC_NUMBER / highest effective viscosity present
+//   conduction dt <= VISC_NUMBER / CONDUCTION
+//   contacts   dt <= CONTACT_NUMBER / sqrt(WALL_STIFFNESS), only while some
+//              particle is pressed against the container walls
+//   bonds      dt <= CONTACT_NUMBER / sqrt(MAX_BONDS_PER_PARTICLE * stiffness)
+//              for the stiffest bonded material present
+// The frame bookkeeping lives in step() itself so that manual stepping
+// (headless runs, replays) follows exactly the same schedule as simLoop.
+const MIN_SUBSTEPS = 1;
+const MAX_SUBSTEPS = 8;
+const CFL_NUMBER = 0.3;
+const FORCE_NUMBER = 0.2;
+const VISC_NUMBER = 1.0;
+const CONTACT_NUMBER = 0.7;
+let adaptiveStepping = true;
+let frameSubsteps = SUBSTEPS;
+let substepsLeft = 0;
+let stepDt = DT / SUBSTEPS;
+
+function chooseSubsteps() {
+    const wallMargin = PARTICLE_RADIUS * 2;
+    let maxV2 = 0, maxA2 = 0, maxVisc = 0, maxStiffness = 0;
+    let contact = false;
+    for (let i = 0; i < particleCount; i++) {
+        if (p_frozen[i]) continue;
+        if (p_viscosity[i] > maxVisc) maxVisc = p_viscosity[i];
+        const mat = SOLID_MATERIALS[p_material[i]];
+        if (mat && mat.stiffness > maxStiffness) maxStiffness = mat.stiffness;
+        const v2 = p_vx[i] * p_vx[i] + p_vy[i] * p_vy[i];
+        const a2 = p_fx[i] * p_fx[i] + p_fy[i] * p_fy[i];
+        if (v2 > maxV2) maxV2 = v2;
+        if (a2 > maxA2) maxA2 = a2;
+        if (p_x[i] < wallMargin || p_x[i] > width - wallMargin ||
+            p_y[i] < wallMargin || p_y[i] > height - wallMargin) contact = true;
+    }
+
+    // No force pass yet (fresh scene or restore): keep the fixed schedule
+    if (maxA2 === 0) return SUBSTEPS;
+
+    let dtMax = DT;
+    if (maxV2 > 0) dtMax = Math.min(dtMax, CFL_NUMBER * H / Math.sqrt(maxV2));
+    // With PBF the forces include the projection, which needs no step limit
+    if (solverMode === 'ddr') dtMax = Math.min(dtMax, FORCE_NUMBER * Math.sqrt(H / Math.sqrt(maxA2)));
+    if (maxVisc > 0) dtMax = Math.min(dtMax, VISC_NUMBER / maxVisc);
+    if (CONDUCTION > 0) dtMax = Math.min(dtMax, VISC_NUMBER / CONDUCTION);
+    if (contact) dtMax = Math.min(dtMax, CONTACT_NUMBER / Math.sqrt(WALL_STIFFNESS));
+    if (bondCount > 0 && maxStiffness > 0) {
+        dtMax = Math.min(dtMax, CONTACT_NUMBER / Math.sqrt(MAX_BONDS_PER_PARTICLE * maxStiffness));
+    }
+    return Math.max(MIN_SUBSTEPS, Math.min(MAX_SUBSTEPS, Math.ceil(DT / dtMax)));
+}
+
+function beginFrame() {
+    frameSubsteps = adaptiveStepping ? chooseSubsteps() : SUBSTEPS;
+    substepsLeft = frameSubsteps;
+    stepDt = DT / frameSubsteps;
+}
+
 // ==========================================
 // PHYSICS STEP
 // ==========================================
 function step() {
+    if (deterministic) applyQueuedInputs();
+    updatePhaseTable();
+    updatePeriods();
+    if (substepsLeft === 0) beginFrame();
+    if (sortInterval > 0 && simStep % sortInterval === 0) sortParticlesByCell();
     updateGrid();
+    updateDrains(stepDt);
 
-    if (useMultiWorker) {
+    if (parallelReady()) {
         // Update shared parameters for sub-workers
         updateSharedParams();
+        writeDrainTable();
+        balanceSlices();
 
         // Density pass (parallel)
-        signalSubWorkers(1);
+        signalSubWorkers(TASK_DENSITY);
         waitBarrier();
+        if (solverMode === 'pbf') clearPressures();
 
         // Force pass (parallel)
-        signalSubWorkers(2);
+        signalSubWorkers(TASK_FORCES);
         waitBarrier();
 
-        // Custom wall forces (not handled by sub-workers)
-        applyCustomWallForces();
+        // Custom wall forces (parallel while the walls fit the shared table)
+        if (walls.length > 0) {
+            if (writeWallTable()) {
+                signalSubWorkers(TASK_WALLS);
+                waitBarrier();
+            } else {
+                applyCustomWallForces();
+            }
+        }
     } else {
         // Single-threaded path with neighbor cache
         computeDensityPressure();
+        if (solverMode === 'pbf') clearPressures();
         computeForces();
     }
+    applyBondForces();
+    applyGranularFriction();
+    if (solverMode === 'pbf') projectDensityConstraints();
+    updateTemperatures();
+    updateDye();
 
     applyRigidBodyForces();
     applyBoatForces();
@@ -1329,7 +3232,60 @@ function step() {
     integrateRigidBodies();
     integrateBoat();
     updateFoam();
-    processEmitters(DT);
+    processEmitters(stepDt);
+    simStep++;
+    substepsLeft--;
+
+    if (replayEndStep >= 0 && simStep >= replayEndStep && replayCursor === replayEvents.length) {
+        replayEndStep = -1;
+        replayEvents = null;
+        if (!wasDeterministic) setDeterministic(false);
+        self.postMessage({ type: 'replayFinished', step: simStep, deterministic });
+    }
+}
+
+// ==========================================
+// DIAGNOSTICS
+// ==========================================
+// Optional per-frame numbers to judge solver stability. Particles have unit
+// mass; potential energy is measured from the wall gravity points towards,
+// angular momentum around the centre of the domain.
+let diagnosticsEnabled = false;
+
+function computeDiagnostics() {
+    const refX = GRAVITY_X > 0 ? width : 0;
+    const refY = GRAVITY_Y > 0 ? height : 0;
+    const cx = width / 2, cy = height / 2;
+    let kinetic = 0, potential = 0;
+    let momentumX = 0, momentumY = 0, angularMomentum = 0;
+    let densityErrorSum = 0, maxDensityError = 0, maxSpeed2 = 0;
+
+    for (let i = 0; i < particleCount; i++) {
+        const vx = p_vx[i], vy = p_vy[i];
+        const v2 = vx * vx + vy * vy;
+        const mass = phaseMass[p_phase[i]];
+        kinetic += 0.5 * mass * v2;
+        potential += mass * (GRAVITY_X * (refX - p_x[i]) + GRAVITY_Y * (refY - p_y[i]));
+        momentumX += mass * vx;
+        momentumY += mass * vy;
+        angularMomentum += mass * ((p_x[i] - cx) * vy - (p_y[i] - cy) * vx);
+        const densityError = Math.abs(p_density[i] - REST_DENS) / REST_DENS;
+        densityErrorSum += densityError;
+        if (densityError > maxDensityError) maxDensityError = densityError;
+        if (v2 > maxSpeed2) maxSpeed2 = v2;
+    }
+
+    return {
+        kinetic,
+        potential,
+        momentumX,
+        momentumY,
+        angularMomentum,
+        avgDensityError: particleCount > 0 ? densityErrorSum / particleCount : 0,
+        maxDensityError,
+        maxSpeed: Math.sqrt(maxSpeed2),
+        speedClamps: speedClampCount
+    };
 }
 
 // ==========================================
@@ -1337,32 +3293,39 @@ function step() {
 // ==========================================
 let running = true;
 
+// Called once the solver (and its sub-workers, if any) can take steps
+function startSimulation() {
+    if (autoStart) {
+        simLoop();
+    } else {
+        self.postMessage({ type: 'ready', multiWorker: useMultiWorker, workerCount: numSubWorkers });
+    }
+}
+
 function simLoop() {
     if (!running) return;
 
     const simStart = performance.now();
-    for (let i = 0; i < SUBSTEPS; i++) {
+    do {
         step();
-    }
+    } while (substepsLeft > 0);
     const simTime = performance.now() - simStart;
 
-    // Sim FPS tracking
+    // Sim FPS tracking, with the sub-worker load over the same second
     simFrameCount++;
     const now = performance.now();
+    let workerLoad = null;
     if (now - simFpsLastTime >= 1000) {
         simFps = simFrameCount;
+        if (useMultiWorker) {
+            workerLoad = { times: takeWorkerTimes().map(t => t / simFrameCount), slices: workerSliceSizes() };
+        }
         simFrameCount = 0;
         simFpsLastTime = now;
     }
 
-    // Fill pre-allocated transfer buffers
-    for (let i = 0; i < particleCount; i++) {
-        transferPos[i * 2] = p_x[i];
-        transferPos[i * 2 + 1] = p_y[i];
-        transferDens[i] = p_density[i];
-        transferVel[i * 2] = p_vx[i];
-        transferVel[i * 2 + 1] = p_vy[i];
-    }
+    // Particles to the frame channel, the rest to pre-allocated transfer buffers
+    const particleFrame = publishFrame();
     for (let i = 0; i < foamCount; i++) {
         transferFoamPos[i * 2] = foam_x[i];
         transferFoamPos[i * 2 + 1] = foam_y[i];
@@ -1395,9 +3358,8 @@ function simLoop() {
 
     self.postMessage({
         type: 'frame',
-        positions: transferPos.subarray(0, particleCount * 2),
-        densities: transferDens.subarray(0, particleCount),
-        velocities: transferVel.subarray(0, particleCount * 2),
+        step: simStep,
+        ...particleFrame.message,
         foamPositions: transferFoamPos.subarray(0, foamCount * 2),
         foamLife: transferFoamLife.subarray(0, foamCount),
         foamSizes: transferFoamSize.subarray(0, foamCount),
@@ -1407,14 +3369,138 @@ function simLoop() {
         simTime,
         multiWorker: useMultiWorker,
         workerCount: numSubWorkers,
+        workerLoad,
         rigidBodies: transferRigidBodies.subarray(0, rbCount * MAX_RB_FLOATS),
         rigidBodyCount: rbCount,
-        boat: boat ? { x: boat.x, y: boat.y, angle: boat.angle } : null
-    });
+        boat: boat ? { x: boat.x, y: boat.y, angle: boat.angle } : null,
+        diagnostics: diagnosticsEnabled ? computeDiagnostics() : null,
+        drained: drains.map(d => d.absorbed),
+        substeps: frameSubsteps
+    }, particleFrame.transfer);
+    speedClampCount = 0;
 
     setTimeout(simLoop, 4);
 }
 
+// ==========================================
+// FRAME CHANNEL
+// ==========================================
+// Particle data for the renderer. With SharedArrayBuffer the coordinator
+// writes each frame into one of FRAME_SLOTS shared slots and publishes it in
+// the header; main.js uploads the latest slot straight from shared memory.
+// No Atomics: the writer never reuses the slot it published last, and the
+// reader checks the slot's sequence number again after reading it, so a slot
+// overwritten meanwhile is simply read again. Without SharedArrayBuffer each
+// frame goes out in transferable ArrayBuffers that main.js hands back.
+const FRAME_SLOTS = 3;
+// [latest slot, latest seq, then per slot: seq (-1 while written), count]
+const FRAME_HEADER_INTS = 2 + FRAME_SLOTS * 2;
+const FRAME_SPARE_SETS = 3;
+
+let frameChannel = null;   // { header, slots } when shared
+let frameSeq = 0;
+const spareFrameSets = []; // transferable buffers returned by main.js
+
+// Byte offsets of the particle arrays in one frame set of `capacity` particles
+function frameLayout(base, capacity) {
+    return {
+        positions: base,
+        densities: base + capacity * 8,
+        velocities: base + capacity * 12,
+        phases: base + capacity * 20,
+        dye: base + capacity * 21
+    };
+}
+// Bytes of one frame set at the current capacity
+function frameSetBytes() {
+    return MAX_PARTICLES * 24;
+}
+
+function frameViews(buffer, layout, capacity) {
+    return {
+        positions: new Float32Array(buffer, layout.positions, capacity * 2),
+        densities: new Float32Array(buffer, layout.densities, capacity),
+        velocities: new Float32Array(buffer, layout.velocities, capacity * 2),
+        phases: new Uint8Array(buffer, layout.phases, capacity),
+        dye: new Uint8Array(buffer, layout.dye, capacity * 3)
+    };
+}
+
+function initFrameChannel() {
+    try {
+        const buffer = new SharedArrayBuffer(FRAME_HEADER_INTS * 4 + FRAME_SLOTS * frameSetBytes());
+        const layouts = [];
+        for (let s = 0; s < FRAME_SLOTS; s++) {
+            layouts.push(frameLayout(FRAME_HEADER_INTS * 4 + s * frameSetBytes(), MAX_PARTICLES));
+        }
+        const header = new Int32Array(buffer, 0, FRAME_HEADER_INTS);
+        header[0] = FRAME_SLOTS - 1;
+        header[1] = -1;
+        for (let s = 0; s < FRAME_SLOTS; s++) header[2 + s * 2] = -1;
+        frameChannel = { header, slots: layouts.map(l => frameViews(buffer, l, MAX_PARTICLES)) };
+        self.postMessage({
+            type: 'frameChannel', buffer, headerInts: FRAME_HEADER_INTS, capacity: MAX_PARTICLES, slots: layouts
+        });
+    } catch (e) {
+        // SharedArrayBuffer not available: frames are transferred instead
+        frameChannel = null;
+    }
+}
+
+function fillFrame(views) {
+    const { positions, densities, velocities, phases: phaseIds, dye } = views;
+    for (let i = 0; i < particleCount; i++) {
+        positions[i * 2] = p_x[i];
+        positions[i * 2 + 1] = p_y[i];
+        densities[i] = p_density[i];
+        velocities[i * 2] = p_vx[i];
+        velocities[i * 2 + 1] = p_vy[i];
+        phaseIds[i] = p_phase[i];
+        dye[i * 3] = Math.round(p_dyeR[i] * 255);
+        dye[i * 3 + 1] = Math.round(p_dyeG[i] * 255);
+        dye[i * 3 + 2] = Math.round(p_dyeB[i] * 255);
+    }
+}
+
+// Writes the current particles out; returns the fields to add to the frame
+// message and the buffers to transfer with it
+function publishFrame() {
+    const seq = frameSeq++;
+    if (frameChannel) {
+        const header = frameChannel.header;
+        const slot = (header[0] + 1) % FRAME_SLOTS;
+        header[2 + slot * 2] = -1;
+        fillFrame(frameChannel.slots[slot]);
+        header[3 + slot * 2] = particleCount;
+        header[2 + slot * 2] = seq;
+        header[1] = seq;
+        header[0] = slot;
+        return { message: { frameSeq: seq }, transfer: [] };
+    }
+
+    const set = spareFrameSets.pop() ||
+        frameViews(new ArrayBuffer(frameSetBytes()), frameLayout(0, MAX_PARTICLES), MAX_PARTICLES);
+    fillFrame(set);
+    return {
+        message: {
+            frameSeq: seq,
+            frameBuffer: set.positions.buffer,
+            positions: set.positions.subarray(0, particleCount * 2),
+            densities: set.densities.subarray(0, particleCount),
+            velocities: set.velocities.subarray(0, particleCount * 2),
+            phases: set.phases.subarray(0, particleCount),
+            dye: set.dye.subarray(0, particleCount * 3)
+        },
+        transfer: [set.positions.buffer]
+    };
+}
+
+// A transferred frame buffer back from main.js, once uploaded
+function recycleFrameBuffer(buffer) {
+    if (buffer.byteLength !== frameSetBytes() || spareFrameSets.length >= FRAME_SPARE_SETS) return;
+    spareFrameSets.push(frameViews(buffer, frameLayout(0, MAX_PARTICLES), MAX_PARTICLES));
+}
+
 // ==========================================
 // EXPLOSION HELPER
 // ==========================================
@@ -1443,12 +3529,16 @@ function createExplosion(x, y) {
 // ==========================================
 // FREEZE/THAW HELPER
 // ==========================================
+// Both go through the temperature so that updateTemperatures agrees:
+// frozen particles stay below their melting point until heated again.
 function freezeAt(x, y, radius) {
     const r2 = radius * radius;
     for (let i = 0; i < particleCount; i++) {
         const dx = p_x[i] - x;
         const dy = p_y[i] - y;
         if (dx * dx + dy * dy < r2) {
+            const cold = phases[p_phase[i]].meltPoint - FREEZE_TOOL_DEPTH;
+            p_temperature[i] = Math.min(p_temperature[i], cold);
             p_frozen[i] = 1;
         }
     }
@@ -1460,23 +3550,560 @@ function thawAt(x, y, radius) {
         const dx = p_x[i] - x;
         const dy = p_y[i] - y;
         if (dx * dx + dy * dy < r2) {
+            p_temperature[i] = Math.max(p_temperature[i], phases[p_phase[i]].temperature);
             p_frozen[i] = 0;
         }
     }
 }
 
+// ==========================================
+// RIGID BODY FACTORY
+// ==========================================
+function createRigidBody(msg) {
+    const rb = {
+        id: msg.id,
+        type: msg.shapeType,
+        x: msg.x, y: msg.y,
+        vx: 0, vy: 0,
+        angle: 0, omega: 0,
+        fx: 0, fy: 0, torque: 0,
+        density: msg.density || 2.0,
+        colorR: msg.colorR || 0.58,
+        colorG: msg.colorG || 0.64,
+        colorB: msg.colorB || 0.72
+    };
+    if (msg.shapeType === 'box') {
+        rb.halfW = msg.halfW;
+        rb.halfH = msg.halfH;
+        rb.mass = rb.density * 4 * rb.halfW * rb.halfH;
+        rb.inertia = rb.mass * (rb.halfW * rb.halfW + rb.halfH * rb.halfH) / 3.0;
+    } else if (msg.shapeType === 'circle') {
+        rb.radius = msg.radius;
+        rb.mass = rb.density * Math.PI * rb.radius * rb.radius;
+        rb.inertia = rb.mass * rb.radius * rb.radius / 2.0;
+    } else if (msg.shapeType === 'triangle') {
+        rb.localVerts = msg.localVerts;
+        const v = rb.localVerts;
+        const area = Math.abs((v[1].x - v[0].x) * (v[2].y - v[0].y) - (v[2].x - v[0].x) * (v[1].y - v[0].y)) / 2;
+        rb.mass = rb.density * area;
+        rb.inertia = rb.mass * (v[0].x * v[0].x + v[0].y * v[0].y + v[1].x * v[1].x + v[1].y * v[1].y + v[2].x * v[2].x + v[2].y * v[2].y) / 6.0;
+    }
+    rb.mass = Math.max(rb.mass, 10);
+    rb.inertia = Math.max(rb.inertia, 100);
+    return rb;
+}
+
+// ==========================================
+// SCENE SERIALIZATION (versioned JSON documents)
+// ==========================================
+// A scene captures everything placed by the tools plus the physics params,
+// and optionally the fluid itself. A new optional field, one the loader
+// defaults when it is missing, needs no new version: older files load as
+// they are. Bump SCENE_VERSION when an existing field is renamed, removed
+// or changes meaning, and register a migration from the previous version
+// below so that older files keep loading.
+const SCENE_FORMAT = 'sph-scene';
+const SCENE_VERSION = 1;
+
+// SCENE_MIGRATIONS[n] upgrades a version n document to version n + 1
+const SCENE_MIGRATIONS = {};
+
+function serializeScene(includeParticles) {
+    const scene = {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        width,
+        height,
+        params: {
+            gravity: GRAVITY_Y,
+            gravityX: GRAVITY_X,
+            gasConst: GAS_CONST,
+            nearGasConst: NEAR_GAS_CONST,
+            viscosity: VISC,
+            surfaceTension: SURFACE_TENSION,
+            solver: solverMode,
+            pbfIterations,
+            phases: phases.map(ph => ({ ...ph })),
+            conduction: CONDUCTION,
+            cooling: COOLING,
+            ambientTemp: AMBIENT_TEMP,
+            dyeColor: dyeColor.slice(),
+            dyeDiffusion: DYE_DIFFUSION,
+            rheology: RHEOLOGY,
+            flowIndex: FLOW_INDEX,
+            yieldStress: YIELD_STRESS,
+            periodicX,
+            periodicY
+        },
+        gravityStored: gravityStored ? { x: gravityStored.x, y: gravityStored.y } : null,
+        emitters: emitters.map(em => ({
+            x: em.x, y: em.y, angle: em.angle, rate: em.rate, speed: em.speed, spread: em.spread,
+            shape: em.shape, width: em.width,
+            schedule: em.schedule, duration: em.duration, interval: em.interval, enabled: em.enabled,
+            phase: em.phase, dye: em.dye.slice()
+        })),
+        drains: drains.map(serializeDrain),
+        forceFields: forceFields.map(f => ({
+            type: f.type, x: f.x, y: f.y, radius: f.radius, strength: f.strength, falloff: f.falloff, angle: f.angle
+        })),
+        walls: walls.map(w => ({ x1: w.x1, y1: w.y1, x2: w.x2, y2: w.y2, thickness: w.thickness })),
+        portals: portals.map(p => ({ p1x: p.p1x, p1y: p.p1y, p2x: p.p2x, p2y: p.p2y, radius: p.radius })),
+        rigidBodies: rigidBodies.map(rb => {
+            const out = {
+                id: rb.id, shapeType: rb.type,
+                x: rb.x, y: rb.y, vx: rb.vx, vy: rb.vy,
+                angle: rb.angle, omega: rb.omega,
+                density: rb.density,
+                colorR: rb.colorR, colorG: rb.colorG, colorB: rb.colorB
+            };
+            if (rb.type === 'box') { out.halfW = rb.halfW; out.halfH = rb.halfH; }
+            else if (rb.type === 'circle') out.radius = rb.radius;
+            else out.localVerts = rb.localVerts.map(v => ({ x: v.x, y: v.y }));
+            return out;
+        }),
+        boat: boat ? { x: boat.x, y: boat.y, vx: boat.vx, vy: boat.vy, angle: boat.angle } : null,
+        particles: null
+    };
+
+    if (includeParticles) {
+        scene.particles = {
+            count: particleCount,
+            x: Array.from(p_x.subarray(0, particleCount)),
+            y: Array.from(p_y.subarray(0, particleCount)),
+            vx: Array.from(p_vx.subarray(0, particleCount)),
+            vy: Array.from(p_vy.subarray(0, particleCount)),
+            frozen: Array.from(p_frozen.subarray(0, particleCount)),
+            phase: Array.from(p_phase.subarray(0, particleCount)),
+            temperature: Array.from(p_temperature.subarray(0, particleCount)),
+            dyeR: Array.from(p_dyeR.subarray(0, particleCount)),
+            dyeG: Array.from(p_dyeG.subarray(0, particleCount)),
+            dyeB: Array.from(p_dyeB.subarray(0, particleCount)),
+            material: Array.from(p_material.subarray(0, particleCount)),
+            id: Array.from(p_id.subarray(0, particleCount))
+        };
+        scene.bonds = {
+            a: Array.from(bondA.subarray(0, bondCount)),
+            b: Array.from(bondB.subarray(0, bondCount)),
+            rest: Array.from(bondRest.subarray(0, bondCount))
+        };
+    }
+    return scene;
+}
+
+function migrateScene(doc) {
+    if (!doc || doc.format !== SCENE_FORMAT) {
+        throw new Error('Not an SPH scene document');
+    }
+    let version = doc.version | 0;
+    if (version < 1 || version > SCENE_VERSION) {
+        throw new Error(`Unsupported scene version: ${doc.version}`);
+    }
+    while (version < SCENE_VERSION) {
+        doc = SCENE_MIGRATIONS[version](doc);
+        version++;
+        doc.version = version;
+    }
+    return doc;
+}
+
+// Throws on anything restoreScene could only apply in part, so that a bad
+// document leaves the running simulation untouched
+function validateScene(scene) {
+    const w = scene.width ?? width, h = scene.height ?? height;
+    if (!(w >= H && h >= H && isFinite(w) && isFinite(h))) {
+        throw new Error(`Invalid scene size: ${scene.width} x ${scene.height}`);
+    }
+    for (const name of ['emitters', 'drains', 'walls', 'portals', 'rigidBodies', 'forceFields']) {
+        if (scene[name] != null && !Array.isArray(scene[name])) throw new Error(`Invalid scene ${name}: not a list`);
+    }
+    const src = scene.particles;
+    if (src) {
+        const count = Math.min(src.count | 0, MAX_PARTICLES);
+        for (const name of ['x', 'y', 'vx', 'vy', 'frozen', 'phase', 'material', 'temperature', 'id', 'dyeR', 'dyeG', 'dyeB']) {
+            const optional = name !== 'x' && name !== 'y' && name !== 'vx' && name !== 'vy';
+            if (optional && src[name] == null) continue;
+            if (!src[name] || !(src[name].length >= count)) {
+                throw new Error(`Invalid scene particles: ${name} holds fewer than ${count} values`);
+            }
+        }
+    }
+    const bonds = scene.bonds;
+    if (bonds && !(bonds.a && bonds.b && bonds.rest && bonds.b.length >= bonds.a.length && bonds.rest.length >= bonds.a.length)) {
+        throw new Error('Invalid scene bonds');
+    }
+}
+
+function restoreScene(doc) {
+    const scene = migrateScene(doc);
+    validateScene(scene);
+
+    // The domain takes the scene's size, like a snapshot restore; documents
+    // without one keep the current size
+    if (scene.width !== undefined || scene.height !== undefined) {
+        width = scene.width ?? width;
+        height = scene.height ?? height;
+        fitGrid();
+    }
+
+    const p = scene.params || {};
+    if (p.gravity !== undefined) GRAVITY_Y = p.gravity;
+    if (p.gravityX !== undefined) GRAVITY_X = p.gravityX;
+    if (p.gasConst !== undefined) GAS_CONST = p.gasConst;
+    if (p.nearGasConst !== undefined) NEAR_GAS_CONST = p.nearGasConst;
+    if (p.viscosity !== undefined) VISC = p.viscosity;
+    if (p.surfaceTension !== undefined) SURFACE_TENSION = p.surfaceTension;
+    if (p.solver === 'ddr' || p.solver === 'pbf') solverMode = p.solver;
+    if (p.pbfIterations !== undefined) pbfIterations = Math.max(1, p.pbfIterations | 0);
+    if (Array.isArray(p.phases)) setPhases(p.phases);
+    if (p.conduction !== undefined) CONDUCTION = p.conduction;
+    if (p.cooling !== undefined) COOLING = p.cooling;
+    if (p.ambientTemp !== undefined) AMBIENT_TEMP = p.ambientTemp;
+    if (isColor(p.dyeColor)) dyeColor = p.dyeColor.slice();
+    if (p.dyeDiffusion !== undefined) DYE_DIFFUSION = p.dyeDiffusion;
+    if (RHEOLOGIES.includes(p.rheology)) RHEOLOGY = p.rheology;
+    if (p.flowIndex !== undefined) FLOW_INDEX = p.flowIndex;
+    if (p.yieldStress !== undefined) YIELD_STRESS = p.yieldStress;
+    periodicX = !!p.periodicX;
+    periodicY = !!p.periodicY;
+    gravityStored = scene.gravityStored ? { x: scene.gravityStored.x, y: scene.gravityStored.y } : null;
+
+    emitters = (scene.emitters || []).map(createEmitter);
+    drains = (scene.drains || []).slice(0, MAX_SHARED_DRAINS).map(createDrain);
+    walls = (scene.walls || []).map(w => ({ x1: w.x1, y1: w.y1, x2: w.x2, y2: w.y2, thickness: w.thickness || 8 }));
+    portals = (scene.portals || []).map(pp => {
+        const radius = pp.radius || 25;
+        return { p1x: pp.p1x, p1y: pp.p1y, p2x: pp.p2x, p2y: pp.p2y, radius, r2: radius * radius };
+    });
+
+    rigidBodies = [];
+    for (const src of (scene.rigidBodies || []).slice(0, MAX_RIGID_BODIES)) {
+        const rb = createRigidBody(src);
+        rb.vx = src.vx || 0;
+        rb.vy = src.vy || 0;
+        rb.angle = src.angle || 0;
+        rb.omega = src.omega || 0;
+        rigidBodies.push(rb);
+    }
+
+    boat = scene.boat ? {
+        x: scene.boat.x, y: scene.boat.y,
+        vx: scene.boat.vx || 0, vy: scene.boat.vy || 0,
+        angle: scene.boat.angle || 0,
+        fx: 0, fy: 0
+    } : null;
+
+    explosions = [];
+    forceFields = (scene.forceFields || []).slice(0, MAX_SHARED_FIELDS).map(createForceField);
+
+    // Without particle data the current fluid is kept as-is
+    if (scene.particles) {
+        const src = scene.particles;
+        const count = Math.min(src.count | 0, MAX_PARTICLES);
+        for (let i = 0; i < count; i++) {
+            p_x[i] = src.x[i];
+            p_y[i] = src.y[i];
+            p_vx[i] = src.vx[i];
+            p_vy[i] = src.vy[i];
+            p_fx[i] = 0;
+            p_fy[i] = 0;
+            p_frozen[i] = src.frozen ? src.frozen[i] : 0;
+            p_teleportCD[i] = 0;
+            p_phase[i] = src.phase ? clampPhase(src.phase[i]) : 0;
+            p_material[i] = src.material && SOLID_MATERIALS[src.material[i]] ? src.material[i] : 0;
+            p_temperature[i] = src.temperature ? src.temperature[i] : defaultTemperature(i);
+            p_id[i] = src.id ? src.id[i] | 0 : i;
+            if (src.dyeR) {
+                p_dyeR[i] = src.dyeR[i];
+                p_dyeG[i] = src.dyeG[i];
+                p_dyeB[i] = src.dyeB[i];
+            } else {
+                setDye(i, dyeColor);
+            }
+        }
+        particleCount = count;
+        nextParticleId = count;
+        for (let i = 0; i < count; i++) nextParticleId = Math.max(nextParticleId, p_id[i] + 1);
+        foamCount = 0;
+
+        bondCount = 0;
+        const bonds = scene.bonds;
+        if (bonds) {
+            for (let b = 0; b < bonds.a.length; b++) {
+                const i = bonds.a[b], j = bonds.b[b];
+                if (i < count && j < count && p_material[i]) addBond(i, j, bonds.rest[b]);
+            }
+        }
+    }
+}
+
+// ==========================================
+// SNAPSHOT / RESTORE (bit-exact)
+// ==========================================
+// Unlike scenes, a snapshot is an in-memory copy of the complete solver state
+// (forces, foam, explosions, cooldowns, RNG) so that a restored run continues
+// exactly like the original one would have.
+function perParticleArrays() {
+    return {
+        x: p_x, y: p_y, vx: p_vx, vy: p_vy, fx: p_fx, fy: p_fy,
+        density: p_density, nearDensity: p_nearDensity,
+        pressure: p_pressure, nearPressure: p_nearPressure,
+        frozen: p_frozen, teleportCD: p_teleportCD, phase: p_phase,
+        temperature: p_temperature, dyeR: p_dyeR, dyeG: p_dyeG, dyeB: p_dyeB,
+        viscosity: p_viscosity, material: p_material, id: p_id
+    };
+}
+
+function perFoamArrays() {
+    return { x: foam_x, y: foam_y, vx: foam_vx, vy: foam_vy, life: foam_life, size: foam_size };
+}
+
+function captureSnapshot() {
+    const particles = {};
+    const arrays = perParticleArrays();
+    for (const name in arrays) particles[name] = arrays[name].slice(0, particleCount);
+
+    const foam = {};
+    const foamArrays = perFoamArrays();
+    for (const name in foamArrays) foam[name] = foamArrays[name].slice(0, foamCount);
+
+    return structuredClone({
+        width, height,
+        particleCount, foamCount,
+        rngState,
+        simStep,
+        sorting: { sortInterval, nextParticleId },
+        stepping: { adaptiveStepping, frameSubsteps, substepsLeft, stepDt },
+        solver: { solverMode, pbfIterations },
+        phases,
+        params: { GAS_CONST, NEAR_GAS_CONST, SURFACE_TENSION, VISC, GRAVITY_X, GRAVITY_Y },
+        boundaries: { periodicX, periodicY },
+        thermal: { CONDUCTION, COOLING, AMBIENT_TEMP },
+        dye: { DYE_DIFFUSION, dyeColor },
+        rheology: { RHEOLOGY, FLOW_INDEX, YIELD_STRESS },
+        bonds: {
+            a: bondA.slice(0, bondCount), b: bondB.slice(0, bondCount), rest: bondRest.slice(0, bondCount)
+        },
+        gravityStored,
+        emitters, drains, walls, portals, forceFields, explosions,
+        rigidBodies, boat, boatKeys,
+        mouse, activeTool, toolStrength, toolRadii,
+        particles, foam
+    });
+}
+
+function restoreSnapshot(snap) {
+    width = snap.width;
+    height = snap.height;
+
+    particleCount = Math.min(snap.particleCount, MAX_PARTICLES);
+    foamCount = Math.min(snap.foamCount, MAX_FOAM);
+    const arrays = perParticleArrays();
+    for (const name in arrays) {
+        const src = snap.particles[name];
+        // Arrays added after the snapshot was taken (e.g. phase) start zeroed
+        if (src) arrays[name].set(src.subarray(0, particleCount));
+        else arrays[name].fill(0, 0, particleCount);
+    }
+    const foamArrays = perFoamArrays();
+    for (const name in foamArrays) foamArrays[name].set(snap.foam[name].subarray(0, foamCount));
+
+    rngState = snap.rngState;
+    simStep = snap.simStep ?? 0;
+    if (snap.sorting) ({ sortInterval, nextParticleId } = snap.sorting);
+    if (snap.boundaries) ({ periodicX, periodicY } = snap.boundaries);
+    if (!snap.particles.id) {
+        for (let i = 0; i < particleCount; i++) p_id[i] = i;
+        nextParticleId = particleCount;
+    }
+    if (snap.stepping) {
+        ({ adaptiveStepping, frameSubsteps, substepsLeft, stepDt } = snap.stepping);
+    }
+    if (snap.solver) ({ solverMode, pbfIterations } = snap.solver);
+    // Fields added to the phases later keep their current values
+    if (snap.phases) phases = snap.phases.map((ph, k) => ({ ...phases[k], ...structuredClone(ph) }));
+    if (snap.thermal) ({ CONDUCTION, COOLING, AMBIENT_TEMP } = snap.thermal);
+    if (!snap.particles.temperature) {
+        for (let i = 0; i < particleCount; i++) p_temperature[i] = defaultTemperature(i);
+    }
+    if (snap.dye) {
+        DYE_DIFFUSION = snap.dye.DYE_DIFFUSION;
+        dyeColor = snap.dye.dyeColor.slice();
+    }
+    if (!snap.particles.dyeR) {
+        for (let i = 0; i < particleCount; i++) setDye(i, dyeColor);
+    }
+    if (snap.rheology) ({ RHEOLOGY, FLOW_INDEX, YIELD_STRESS } = snap.rheology);
+    bondCount = snap.bonds ? Math.min(snap.bonds.a.length, MAX_BONDS) : 0;
+    if (snap.bonds) {
+        bondA.set(snap.bonds.a.subarray(0, bondCount));
+        bondB.set(snap.bonds.b.subarray(0, bondCount));
+        bondRest.set(snap.bonds.rest.subarray(0, bondCount));
+    }
+    // Bonds to particles cut off by a smaller capacity go with them
+    for (let b = bondCount - 1; b >= 0; b--) {
+        if (bondA[b] >= particleCount || bondB[b] >= particleCount) removeBond(b);
+    }
+    GAS_CONST = snap.params.GAS_CONST;
+    NEAR_GAS_CONST = snap.params.NEAR_GAS_CONST;
+    SURFACE_TENSION = snap.params.SURFACE_TENSION;
+    VISC = snap.params.VISC;
+    GRAVITY_X = snap.params.GRAVITY_X;
+    GRAVITY_Y = snap.params.GRAVITY_Y;
+    if (!snap.particles.viscosity) {
+        updatePhaseTable();
+        for (let i = 0; i < particleCount; i++) p_viscosity[i] = effectiveViscosity(i, 0);
+    }
+
+    // Deep copies so that the same snapshot can be restored again later
+    const s = structuredClone(snap);
+    gravityStored = s.gravityStored;
+    emitters = s.emitters.map(em => ({ ...createEmitter(em), timer: em.timer || 0, age: em.age || 0 }));
+    drains = s.drains.map(d => ({ ...createDrain(d), budget: d.budget || 0, absorbed: d.absorbed || 0 }));
+    walls = s.walls;
+    portals = s.portals;
+    forceFields = s.forceFields.map(f => ({ ...createForceField(f), age: f.age || 0 }));
+    explosions = s.explosions;
+    rigidBodies = s.rigidBodies;
+    boat = s.boat;
+    boatKeys = s.boatKeys;
+    Object.assign(mouse, s.mouse);
+    activeTool = s.activeTool;
+    toolStrength = s.toolStrength;
+    toolRadii = { ...TOOL_RADII, ...s.toolRadii };
+    fitGrid();
+}
+
+// ==========================================
+// INPUT RECORDING / REPLAY
+// ==========================================
+// A recording is a snapshot plus every input message keyed by the step at
+// which it was applied. Recording forces deterministic mode, so replaying
+// the log from the snapshot reproduces the session exactly.
+const INPUT_LOG_FORMAT = 'sph-input-log';
+const INPUT_LOG_VERSION = 1;
+let inputLog = null;        // { seed, startStep, snapshot, events } while recording
+let wasDeterministic = false; // mode to go back to when recording or replay ends
+let replayEndStep = -1;     // >= 0 while a replay is running
+let replayEvents = null;    // the log's events while a replay is running
+let replayCursor = 0;       // next event of replayEvents to apply
+
+function recordInput(msg) {
+    // boatKeys is re-sent every rendered frame: only log actual changes
+    if (msg.type === 'boatKeys' &&
+        boatKeys.up === !!msg.up && boatKeys.down === !!msg.down &&
+        boatKeys.left === !!msg.left && boatKeys.right === !!msg.right &&
+        boatKeys.throttle === (msg.throttle !== undefined ? msg.throttle : (msg.up ? 1 : 0))) {
+        return;
+    }
+    const event = { ...msg };
+    delete event.step;
+    if (event.type === 'restore') event.snapshot = mapSnapshotArrays(event.snapshot, encodeTypedArray);
+    inputLog.events.push({ step: simStep, msg: event });
+}
+
+// Typed arrays are stored as base64 so the log stays plain JSON
+function encodeTypedArray(arr) {
+    const bytes = new Uint8Array(arr.buffer, arr.byteOffset, arr.byteLength);
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return { type: arr.constructor.name, data: btoa(bin) };
+}
+
+const TYPED_ARRAYS = { Float32Array, Int32Array, Uint8Array };
+
+function decodeTypedArray(enc) {
+    const Ctor = TYPED_ARRAYS[enc.type];
+    if (!Ctor) throw new Error(`Unsupported array type: ${enc.type}`);
+    const bin = atob(enc.data);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new Ctor(bytes.buffer);
+}
+
+function mapSnapshotArrays(snap, fn) {
+    const particles = {};
+    for (const name in snap.particles) particles[name] = fn(snap.particles[name]);
+    const foam = {};
+    for (const name in snap.foam) foam[name] = fn(snap.foam[name]);
+    const bonds = snap.bonds && { a: fn(snap.bonds.a), b: fn(snap.bonds.b), rest: fn(snap.bonds.rest) };
+    return { ...snap, particles, foam, bonds };
+}
+
+function startRecording(seed) {
+    wasDeterministic = deterministic;
+    if (!deterministic || seed !== undefined) setDeterministic(true, seed);
+    inputLog = { seed: detSeed, startStep: simStep, snapshot: captureSnapshot(), events: [] };
+}
+
+function stopRecording() {
+    if (!inputLog) return null;
+    const log = {
+        format: INPUT_LOG_FORMAT,
+        version: INPUT_LOG_VERSION,
+        seed: inputLog.seed,
+        startStep: inputLog.startStep,
+        endStep: simStep,
+        snapshot: mapSnapshotArrays(inputLog.snapshot, encodeTypedArray),
+        events: inputLog.events
+    };
+    inputLog = null;
+    if (!wasDeterministic) setDeterministic(false);
+    return log;
+}
+
+function startReplay(log) {
+    if (!log || log.format !== INPUT_LOG_FORMAT) {
+        throw new Error('Not an SPH input log');
+    }
+    if (log.version !== INPUT_LOG_VERSION) {
+        throw new Error(`Unsupported input log version: ${log.version}`);
+    }
+    // A replay started over a recording or another replay ends in the mode
+    // that was on before them
+    if (!inputLog && replayEndStep < 0) wasDeterministic = deterministic;
+    inputLog = null;
+    restoreSnapshot(mapSnapshotArrays(log.snapshot, decodeTypedArray));
+    // The snapshot already carries the step counter and the seeded RNG state
+    deterministic = true;
+    detSeed = log.seed;
+    inputQueue = [];
+    replayEvents = log.events.map(e => e.msg.type === 'restore'
+        ? { step: e.step, msg: { ...e.msg, snapshot: mapSnapshotArrays(e.msg.snapshot, decodeTypedArray) } }
+        : e);
+    replayCursor = 0;
+    replayEndStep = log.endStep;
+}
+
 // ==========================================
 // MESSAGE HANDLER
 // ==========================================
 self.onmessage = function(e) {
     const msg = e.data;
+    if (deterministic && INPUT_MESSAGES.has(msg.type)) {
+        // Live inputs would desynchronize a running replay
+        if (replayEndStep < 0) queueInput(msg);
+        return;
+    }
+    handleMessage(msg);
+};
+
+function handleMessage(msg) {
     switch (msg.type) {
         case 'init':
             width = msg.width;
             height = msg.height;
+            autoStart = msg.autoStart !== false;
+            MAX_PARTICLES = clampCapacity(msg.maxParticles, MAX_PARTICLES);
+            MAX_FOAM = clampCapacity(msg.maxFoam, Math.floor(MAX_PARTICLES / 5));
             cols = Math.ceil(width / H);
             rows = Math.ceil(height / H);
+            MAX_GRID_CELLS = Math.max(MAX_GRID_CELLS, cols * rows);
             initArrays();
+            allocateLocalArrays();
+            postCapacity();
+            initFrameChannel();
             
             // 1. Remplir l'écran de particules (Océan)
             const spacing = PARTICLE_RADIUS * 2.1;
@@ -1492,6 +4119,9 @@ self.onmessage = function(e) {
                 p_x[i] = (i % columns) * spacing + spacing;
                 p_y[i] = Math.floor(i / columns) * spacing + spacing;
                 p_vx[i] = 0; p_vy[i] = 0;
+                p_temperature[i] = phases[0].temperature;
+                p_id[i] = nextParticleId++;
+                setDye(i, dyeColor);
                 particleCount++;
             }
 
@@ -1508,29 +4138,39 @@ self.onmessage = function(e) {
                 pendingSimStart = true;
                 if (subWorkersReady === numSubWorkers) {
                     pendingSimStart = false;
-                    simLoop();
+                    startSimulation();
                 }
             } else {
-                simLoop();
+                startSimulation();
             }
             break;
 
         case 'resize':
             width = msg.width;
             height = msg.height;
-            cols = Math.ceil(width / H);
-            rows = Math.ceil(height / H);
+            fitGrid();
+            break;
+
+        case 'setCapacity': {
+            const maxParticles = clampCapacity(msg.maxParticles, MAX_PARTICLES);
+            setCapacity(maxParticles, clampCapacity(msg.maxFoam, Math.floor(maxParticles / 5)));
             break;
+        }
 
         case 'mouse':
             mouse.x = msg.x;
             mouse.y = msg.y;
             mouse.active = msg.active;
+            if (msg.dirX !== undefined) {
+                mouse.dirX = msg.dirX;
+                mouse.dirY = msg.dirY;
+            }
             break;
 
         case 'tool':
             activeTool = msg.tool;
             if (msg.strength !== undefined) toolStrength = msg.strength;
+            if (msg.radius !== undefined) toolRadii[msg.tool] = msg.radius;
             break;
 
         case 'params':
@@ -1540,14 +4180,34 @@ self.onmessage = function(e) {
             if (msg.nearGasConst !== undefined) NEAR_GAS_CONST = msg.nearGasConst;
             if (msg.viscosity !== undefined) VISC = msg.viscosity;
             if (msg.surfaceTension !== undefined) SURFACE_TENSION = msg.surfaceTension;
+            if (msg.adaptiveStepping !== undefined) adaptiveStepping = !!msg.adaptiveStepping;
+            if (msg.solver === 'ddr' || msg.solver === 'pbf') solverMode = msg.solver;
+            if (msg.pbfIterations !== undefined) pbfIterations = Math.max(1, msg.pbfIterations | 0);
+            if (Array.isArray(msg.phases)) setPhases(msg.phases);
+            if (msg.conduction !== undefined) CONDUCTION = msg.conduction;
+            if (msg.cooling !== undefined) COOLING = msg.cooling;
+            if (msg.ambientTemp !== undefined) AMBIENT_TEMP = msg.ambientTemp;
+            if (isColor(msg.dyeColor)) dyeColor = msg.dyeColor.slice();
+            if (msg.dyeDiffusion !== undefined) DYE_DIFFUSION = msg.dyeDiffusion;
+            if (RHEOLOGIES.includes(msg.rheology)) RHEOLOGY = msg.rheology;
+            if (msg.flowIndex !== undefined) FLOW_INDEX = msg.flowIndex;
+            if (msg.yieldStress !== undefined) YIELD_STRESS = msg.yieldStress;
+            if (msg.sortInterval !== undefined) sortInterval = Math.max(0, msg.sortInterval | 0);
+            if (msg.periodicX !== undefined) periodicX = !!msg.periodicX;
+            if (msg.periodicY !== undefined) periodicY = !!msg.periodicY;
+            break;
+
+        case 'addSolid':
+            addSolid(msg.x1, msg.y1, msg.x2, msg.y2, solidMaterialIndex(msg.material), clampPhase(msg.phase));
             break;
 
         case 'addParticles':
-            addParticles(msg.count || 400, msg.x || width / 2 - 100, msg.y || 50);
+            addParticles(msg.count || 400, msg.x || width / 2 - 100, msg.y || 50, clampPhase(msg.phase));
             break;
 
         case 'reset':
             particleCount = 0;
+            nextParticleId = 0;
             foamCount = 0;
             emitters = [];
             drains = [];
@@ -1566,18 +4226,16 @@ self.onmessage = function(e) {
             }
             p_frozen.fill(0);
             p_teleportCD.fill(0);
+            bondCount = 0;
             addParticles(1800, width / 2 - 200, height / 4);
             break;
 
         case 'addEmitter':
-            emitters.push({
-                x: msg.x,
-                y: msg.y,
-                angle: msg.angle || Math.PI / 2,
-                rate: msg.rate || 60,
-                speed: msg.speed || 300,
-                timer: 0
-            });
+            emitters.push(createEmitter(msg));
+            break;
+
+        case 'updateEmitter':
+            updateEmitter(msg.index, msg.settings || {});
             break;
 
         case 'removeEmitter': {
@@ -1587,11 +4245,7 @@ self.onmessage = function(e) {
         }
 
         case 'addDrain':
-            drains.push({
-                x: msg.x,
-                y: msg.y,
-                radius: msg.radius || 30
-            });
+            if (drains.length < MAX_SHARED_DRAINS) drains.push(createDrain(msg));
             break;
 
         case 'removeDrain': {
@@ -1600,6 +4254,18 @@ self.onmessage = function(e) {
             break;
         }
 
+        case 'addForceField':
+            if (forceFields.length < MAX_SHARED_FIELDS) {
+                forceFields.push(createForceField({ ...msg, type: msg.fieldType }));
+            }
+            break;
+
+        case 'removeForceField': {
+            const idx = msg.index;
+            if (idx >= 0 && idx < forceFields.length) forceFields.splice(idx, 1);
+            break;
+        }
+
         case 'addWall':
             walls.push({
                 x1: msg.x1,
@@ -1615,7 +4281,7 @@ self.onmessage = function(e) {
             break;
 
         case 'eraseWallNear': {
-            const ex = msg.x, ey = msg.y, er = 30;
+            const ex = msg.x, ey = msg.y, er = msg.radius !== undefined ? msg.radius : 30;
             walls = walls.filter(w => {
                 const mx = (w.x1 + w.x2) / 2;
                 const my = (w.y1 + w.y2) / 2;
@@ -1652,41 +4318,10 @@ self.onmessage = function(e) {
             portals = [];
             break;
 
-        case 'addRigidBody': {
+        case 'addRigidBody':
             if (rigidBodies.length >= MAX_RIGID_BODIES) break;
-            const rb = {
-                id: msg.id,
-                type: msg.shapeType,
-                x: msg.x, y: msg.y,
-                vx: 0, vy: 0,
-                angle: 0, omega: 0,
-                fx: 0, fy: 0, torque: 0,
-                density: msg.density || 2.0,
-                colorR: msg.colorR || 0.58,
-                colorG: msg.colorG || 0.64,
-                colorB: msg.colorB || 0.72
-            };
-            if (msg.shapeType === 'box') {
-                rb.halfW = msg.halfW;
-                rb.halfH = msg.halfH;
-                rb.mass = rb.density * 4 * rb.halfW * rb.halfH;
-                rb.inertia = rb.mass * (rb.halfW * rb.halfW + rb.halfH * rb.halfH) / 3.0;
-            } else if (msg.shapeType === 'circle') {
-                rb.radius = msg.radius;
-                rb.mass = rb.density * Math.PI * rb.radius * rb.radius;
-                rb.inertia = rb.mass * rb.radius * rb.radius / 2.0;
-            } else if (msg.shapeType === 'triangle') {
-                rb.localVerts = msg.localVerts;
-                const v = rb.localVerts;
-                const area = Math.abs((v[1].x - v[0].x) * (v[2].y - v[0].y) - (v[2].x - v[0].x) * (v[1].y - v[0].y)) / 2;
-                rb.mass = rb.density * area;
-                rb.inertia = rb.mass * (v[0].x * v[0].x + v[0].y * v[0].y + v[1].x * v[1].x + v[1].y * v[1].y + v[2].x * v[2].x + v[2].y * v[2].y) / 6.0;
-            }
-            rb.mass = Math.max(rb.mass, 10);
-            rb.inertia = Math.max(rb.inertia, 100);
-            rigidBodies.push(rb);
+            rigidBodies.push(createRigidBody(msg));
             break;
-        }
 
         case 'removeRigidBody':
             rigidBodies = rigidBodies.filter(rb => rb.id !== msg.id);
@@ -1722,6 +4357,10 @@ self.onmessage = function(e) {
             }
             break;
 
+        case 'frameBuffer':
+            recycleFrameBuffer(msg.buffer);
+            break;
+
         case 'boatKeys':
             boatKeys.up = !!msg.up;
             boatKeys.left = !!msg.left;
@@ -1741,6 +4380,79 @@ self.onmessage = function(e) {
             });
             break;
 
+        case 'getScene':
+            self.postMessage({ type: 'scene', scene: serializeScene(!!msg.includeParticles) });
+            break;
+
+        case 'loadScene':
+            try {
+                restoreScene(msg.scene);
+                // Echo the normalized layout back so the overlay mirrors can be rebuilt
+                self.postMessage({ type: 'sceneLoaded', scene: serializeScene(false) });
+            } catch (err) {
+                self.postMessage({ type: 'sceneError', message: err.message });
+            }
+            break;
+
+        case 'snapshot':
+            self.postMessage({ type: 'snapshot', snapshot: captureSnapshot() });
+            break;
+
+        case 'restore':
+            restoreSnapshot(msg.snapshot);
+            // Inputs still waiting were sent after the restore: apply them right
+            // away rather than once the restored step counter catches up
+            for (const entry of inputQueue) entry.step = Math.min(entry.step, simStep);
+            self.postMessage({ type: 'sceneLoaded', scene: serializeScene(false) });
+            break;
+
+        case 'setDiagnostics':
+            diagnosticsEnabled = !!msg.enabled;
+            speedClampCount = 0;
+            break;
+
+        case 'setDeterministic':
+            // Recording and replay both rely on deterministic mode staying on
+            if (replayEndStep < 0 && !inputLog) setDeterministic(!!msg.enabled, msg.seed);
+            break;
+
+        case 'startRecording':
+            startRecording(msg.seed);
+            break;
+
+        case 'stopRecording':
+            self.postMessage({ type: 'inputLog', log: stopRecording() });
+            break;
+
+        case 'replay':
+            try {
+                startReplay(msg.log);
+                self.postMessage({ type: 'sceneLoaded', scene: serializeScene(false) });
+            } catch (err) {
+                self.postMessage({ type: 'replayError', message: err.message });
+            }
+            break;
+
+        case 'advance': {
+            // Manual stepping, used when the loop is not self-scheduled:
+            // `steps` counts substeps, `frames` whole frames of DT
+            const simStart = performance.now();
+            for (let i = 0; i < (msg.steps | 0); i++) step();
+            for (let f = 0; f < (msg.frames | 0); f++) {
+                do {
+                    step();
+                } while (substepsLeft > 0);
+            }
+            self.postMessage({
+                type: 'advanced',
+                step: simStep,
+                simTime: performance.now() - simStart,
+                diagnostics: diagnosticsEnabled ? computeDiagnostics() : null
+            });
+            speedClampCount = 0;
+            break;
+        }
+
         case 'pause':
             running = false;
             break;
@@ -1753,4 +4465,4 @@ self.onmessage = function(e) {
             }
             break;
     }
-};
+}
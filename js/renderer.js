@@ -46,6 +46,15 @@ export class Renderer {
             causticsEnabled: false,
             foamEnabled: true,
             gridSize: 40.0,
+            // Colors of fluid phases 1..3 (phase 0 uses waterColor)
+            phaseColors: [
+                null,
+                [0.95, 0.80, 0.25],
+                [0.85, 0.55, 0.10],
+                [0.72, 0.74, 0.78]
+            ],
+            // Color the fluid with the per-particle dye instead of waterColor / phase colors
+            dyeEnabled: false,
             // New settings
             envReflectionStrength: 0.25,
             shadowEnabled: false,
@@ -57,6 +66,7 @@ export class Renderer {
         };
 
         this.particleCount = 0;
+        this.particleSeq = -1;  // Sequence number of the frame on the GPU
         this.foamCount = 0;
 
         this._initShaders();
@@ -115,13 +125,13 @@ export class Renderer {
         // Density pass
         this.densityShader = this._createProgram(
             particleVertexShader, densityFragmentShader,
-            ['a_position', 'a_offset', 'a_density', 'a_velocity']
+            ['a_position', 'a_offset', 'a_density', 'a_velocity', 'a_phase', 'a_dye']
         );
 
         // Thickness pass
         this.thicknessShader = this._createProgram(
             particleVertexShader, thicknessFragmentShader,
-            ['a_position', 'a_offset', 'a_density', 'a_velocity']
+            ['a_position', 'a_offset', 'a_density', 'a_velocity', 'a_phase', 'a_dye']
         );
 
         // Surface extraction
@@ -205,34 +215,16 @@ export class Renderer {
         gl.bindBuffer(gl.ARRAY_BUFFER, this.fsQuadVBO);
         gl.bufferData(gl.ARRAY_BUFFER, quadVerts, gl.STATIC_DRAW);
 
-        // Instance buffers (dynamic) - pre-allocate at max size
-        const MAX_PARTICLES = 10000;
-        const MAX_FOAM = 2000;
-
+        // Instance buffers (dynamic), sized by setCapacity
         this.positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, MAX_PARTICLES * 2 * 4, gl.STREAM_DRAW);
-
         this.densityBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.densityBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, MAX_PARTICLES * 4, gl.STREAM_DRAW);
-
         this.velocityBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.velocityBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, MAX_PARTICLES * 2 * 4, gl.STREAM_DRAW);
-
-        // Foam buffers - pre-allocate at max size
+        this.phaseBuffer = gl.createBuffer();
+        this.dyeBuffer = gl.createBuffer();
         this.foamPosBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.foamPosBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, MAX_FOAM * 2 * 4, gl.STREAM_DRAW);
-
         this.foamLifeBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.foamLifeBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, MAX_FOAM * 4, gl.STREAM_DRAW);
-
         this.foamSizeBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.foamSizeBuffer);
-        gl.bufferData(gl.ARRAY_BUFFER, MAX_FOAM * 4, gl.STREAM_DRAW);
+        this.setCapacity(10000, 2000);
 
         // VAO for particle rendering
         this.particleVAO = this._createParticleVAO(this.densityShader.program);
@@ -275,6 +267,18 @@ export class Renderer {
         gl.vertexAttribPointer(3, 2, gl.FLOAT, false, 0, 0);
         gl.vertexAttribDivisor(3, 1);
 
+        // Instance phase (attribute 4)
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.phaseBuffer);
+        gl.enableVertexAttribArray(4);
+        gl.vertexAttribPointer(4, 1, gl.UNSIGNED_BYTE, false, 0, 0);
+        gl.vertexAttribDivisor(4, 1);
+
+        // Instance dye (attribute 5, normalized to 0..1)
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.dyeBuffer);
+        gl.enableVertexAttribArray(5);
+        gl.vertexAttribPointer(5, 3, gl.UNSIGNED_BYTE, true, 0, 0);
+        gl.vertexAttribDivisor(5, 1);
+
         gl.bindVertexArray(null);
         return vao;
     }
@@ -464,10 +468,54 @@ export class Renderer {
         }
     }
 
+    // Reallocates the instance buffers for the worker's capacity (see the
+    // 'capacity' message). The buffer objects stay, so the VAOs remain valid.
+    setCapacity(maxParticles, maxFoam) {
+        const gl = this.gl;
+        this.maxParticles = maxParticles;
+        this.maxFoam = maxFoam;
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxParticles * 2 * 4, gl.STREAM_DRAW);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.densityBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxParticles * 4, gl.STREAM_DRAW);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.velocityBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxParticles * 2 * 4, gl.STREAM_DRAW);
+
+        // One byte per particle, zero-initialized (every particle is phase 0)
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.phaseBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxParticles, gl.STREAM_DRAW);
+
+        // Dye as RGB bytes
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.dyeBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxParticles * 3, gl.STREAM_DRAW);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.foamPosBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxFoam * 2 * 4, gl.STREAM_DRAW);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.foamLifeBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxFoam * 4, gl.STREAM_DRAW);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.foamSizeBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, maxFoam * 4, gl.STREAM_DRAW);
+
+        // Nothing left to draw until the next frame at this capacity
+        this.particleCount = 0;
+        this.foamCount = 0;
+        this.particleSeq = -1;
+    }
+
     // ==========================================
     // UPDATE DATA FROM WORKER
     // ==========================================
-    updateParticleData(positions, densities, velocities, count) {
+    // `seq` numbers the simulation frames: a frame already uploaded is skipped.
+    // Returns whether the buffers were updated.
+    updateParticleData(positions, densities, velocities, count, phases, dye, seq) {
+        if (seq !== undefined && seq === this.particleSeq) return false;
+        // A frame sent before a capacity change may not fit any more
+        if (count > this.maxParticles) return false;
         const gl = this.gl;
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
@@ -479,10 +527,23 @@ export class Renderer {
         gl.bindBuffer(gl.ARRAY_BUFFER, this.velocityBuffer);
         gl.bufferSubData(gl.ARRAY_BUFFER, 0, velocities);
 
+        if (phases) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.phaseBuffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, phases);
+        }
+
+        if (dye) {
+            gl.bindBuffer(gl.ARRAY_BUFFER, this.dyeBuffer);
+            gl.bufferSubData(gl.ARRAY_BUFFER, 0, dye);
+        }
+
         this.particleCount = count;
+        this.particleSeq = seq ?? -1;
+        return true;
     }
 
     updateFoamData(positions, life, sizes, count) {
+        if (positions.length > this.maxFoam * 2) return;
         const gl = this.gl;
 
         gl.bindBuffer(gl.ARRAY_BUFFER, this.foamPosBuffer);
@@ -621,7 +682,8 @@ export class Renderer {
         gl.useProgram(shader.program);
         gl.uniform2f(shader.uniforms.u_resolution, this.width, this.height);
         gl.uniform1f(shader.uniforms.u_particleSize, this.settings.particleSize);
-        gl.uniform3fv(shader.uniforms.u_waterColor, this.settings.waterColor);
+        gl.uniform3fv(shader.uniforms['u_phaseColors[0]'], this._phaseColorArray());
+        gl.uniform1i(shader.uniforms.u_dyeEnabled, this.settings.dyeEnabled ? 1 : 0);
 
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.ONE, gl.ONE);
@@ -634,6 +696,16 @@ export class Renderer {
         gl.bindFramebuffer(gl.FRAMEBUFFER, null);
     }
 
+    // Flattened phase colors for u_phaseColors, phase 0 following waterColor
+    _phaseColorArray() {
+        const colors = this.settings.phaseColors;
+        const out = new Float32Array(colors.length * 3);
+        for (let k = 0; k < colors.length; k++) {
+            out.set(k === 0 ? this.settings.waterColor : colors[k], k * 3);
+        }
+        return out;
+    }
+
     _renderThickness() {
         const gl = this.gl;
         const shader = this.thicknessShader;
@@ -732,6 +804,7 @@ export class Renderer {
         gl.uniform1i(shader.uniforms.u_foamEnabled, this.settings.foamEnabled ? 1 : 0);
         gl.uniform1f(shader.uniforms.u_envReflectionStrength, this.settings.envReflectionStrength);
         gl.uniform1i(shader.uniforms.u_shadowEnabled, this.settings.shadowEnabled ? 1 : 0);
+        gl.uniform1i(shader.uniforms.u_dyeEnabled, this.settings.dyeEnabled ? 1 : 0);
 
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
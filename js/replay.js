@@ -0,0 +1,78 @@
+// ==========================================
+// REPLAY - Enregistrement des entrées et rejeu au pas près
+// ==========================================
+// Le worker journalise lui-même chaque message d'entrée avec le pas de
+// simulation auquel il l'a appliqué ; ce module ne gère que les fichiers
+// et l'enchaînement avec l'enregistreur vidéo.
+
+export class InputRecorder {
+    constructor(worker, videoRecorder) {
+        this.worker = worker;
+        this.video = videoRecorder;
+        this.recording = false;
+        this.replaying = false;
+        this.filmReplay = false;
+        this._pendingLog = null;
+
+        this.worker.addEventListener('message', (e) => {
+            const msg = e.data;
+            if (msg.type === 'inputLog' && this._pendingLog) {
+                const resolve = this._pendingLog;
+                this._pendingLog = null;
+                resolve(msg.log);
+            } else if (msg.type === 'replayFinished') {
+                this._endReplay();
+            } else if (msg.type === 'replayError') {
+                console.error('Replay failed:', msg.message);
+                this._endReplay();
+            }
+        });
+    }
+
+    start(seed) {
+        this.recording = true;
+        this.worker.postMessage({ type: 'startRecording', seed });
+    }
+
+    async stop() {
+        if (!this.recording) return;
+        this.recording = false;
+        const log = await new Promise((resolve) => {
+            this._pendingLog = resolve;
+            this.worker.postMessage({ type: 'stopRecording' });
+        });
+        if (!log) return;
+        const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `sph-inputs-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    replay() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const log = JSON.parse(await file.text());
+                this.replaying = true;
+                if (this.filmReplay && !this.video.recording) this.video.start();
+                this.worker.postMessage({ type: 'replay', log });
+            } catch (err) {
+                console.error('Input log unreadable:', err);
+            }
+        };
+        input.click();
+    }
+
+    _endReplay() {
+        if (!this.replaying) return;
+        this.replaying = false;
+        if (this.filmReplay && this.video.recording) this.video.stop();
+    }
+}
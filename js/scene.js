@@ -0,0 +1,76 @@
+// ==========================================
+// SCENE - Sauvegarde / chargement de scènes JSON
+// ==========================================
+// Le worker sérialise et restaure son propre état (format versionné,
+// migrations comprises) ; ce module ne gère que les fichiers.
+// Les snapshots, eux, restent en mémoire : copie binaire exacte de l'état
+// pour relancer plusieurs expériences depuis le même instant.
+
+export class SceneManager {
+    constructor(worker) {
+        this.worker = worker;
+        this.snapshot = null;
+        this._pending = new Map(); // type de réponse -> resolve
+
+        this.worker.addEventListener('message', (e) => {
+            const resolve = this._pending.get(e.data.type);
+            if (resolve) {
+                this._pending.delete(e.data.type);
+                resolve(e.data);
+            }
+        });
+    }
+
+    _request(msg, replyType) {
+        return new Promise((resolve) => {
+            this._pending.set(replyType, resolve);
+            this.worker.postMessage(msg);
+        });
+    }
+
+    async requestScene(includeParticles) {
+        const reply = await this._request({ type: 'getScene', includeParticles }, 'scene');
+        return reply.scene;
+    }
+
+    async captureSnapshot() {
+        const reply = await this._request({ type: 'snapshot' }, 'snapshot');
+        this.snapshot = reply.snapshot;
+        return this.snapshot;
+    }
+
+    restoreSnapshot() {
+        if (!this.snapshot) return false;
+        // Le worker garde sa propre copie : on peut restaurer plusieurs fois
+        this.worker.postMessage({ type: 'restore', snapshot: this.snapshot });
+        return true;
+    }
+
+    async save(includeParticles) {
+        const scene = await this.requestScene(includeParticles);
+        const blob = new Blob([JSON.stringify(scene)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `sph-scene-${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    load() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) return;
+            try {
+                const scene = JSON.parse(await file.text());
+                this.worker.postMessage({ type: 'loadScene', scene });
+            } catch (err) {
+                console.error('Scene file unreadable:', err);
+            }
+        };
+        input.click();
+    }
+}
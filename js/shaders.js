@@ -12,13 +12,18 @@ in vec2 a_position;
 in vec2 a_offset;    // particle position
 in float a_density;  // particle density
 in vec2 a_velocity;  // particle velocity
+in float a_phase;    // fluid phase index
+in vec3 a_dye;       // passive dye color
 
 uniform vec2 u_resolution;
 uniform float u_particleSize;
+uniform vec3 u_phaseColors[4];
+uniform int u_dyeEnabled;
 
 out vec2 v_uv;
 out float v_density;
 out float v_speed;
+out vec3 v_color;
 
 void main() {
     // Scale quad by particle size
@@ -32,6 +37,7 @@ void main() {
     v_uv = a_position; // already in [-1, 1] range
     v_density = a_density;
     v_speed = length(a_velocity);
+    v_color = u_dyeEnabled == 1 ? a_dye : u_phaseColors[int(a_phase + 0.5)];
 }
 `;
 
@@ -42,8 +48,7 @@ precision highp float;
 in vec2 v_uv;
 in float v_density;
 in float v_speed;
-
-uniform vec3 u_waterColor;
+in vec3 v_color;
 
 out vec4 fragColor;
 
@@ -54,8 +59,8 @@ void main() {
     // Soft gaussian falloff
     float alpha = exp(-dist * dist * 3.0);
 
-    // Encode density info in the output
-    fragColor = vec4(u_waterColor * alpha, alpha);
+    // Encode density info in the output; rgb / a is the blended phase color
+    fragColor = vec4(v_color * alpha, alpha);
 }
 `;
 
@@ -156,6 +161,7 @@ uniform int u_causticsEnabled;
 uniform int u_foamEnabled;
 uniform float u_envReflectionStrength;
 uniform int u_shadowEnabled;
+uniform int u_dyeEnabled;
 
 out vec4 fragColor;
 
@@ -244,6 +250,15 @@ void main() {
     vec3 transmittance = exp(-absorption * thickness * 1.5);
     vec3 waterCol = mix(u_deepColor, u_waterColor, transmittance);
 
+    // === PHASES ===
+    // Where other fluids are mixed in, their blended color replaces the
+    // water gradient and darkens with thickness
+    vec4 phaseField = texture(u_densityTex, v_uv);
+    vec3 tint = phaseField.rgb / max(phaseField.a, 0.0001);
+    // With the dye shown, the particles' own colors replace the water color everywhere
+    float tintWeight = u_dyeEnabled == 1 ? 1.0 : clamp(distance(tint, u_waterColor) * 4.0, 0.0, 1.0);
+    waterCol = mix(waterCol, tint * mix(vec3(0.35), vec3(1.0), transmittance), tintWeight);
+
     // === FUSION DOUCE SURFACE / FOND ===
     // Quand l'eau devient très fine (bords du sillage), elle devient transparente
     // et se fond parfaitement avec la couleur abyssale
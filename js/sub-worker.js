@@ -1,5 +1,5 @@
 // ==========================================
-// SUB-WORKER - Parallel SPH density/force computation
+// SUB-WORKER - Parallel SPH density, forces, contacts and integration
 // Operates on shared particle data via SharedArrayBuffer
 // ==========================================
 
@@ -7,6 +7,53 @@ const H = 35;
 const H2 = H * H;
 const PARTICLE_RADIUS = 9;
 const REST_DENS = 3.0;
+const PBF_RELAXATION = 1e-3; // Same as physics-worker.js
+const PARAM_CONDUCTION = 10;
+const PARAM_DYE_DIFFUSION = 11;
+const PARAM_RHEOLOGY = 12;      // 0 newtonian, 1 power, 2 bingham
+const PARAM_FLOW_INDEX = 13;
+const PARAM_YIELD_STRESS = 14;
+const PARAM_PHASE_MASS = 16;    // Phase table layout, see physics-worker.js
+const PARAM_PHASE_VISC = 20;
+const PARAM_PHASE_TENSION = 24;
+const PARAM_PHASE_TEMP = 28;
+const PARAM_PHASE_MELT = 32;
+const PARAM_PHASE_FRICTION = 36;
+const PARAM_MOUSE_X = 40;
+const PARAM_MOUSE_Y = 41;
+const PARAM_MOUSE_TOOL = 42;    // 1 push, 2 vortex, 3 wind, 4 attractor, 5 localGravity
+const PARAM_TOOL_STRENGTH = 43;
+const PARAM_TOOL_RADIUS = 44;
+const PARAM_MOUSE_DIR_X = 45;
+const PARAM_MOUSE_DIR_Y = 46;
+const PARAM_PERIODIC = 47;      // 1 = x wraps around, 2 = y wraps around
+const THERMAL_VISC_MAX = 20;    // Same as physics-worker.js
+const SHEAR_RATE_REF = 1;       // Same as physics-worker.js
+const SHEAR_RATE_MIN = 1;
+const POWER_LAW_MIN = 0.02;
+const POWER_LAW_MAX = 50;
+const RIGID_BODY_STIFFNESS = 5000; // Same as physics-worker.js
+const VITESSE_MAX = 1500;
+const WALL_FLOATS = 5;          // Shared table rows, see physics-worker.js
+const PORTAL_FLOATS = 5;
+const EXPLOSION_FLOATS = 4;
+const DRAIN_FLOATS = 6;
+const DRAIN_CIRCLE = 0;         // DRAIN_SHAPES in physics-worker.js
+const DRAIN_OUTFLOW = 2;
+const SIDE_LEFT = 0;            // OUTFLOW_SIDES in physics-worker.js
+const SIDE_RIGHT = 1;
+const SIDE_TOP = 2;
+const SIDE_BOTTOM = 3;
+const BODY_FLOATS = 18;
+const FIELD_FLOATS = 9;
+const REDUCE_CLAMPS = 0;        // Partial sums layout, see physics-worker.js
+const REDUCE_BUSY = 1;
+const REDUCE_BODIES = 2;
+const CTRL_SLICES = 16;
+const FLAG_PUSH_FOAM = 1;       // Same as physics-worker.js
+const FLAG_FLOOR_FOAM = 2;
+const FLAG_SPLASH = 4;
+const FLAG_DRAINED = 8;
 
 // Fast sqrt lookup
 const SQRT_TABLE_SIZE = 1024;
@@ -29,14 +76,33 @@ function xorshift() {
     return (rngState >>> 0) / 4294967296;
 }
 
+// Same hash as physics-worker.js: in deterministic mode the jitter RNG is
+// reseeded per particle so results do not depend on how slices are split.
+function hashSeed(seed, step, index) {
+    let h = Math.imul(seed ^ 0x9e3779b9, 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13) ^ step, 0xc2b2ae35);
+    h = Math.imul(h ^ (h >>> 16) ^ index, 0x85ebca6b);
+    h ^= h >>> 15;
+    return h || 1;
+}
+
 // Shared memory views
 let control;    // Int32Array - synchronization
 let s_x, s_y, s_vx, s_vy, s_fx, s_fy;
 let s_density, s_nearDensity, s_pressure, s_nearPressure;
 let s_cellHead, s_particleNext;
+let s_phase;    // Uint8Array - phase index per particle
 let s_params;   // Float32Array - physics parameters
+let s_temperature, s_heat;
+let s_dyeR, s_dyeG, s_dyeB, s_dyeRateR, s_dyeRateG, s_dyeRateB;
+let s_viscosity; // effective viscosity, written by the density slice
+let s_frozen, s_flags, s_teleportCD;
+let s_neighbours; // Uint8Array - neighbour counts for balanceSlices
+let s_tables;   // Float32Array - scene object tables
+let tableBase;  // first float of each table in s_tables
+let s_reduce;   // Float32Array - this worker's partial sums
 
-let startIdx = 0, endIdx = 0;
+let workerId = 0;
 
 self.onmessage = function(e) {
     const msg = e.data;
@@ -64,11 +130,28 @@ self.onmessage = function(e) {
         s_cellHead     = new Int32Array(sab, G_OFF, MAX_GRID);
         s_particleNext = new Int32Array(sab, G_OFF + MAX_GRID * 4, MAX_P);
 
-        s_params = new Float32Array(sab, PARAMS_OFF, 16);
+        s_params = new Float32Array(sab, PARAMS_OFF, 48);
+        s_phase = new Uint8Array(sab, msg.phaseOffset, MAX_P);
+        s_temperature = new Float32Array(sab, msg.temperatureOffset, MAX_P);
+        s_heat = new Float32Array(sab, msg.heatOffset, MAX_P);
+        const D_OFF = msg.dyeOffset;
+        s_dyeR     = new Float32Array(sab, D_OFF,              MAX_P);
+        s_dyeG     = new Float32Array(sab, D_OFF + MAX_P * 4,  MAX_P);
+        s_dyeB     = new Float32Array(sab, D_OFF + MAX_P * 8,  MAX_P);
+        s_dyeRateR = new Float32Array(sab, D_OFF + MAX_P * 12, MAX_P);
+        s_dyeRateG = new Float32Array(sab, D_OFF + MAX_P * 16, MAX_P);
+        s_dyeRateB = new Float32Array(sab, D_OFF + MAX_P * 20, MAX_P);
+        s_viscosity = new Float32Array(sab, msg.viscosityOffset, MAX_P);
+        s_frozen = new Uint8Array(sab, msg.frozenOffset, MAX_P);
+        s_flags = new Uint8Array(sab, msg.flagsOffset, MAX_P);
+        s_teleportCD = new Float32Array(sab, msg.teleportOffset, MAX_P);
+        s_neighbours = new Uint8Array(sab, msg.neighbourOffset, MAX_P);
+        s_tables = new Float32Array(sab, msg.tablesOffset, msg.tableFloats);
+        tableBase = msg.tables;
+        s_reduce = new Float32Array(sab, msg.reduceOffset, msg.reduceFloats);
 
-        startIdx = msg.startIdx;
-        endIdx = msg.endIdx;
-        rngState = 12345 + msg.workerId * 7919;
+        workerId = msg.workerId;
+        rngState = 12345 + workerId * 7919;
 
         // Signal coordinator that we are ready
         self.postMessage({ type: 'ready' });
@@ -89,49 +172,117 @@ function workLoop() {
         const pCount = Atomics.load(control, 2);
         const cols = Atomics.load(control, 4);
         const rows = Atomics.load(control, 5);
+        const deterministic = Atomics.load(control, 6) === 1;
+        const seed = Atomics.load(control, 7);
+        const simStep = Atomics.load(control, 8);
+        setPeriods(cols, rows);
 
-        const actualEnd = Math.min(endIdx, pCount);
-        const actualStart = Math.min(startIdx, pCount);
+        // Slice bounds are recomputed by the coordinator every step
+        const actualEnd = Math.min(Atomics.load(control, CTRL_SLICES + workerId + 1), pCount);
+        const actualStart = Math.min(Atomics.load(control, CTRL_SLICES + workerId), actualEnd);
+        const taskStart = performance.now();
 
         if (task === 1) {
             computeDensitySlice(actualStart, actualEnd, cols, rows);
         } else if (task === 2) {
-            computeForcesSlice(actualStart, actualEnd, cols, rows);
+            computeForcesSlice(actualStart, actualEnd, cols, rows, deterministic, seed, simStep, Atomics.load(control, 12));
+        } else if (task === 3) {
+            computeLambdaSlice(actualStart, actualEnd, cols, rows);
+        } else if (task === 4) {
+            computeCorrectionSlice(actualStart, actualEnd, cols, rows);
+        } else if (task === 5) {
+            computeWallSlice(actualStart, actualEnd, Atomics.load(control, 9));
+        } else if (task === 6) {
+            computeBodySlice(actualStart, actualEnd, Atomics.load(control, 13));
+        } else if (task === 7) {
+            integrateSlice(actualStart, actualEnd, Atomics.load(control, 10),
+                Atomics.load(control, 11), Atomics.load(control, 12), Atomics.load(control, 14));
         }
+        s_reduce[REDUCE_BUSY] += performance.now() - taskStart;
 
         Atomics.add(control, 1, 1);
         Atomics.notify(control, 1);
     }
 }
 
+// Periodic boundaries, see PERIODIC BOUNDARIES in physics-worker.js; the
+// coordinator only sets an axis bit when the grid can wrap along it, and
+// then the cols or rows it publishes span the window exactly
+let periodX = 0;
+let periodY = 0;
+let cellW = H;
+let cellH = H;
+
+function setPeriods(cols, rows) {
+    const periodic = s_params[PARAM_PERIODIC];
+    periodX = periodic & 1 ? s_params[6] : 0;
+    periodY = periodic & 2 ? s_params[7] : 0;
+    cellW = periodX > 0 ? periodX / cols : H;
+    cellH = periodY > 0 ? periodY / rows : H;
+}
+
+function wrapDx(dx) {
+    if (periodX > 0) {
+        if (dx > periodX * 0.5) return dx - periodX;
+        if (dx < -periodX * 0.5) return dx + periodX;
+    }
+    return dx;
+}
+
+function wrapDy(dy) {
+    if (periodY > 0) {
+        if (dy > periodY * 0.5) return dy - periodY;
+        if (dy < -periodY * 0.5) return dy + periodY;
+    }
+    return dy;
+}
+
+function neighbourCol(nx, cols) {
+    if (nx >= 0 && nx < cols) return nx;
+    return periodX > 0 ? (nx + cols) % cols : -1;
+}
+
+function neighbourRow(ny, rows) {
+    if (ny >= 0 && ny < rows) return ny;
+    return periodY > 0 ? (ny + rows) % rows : -1;
+}
+
 function computeDensitySlice(start, end, cols, rows) {
     const GAS_CONST = s_params[0];
     const NEAR_GAS_CONST = s_params[1];
+    const shearNeeded = s_params[PARAM_RHEOLOGY] !== 0;
 
     for (let i = start; i < end; i++) {
         let d = 0, nd = 0;
+        let shear2 = 0, sumQ = 0, neighbours = 0;
         const px = s_x[i], py = s_y[i];
-        const cx = Math.max(0, Math.min(cols - 1, (px / H) | 0));
-        const cy = Math.max(0, Math.min(rows - 1, (py / H) | 0));
-
-        const cxMin = cx > 0 ? cx - 1 : 0;
-        const cxMax = cx < cols - 1 ? cx + 1 : cols - 1;
-        const cyMin = cy > 0 ? cy - 1 : 0;
-        const cyMax = cy < rows - 1 ? cy + 1 : rows - 1;
+        const cx = Math.max(0, Math.min(cols - 1, (px / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (py / cellH) | 0));
 
-        for (let ny = cyMin; ny <= cyMax; ny++) {
-            for (let nx = cxMin; nx <= cxMax; nx++) {
+        for (let oy = -1; oy <= 1; oy++) {
+            const ny = neighbourRow(cy + oy, rows);
+            if (ny < 0) continue;
+            for (let ox = -1; ox <= 1; ox++) {
+                const nx = neighbourCol(cx + ox, cols);
+                if (nx < 0) continue;
                 let j = s_cellHead[nx + ny * cols];
                 while (j !== -1) {
                     if (i !== j) {
-                        const dx = s_x[j] - px;
-                        const dy = s_y[j] - py;
+                        const dx = wrapDx(s_x[j] - px);
+                        const dy = wrapDy(s_y[j] - py);
                         const r2 = dx * dx + dy * dy;
                         if (r2 < H2) {
                             const r = r2 < 1.0 ? Math.sqrt(r2) : fastSqrt(r2);
                             const q = 1.0 - r / H;
                             d += q * q;
                             nd += q * q * q;
+                            neighbours++;
+                            if (shearNeeded) {
+                                const dvx = s_vx[j] - s_vx[i];
+                                const dvy = s_vy[j] - s_vy[i];
+                                shear2 += q * (dvx * dvx + dvy * dvy) / Math.max(r2, PARTICLE_RADIUS * PARTICLE_RADIUS);
+                                sumQ += q;
+                            }
                         }
                     }
                     j = s_particleNext[j];
@@ -143,46 +294,82 @@ function computeDensitySlice(start, end, cols, rows) {
         nd += 1.0;
         if (d < 0.1) d = 0.1;
 
+        const mass = s_params[PARAM_PHASE_MASS + s_phase[i]];
         s_density[i] = d;
         s_nearDensity[i] = nd;
-        s_pressure[i] = Math.max(-GAS_CONST * 0.1, GAS_CONST * (d - REST_DENS));
-        s_nearPressure[i] = NEAR_GAS_CONST * nd;
+        s_pressure[i] = Math.max(-GAS_CONST * 0.1, GAS_CONST * (d - REST_DENS)) * mass;
+        s_nearPressure[i] = NEAR_GAS_CONST * nd * mass;
+        s_viscosity[i] = effectiveViscosity(i, sumQ > 0 ? Math.sqrt(shear2 / sumQ) : 0);
+        s_neighbours[i] = Math.min(neighbours, 255);
+    }
+}
+
+// Same as thermalViscFactor in physics-worker.js
+function thermalViscFactor(temp, phase) {
+    const pour = s_params[PARAM_PHASE_TEMP + phase];
+    const span = pour - s_params[PARAM_PHASE_MELT + phase];
+    if (span <= 0) return 1.0;
+    const s = Math.min(Math.max((pour - temp) / span, 0), 1);
+    return 1.0 + (THERMAL_VISC_MAX - 1.0) * s * s;
+}
+
+// Same as rheologyViscosity / effectiveViscosity in physics-worker.js
+function effectiveViscosity(i, shearRate) {
+    const phase = s_phase[i];
+    const visc = s_params[PARAM_PHASE_VISC + phase] * thermalViscFactor(s_temperature[i], phase);
+    const model = s_params[PARAM_RHEOLOGY];
+    if (phase !== 0 || model === 0) return visc;
+    const shear = Math.max(shearRate, SHEAR_RATE_MIN);
+    if (model === 1) {
+        const factor = Math.pow(shear / SHEAR_RATE_REF, s_params[PARAM_FLOW_INDEX] - 1.0);
+        return visc * Math.min(Math.max(factor, POWER_LAW_MIN), POWER_LAW_MAX);
     }
+    return visc + s_params[PARAM_YIELD_STRESS] / shear;
 }
 
-function computeForcesSlice(start, end, cols, rows) {
-    const SURFACE_TENSION = s_params[2];
-    const VISC = s_params[3];
+function computeForcesSlice(start, end, cols, rows, deterministic, seed, simStep, drainCount) {
     const GRAVITY_X = s_params[4];
     const GRAVITY_Y = s_params[5];
     const simWidth = s_params[6];
     const simHeight = s_params[7];
     const WALL_STIFFNESS = s_params[8];
+    const VISC_STABILITY_LIMIT = 0.5 / s_params[9]; // 0.5 / substep dt
+    const CONDUCTION = s_params[PARAM_CONDUCTION];
+    const DYE_DIFFUSION = s_params[PARAM_DYE_DIFFUSION];
 
     for (let i = start; i < end; i++) {
+        if (deterministic) rngState = hashSeed(seed, simStep, i);
         const px = s_x[i], py = s_y[i];
         const pvx = s_vx[i], pvy = s_vy[i];
         const pPress = s_pressure[i];
         const pNearPress = s_nearPressure[i];
         const pDens = s_density[i];
+        const phaseI = s_phase[i];
+        const massI = s_params[PARAM_PHASE_MASS + phaseI];
+        const tensionI = s_params[PARAM_PHASE_TENSION + phaseI];
+        const tempI = s_temperature[i];
+        const viscI = s_viscosity[i];
 
         let fPressX = 0, fPressY = 0;
         let fViscX = 0, fViscY = 0;
+        let heat = 0;
+        const dyeR = s_dyeR[i], dyeG = s_dyeG[i], dyeB = s_dyeB[i];
+        let dyeRateR = 0, dyeRateG = 0, dyeRateB = 0;
 
-        const cx = Math.max(0, Math.min(cols - 1, (px / H) | 0));
-        const cy = Math.max(0, Math.min(rows - 1, (py / H) | 0));
-        const cxMin = cx > 0 ? cx - 1 : 0;
-        const cxMax = cx < cols - 1 ? cx + 1 : cols - 1;
-        const cyMin = cy > 0 ? cy - 1 : 0;
-        const cyMax = cy < rows - 1 ? cy + 1 : rows - 1;
+        const cx = Math.max(0, Math.min(cols - 1, (px / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (py / cellH) | 0));
 
-        for (let ny = cyMin; ny <= cyMax; ny++) {
-            for (let nx = cxMin; nx <= cxMax; nx++) {
+        for (let oy = -1; oy <= 1; oy++) {
+            const ny = neighbourRow(cy + oy, rows);
+            if (ny < 0) continue;
+            for (let ox = -1; ox <= 1; ox++) {
+                const nx = neighbourCol(cx + ox, cols);
+                if (nx < 0) continue;
                 let j = s_cellHead[nx + ny * cols];
                 while (j !== -1) {
                     if (i !== j) {
-                        let dx = s_x[j] - px;
-                        let dy = s_y[j] - py;
+                        let dx = wrapDx(s_x[j] - px);
+                        let dy = wrapDy(s_y[j] - py);
                         let r2 = dx * dx + dy * dy;
                         if (r2 < H2) {
                             if (r2 < 0.0001) {
@@ -193,20 +380,32 @@ function computeForcesSlice(start, end, cols, rows) {
                             }
                             const r = r2 < 1.0 ? Math.sqrt(r2) : fastSqrt(r2);
                             const q = 1.0 - r / H;
+                            const phaseJ = s_phase[j];
+                            const massJ = s_params[PARAM_PHASE_MASS + phaseJ];
                             const avgPress = (pPress + s_pressure[j]) * 0.5;
                             const avgNearPress = (pNearPress + s_nearPressure[j]) * 0.5;
-                            const cohesion = SURFACE_TENSION * q * (1.0 - q);
+                            const tension = (tensionI + s_params[PARAM_PHASE_TENSION + phaseJ]) * 0.5;
+                            const cohesion = tension * q * (1.0 - q) * (massI + massJ) * 0.5;
                             const forcePress = (avgPress * q + avgNearPress * q * q) / pDens;
-                            const totalForce = forcePress - cohesion;
+                            const totalForce = (forcePress - cohesion) / massI;
                             const invR = r > 0.001 ? 1.0 / r : 0;
 
                             fPressX -= totalForce * dx * invR;
                             fPressY -= totalForce * dy * invR;
 
-                            const VISC_STABILITY_LIMIT = 107.0; // 0.5 / (0.014/3)
-                            const forceVisc = Math.min(VISC * q / pDens, VISC_STABILITY_LIMIT);
+                            const tempJ = s_temperature[j];
+                            const visc = (viscI + s_viscosity[j]) * 0.5;
+                            const massShare = 2.0 * massJ / (massI + massJ);
+                            const forceVisc = Math.min(visc * q / pDens, VISC_STABILITY_LIMIT) * massShare;
                             fViscX += forceVisc * (s_vx[j] - pvx);
                             fViscY += forceVisc * (s_vy[j] - pvy);
+
+                            heat += Math.min(CONDUCTION * q / pDens, VISC_STABILITY_LIMIT) * massShare * (tempJ - tempI);
+
+                            const dyeMix = Math.min(DYE_DIFFUSION * q / pDens, VISC_STABILITY_LIMIT);
+                            dyeRateR += dyeMix * (s_dyeR[j] - dyeR);
+                            dyeRateG += dyeMix * (s_dyeG[j] - dyeG);
+                            dyeRateB += dyeMix * (s_dyeB[j] - dyeB);
                         }
                     }
                     j = s_particleNext[j];
@@ -217,12 +416,630 @@ function computeForcesSlice(start, end, cols, rows) {
         // Boundary wall forces
         const wallMargin = PARTICLE_RADIUS * 2;
         let wallFx = 0, wallFy = 0;
-        if (px < wallMargin) wallFx += (wallMargin - px) * WALL_STIFFNESS;
-        else if (px > simWidth - wallMargin) wallFx -= (px - (simWidth - wallMargin)) * WALL_STIFFNESS;
-        if (py < wallMargin) wallFy += (wallMargin - py) * WALL_STIFFNESS;
-        else if (py > simHeight - wallMargin) wallFy -= (py - (simHeight - wallMargin)) * WALL_STIFFNESS;
+        if (px < wallMargin) {
+            if (!edgeOpen(SIDE_LEFT, py, drainCount)) wallFx += (wallMargin - px) * WALL_STIFFNESS;
+        } else if (px > simWidth - wallMargin) {
+            if (!edgeOpen(SIDE_RIGHT, py, drainCount)) wallFx -= (px - (simWidth - wallMargin)) * WALL_STIFFNESS;
+        }
+        if (py < wallMargin) {
+            if (!edgeOpen(SIDE_TOP, px, drainCount)) wallFy += (wallMargin - py) * WALL_STIFFNESS;
+        } else if (py > simHeight - wallMargin) {
+            if (!edgeOpen(SIDE_BOTTOM, px, drainCount)) wallFy -= (py - (simHeight - wallMargin)) * WALL_STIFFNESS;
+        }
 
         s_fx[i] = fPressX + fViscX + wallFx + GRAVITY_X;
         s_fy[i] = fPressY + fViscY + wallFy + GRAVITY_Y;
+        s_heat[i] = heat;
+        s_dyeRateR[i] = dyeRateR;
+        s_dyeRateG[i] = dyeRateG;
+        s_dyeRateB[i] = dyeRateB;
+    }
+}
+
+// ==========================================
+// POSITION BASED FLUIDS
+// Predicted positions are x + (s_fx, s_fy); see physics-worker.js for the
+// layout of the scratch arrays during the projection.
+// ==========================================
+
+// Same neighbour pairs as the single-threaded neighbour cache: within H at
+// the start of the step, whatever the predicted positions
+function isCachedPair(i, j) {
+    const dx = wrapDx(s_x[j] - s_x[i]);
+    const dy = wrapDy(s_y[j] - s_y[i]);
+    return dx * dx + dy * dy < H2;
+}
+function computeLambdaSlice(start, end, cols, rows) {
+    for (let i = start; i < end; i++) {
+        const px = s_x[i] + s_fx[i], py = s_y[i] + s_fy[i];
+        let d = 1.0, gradX = 0, gradY = 0, sumGrad2 = 0;
+
+        const cx = Math.max(0, Math.min(cols - 1, (s_x[i] / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (s_y[i] / cellH) | 0));
+
+        for (let oy = -1; oy <= 1; oy++) {
+            const ny = neighbourRow(cy + oy, rows);
+            if (ny < 0) continue;
+            for (let ox = -1; ox <= 1; ox++) {
+                const nx = neighbourCol(cx + ox, cols);
+                if (nx < 0) continue;
+                let j = s_cellHead[nx + ny * cols];
+                while (j !== -1) {
+                    if (i !== j && isCachedPair(i, j)) {
+                        const dx = wrapDx(s_x[j] + s_fx[j] - px);
+                        const dy = wrapDy(s_y[j] + s_fy[j] - py);
+                        const r2 = dx * dx + dy * dy;
+                        if (r2 < H2) {
+                            const r = Math.sqrt(r2);
+                            const q = 1.0 - r / H;
+                            d += q * q;
+                            if (r >= 0.001) {
+                                const g = 2.0 * q / (H * REST_DENS * r);
+                                gradX += g * dx;
+                                gradY += g * dy;
+                                sumGrad2 += g * g * r2 / s_params[PARAM_PHASE_MASS + s_phase[j]];
+                            }
+                        }
+                    }
+                    j = s_particleNext[j];
+                }
+            }
+        }
+
+        const C = Math.max(d / REST_DENS - 1.0, 0);
+        const grad2 = (gradX * gradX + gradY * gradY) / s_params[PARAM_PHASE_MASS + s_phase[i]];
+        s_density[i] = d;
+        s_nearDensity[i] = -C / (sumGrad2 + grad2 + PBF_RELAXATION);
+    }
+}
+
+function computeCorrectionSlice(start, end, cols, rows) {
+    for (let i = start; i < end; i++) {
+        const px = s_x[i] + s_fx[i], py = s_y[i] + s_fy[i];
+        const lambda = s_nearDensity[i];
+        let corrX = 0, corrY = 0;
+
+        const cx = Math.max(0, Math.min(cols - 1, (s_x[i] / cellW) | 0));
+        const cy = Math.max(0, Math.min(rows - 1, (s_y[i] / cellH) | 0));
+
+        for (let oy = -1; oy <= 1; oy++) {
+            const ny = neighbourRow(cy + oy, rows);
+            if (ny < 0) continue;
+            for (let ox = -1; ox <= 1; ox++) {
+                const nx = neighbourCol(cx + ox, cols);
+                if (nx < 0) continue;
+                let j = s_cellHead[nx + ny * cols];
+                while (j !== -1) {
+                    if (i !== j && isCachedPair(i, j)) {
+                        const dx = wrapDx(s_x[j] + s_fx[j] - px);
+                        const dy = wrapDy(s_y[j] + s_fy[j] - py);
+                        const r2 = dx * dx + dy * dy;
+                        if (r2 < H2 && r2 >= 0.000001) {
+                            const r = Math.sqrt(r2);
+                            const q = 1.0 - r / H;
+                            const s = (lambda + s_nearDensity[j]) * 2.0 * q / (H * REST_DENS * r);
+                            corrX += s * dx;
+                            corrY += s * dy;
+                        }
+                    }
+                    j = s_particleNext[j];
+                }
+            }
+        }
+
+        const invMass = 1.0 / s_params[PARAM_PHASE_MASS + s_phase[i]];
+        s_pressure[i] = corrX * invMass;
+        s_nearPressure[i] = corrY * invMass;
+    }
+}
+
+// Custom walls, same as applyCustomWallForces in physics-worker.js
+function computeWallSlice(start, end, wallCount) {
+    const WALL_STIFFNESS = s_params[8];
+    const base = tableBase.walls;
+    for (let i = start; i < end; i++) {
+        const px = s_x[i], py = s_y[i];
+        for (let w = 0; w < wallCount; w++) {
+            const o = base + w * WALL_FLOATS;
+            const x1 = s_tables[o], y1 = s_tables[o + 1];
+            const wdx = s_tables[o + 2] - x1;
+            const wdy = s_tables[o + 3] - y1;
+            const wLen2 = wdx * wdx + wdy * wdy;
+            if (wLen2 < 0.01) continue;
+
+            let t = ((px - x1) * wdx + (py - y1) * wdy) / wLen2;
+            t = Math.max(0, Math.min(1, t));
+
+            const distX = px - (x1 + t * wdx);
+            const distY = py - (y1 + t * wdy);
+            const dist2 = distX * distX + distY * distY;
+            const effectiveRadius = s_tables[o + 4] + PARTICLE_RADIUS;
+
+            if (dist2 < effectiveRadius * effectiveRadius && dist2 > 0.001) {
+                const dist = Math.sqrt(dist2);
+                const overlap = effectiveRadius - dist;
+                s_fx[i] += distX / dist * overlap * WALL_STIFFNESS * 0.5;
+                s_fy[i] += distY / dist * overlap * WALL_STIFFNESS * 0.5;
+            }
+        }
+    }
+}
+
+// ==========================================
+// RIGID BODIES
+// ==========================================
+// Same contact model as applyRigidBodyContacts in physics-worker.js, with the
+// bodies read from the shared table. Reactions on the bodies and the
+// buoyancy counts of this slice go to s_reduce for the coordinator to sum.
+const contact = { dist: 0, nx: 0, ny: 0, clx: 0, cly: 0 };
+
+function readBody(o) {
+    return {
+        type: s_tables[o], x: s_tables[o + 1], y: s_tables[o + 2], angle: s_tables[o + 3],
+        halfW: s_tables[o + 4], halfH: s_tables[o + 5], radius: s_tables[o + 6],
+        vx: s_tables[o + 7], vy: s_tables[o + 8], omega: s_tables[o + 9],
+        verts: [s_tables[o + 10], s_tables[o + 11], s_tables[o + 12], s_tables[o + 13], s_tables[o + 14], s_tables[o + 15]],
+        quickR: s_tables[o + 16], checkR: s_tables[o + 17],
+        cos: Math.cos(s_tables[o + 3]), sin: Math.sin(s_tables[o + 3])
+    };
+}
+
+// Rotates a local normal to world space and fills `contact`
+function setContact(dist, lnx, lny, clx, cly, body) {
+    contact.dist = dist;
+    contact.nx = lnx * body.cos - lny * body.sin;
+    contact.ny = lnx * body.sin + lny * body.cos;
+    contact.clx = clx;
+    contact.cly = cly;
+    return true;
+}
+
+function collideBox(px, py, body) {
+    const dx = px - body.x, dy = py - body.y;
+    const lx = dx * body.cos + dy * body.sin;
+    const ly = -dx * body.sin + dy * body.cos;
+
+    const clampX = Math.max(-body.halfW, Math.min(body.halfW, lx));
+    const clampY = Math.max(-body.halfH, Math.min(body.halfH, ly));
+    const distX = lx - clampX, distY = ly - clampY;
+    const dist2 = distX * distX + distY * distY;
+
+    if (dist2 < 0.001) {
+        // Particle inside box
+        const overlapX = body.halfW - Math.abs(lx);
+        const overlapY = body.halfH - Math.abs(ly);
+        if (overlapX < overlapY) return setContact(overlapX + PARTICLE_RADIUS, lx > 0 ? 1 : -1, 0, clampX, clampY, body);
+        return setContact(overlapY + PARTICLE_RADIUS, 0, ly > 0 ? 1 : -1, clampX, clampY, body);
+    }
+
+    if (dist2 > PARTICLE_RADIUS * PARTICLE_RADIUS) return false;
+
+    const dist = Math.sqrt(dist2);
+    return setContact(PARTICLE_RADIUS - dist, distX / dist, distY / dist, clampX, clampY, body);
+}
+
+function collideCircle(px, py, body) {
+    const dx = px - body.x, dy = py - body.y;
+    const dist2 = dx * dx + dy * dy;
+    const effectiveR = body.radius + PARTICLE_RADIUS;
+    if (dist2 > effectiveR * effectiveR) return false;
+    if (dist2 < 0.001) {
+        contact.dist = effectiveR; contact.nx = 0; contact.ny = -1; contact.clx = 0; contact.cly = -body.radius;
+        return true;
+    }
+    const dist = Math.sqrt(dist2);
+    contact.dist = effectiveR - dist;
+    contact.nx = dx / dist;
+    contact.ny = dy / dist;
+    contact.clx = -dx / dist * body.radius;
+    contact.cly = -dy / dist * body.radius;
+    return true;
+}
+
+function collideTriangle(px, py, body) {
+    const dx = px - body.x, dy = py - body.y;
+    const lx = dx * body.cos + dy * body.sin;
+    const ly = -dx * body.sin + dy * body.cos;
+    const verts = body.verts;
+
+    let minDist2 = Infinity, closestX = 0, closestY = 0, inside = true;
+    for (let i = 0; i < 3; i++) {
+        const v0x = verts[i * 2], v0y = verts[i * 2 + 1];
+        const k = (i + 1) % 3;
+        const ex = verts[k * 2] - v0x, ey = verts[k * 2 + 1] - v0y;
+        if (ex * (ly - v0y) - ey * (lx - v0x) < 0) inside = false;
+        const eLen2 = ex * ex + ey * ey;
+        let t = eLen2 > 0.001 ? ((lx - v0x) * ex + (ly - v0y) * ey) / eLen2 : 0;
+        t = Math.max(0, Math.min(1, t));
+        const cx = v0x + t * ex, cy = v0y + t * ey;
+        const d2 = (lx - cx) * (lx - cx) + (ly - cy) * (ly - cy);
+        if (d2 < minDist2) { minDist2 = d2; closestX = cx; closestY = cy; }
+    }
+
+    if (inside) {
+        const dist = Math.sqrt(minDist2) || 0.001;
+        return setContact(dist + PARTICLE_RADIUS, (lx - closestX) / dist, (ly - closestY) / dist, closestX, closestY, body);
+    }
+    if (minDist2 > PARTICLE_RADIUS * PARTICLE_RADIUS) return false;
+    const dist = Math.sqrt(minDist2);
+    return setContact(PARTICLE_RADIUS - dist, (lx - closestX) / dist, (ly - closestY) / dist, closestX, closestY, body);
+}
+
+function computeBodySlice(start, end, bodyCount) {
+    const dt = s_params[9];
+    const bodies = [];
+    for (let b = 0; b < bodyCount; b++) bodies.push(readBody(tableBase.bodies + b * BODY_FLOATS));
+    const sums = new Float64Array(bodyCount * 4);
+
+    for (let i = start; i < end; i++) {
+        const px = s_x[i], py = s_y[i];
+
+        for (let b = 0; b < bodyCount; b++) {
+            const body = bodies[b];
+            const ddx = px - body.x, ddy = py - body.y;
+            const d2 = ddx * ddx + ddy * ddy;
+            if (d2 < body.checkR * body.checkR) sums[b * 4 + 3]++;
+            if (s_frozen[i] || d2 > body.quickR * body.quickR) continue;
+
+            let hit;
+            if (body.type === 0) hit = collideBox(px, py, body);
+            else if (body.type === 1) hit = collideCircle(px, py, body);
+            else hit = collideTriangle(px, py, body);
+            if (!hit) continue;
+
+            // Spring force on particle
+            const forceMag = contact.dist * RIGID_BODY_STIFFNESS;
+            s_fx[i] += contact.nx * forceMag;
+            s_fy[i] += contact.ny * forceMag;
+
+            // Contact point in world space
+            const rx = contact.clx * body.cos - contact.cly * body.sin;
+            const ry = contact.clx * body.sin + contact.cly * body.cos;
+
+            // Velocity damping
+            const bodyVxC = body.vx - body.omega * ry;
+            const bodyVyC = body.vy + body.omega * rx;
+            const relVn = (s_vx[i] - bodyVxC) * contact.nx + (s_vy[i] - bodyVyC) * contact.ny;
+
+            let totalFx = contact.nx * forceMag;
+            let totalFy = contact.ny * forceMag;
+            if (relVn < 0) {
+                const dampF = -relVn * RIGID_BODY_STIFFNESS * 0.02;
+                s_fx[i] += contact.nx * dampF;
+                s_fy[i] += contact.ny * dampF;
+                totalFx += contact.nx * dampF;
+                totalFy += contact.ny * dampF;
+            }
+
+            // Grains rub along the surface
+            const mu = s_params[PARAM_PHASE_FRICTION + s_phase[i]];
+            if (mu > 0) {
+                const relVx = s_vx[i] - bodyVxC, relVy = s_vy[i] - bodyVyC;
+                const tx = relVx - relVn * contact.nx, ty = relVy - relVn * contact.ny;
+                const vt = Math.sqrt(tx * tx + ty * ty);
+                if (vt > 1e-6) {
+                    const coef = Math.min(mu * forceMag / vt, 0.5 / dt);
+                    s_fx[i] -= coef * tx;
+                    s_fy[i] -= coef * ty;
+                    totalFx -= coef * tx;
+                    totalFy -= coef * ty;
+                }
+            }
+
+            // Reaction on body (Newton's 3rd law)
+            sums[b * 4] -= totalFx;
+            sums[b * 4 + 1] -= totalFy;
+            sums[b * 4 + 2] -= rx * totalFy - ry * totalFx;
+        }
+    }
+    s_reduce.set(sums, REDUCE_BODIES);
+}
+
+// ==========================================
+// INTEGRATION
+// ==========================================
+// Force fields, see FORCE FIELDS in physics-worker.js. Table rows: type,
+// x, y, radius, strength, falloff, dirX, dirY, age
+const TURBULENCE_SCALE = 60;
+const TURBULENCE_SPEED = 0.5;
+
+function fieldFalloff(falloff, r) {
+    if (falloff === 1) return 1 - r;
+    if (falloff === 2) return (1 - r) * (1 - r);
+    return 1;
+}
+
+function latticeNoise(ix, iy, iz) {
+    let h = Math.imul(ix, 0x27d4eb2d) ^ Math.imul(iy, 0x165667b1) ^ Math.imul(iz, 0x9e3779b9);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h ^= h >>> 13;
+    return (h & 0xffff) / 0x8000 - 1;
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Noise on the lattice plane k, at (u, v) between ix..ix + 1 and iy..iy + 1
+function noisePlane(ix, iy, k, u, v) {
+    return lerp(
+        lerp(latticeNoise(ix, iy, k), latticeNoise(ix + 1, iy, k), u),
+        lerp(latticeNoise(ix, iy + 1, k), latticeNoise(ix + 1, iy + 1, k), u), v);
+}
+
+function valueNoise(x, y, z) {
+    const ix = Math.floor(x), iy = Math.floor(y), iz = Math.floor(z);
+    const fx = x - ix, fy = y - iy, fz = z - iz;
+    const u = fx * fx * (3 - 2 * fx), v = fy * fy * (3 - 2 * fy), w = fz * fz * (3 - 2 * fz);
+    return lerp(noisePlane(ix, iy, iz, u, v), noisePlane(ix, iy, iz + 1, u, v), w);
+}
+
+const turbulence = { x: 0, y: 0 };
+function turbulenceAt(x, y, age) {
+    const nx = x / TURBULENCE_SCALE, ny = y / TURBULENCE_SCALE, nz = age * TURBULENCE_SPEED;
+    const e = 0.25;
+    turbulence.x = (valueNoise(nx, ny + e, nz) - valueNoise(nx, ny - e, nz)) / (2 * e);
+    turbulence.y = -(valueNoise(nx + e, ny, nz) - valueNoise(nx - e, ny, nz)) / (2 * e);
+}
+
+function applyForceFields(i, fieldCount, dt) {
+    for (let f = 0; f < fieldCount; f++) {
+        const o = tableBase.fields + f * FIELD_FLOATS;
+        const radius = s_tables[o + 3];
+        const dx = wrapDx(s_x[i] - s_tables[o + 1]);
+        const dy = wrapDy(s_y[i] - s_tables[o + 2]);
+        const d2 = dx * dx + dy * dy;
+        if (d2 >= radius * radius) continue;
+        const d = Math.sqrt(d2);
+        const a = s_tables[o + 4] * fieldFalloff(s_tables[o + 5], d / radius) * dt;
+        const type = s_tables[o];
+        if (type === 0) {
+            s_vx[i] += s_tables[o + 6] * a;
+            s_vy[i] += s_tables[o + 7] * a;
+        } else if (d > 1 && type === 1) {
+            s_vx[i] += (dx / d) * a;
+            s_vy[i] += (dy / d) * a;
+        } else if (d > 1 && type === 2) {
+            s_vx[i] += (-dy / d) * a;
+            s_vy[i] += (dx / d) * a;
+        } else if (type === 3) {
+            turbulenceAt(s_x[i], s_y[i], s_tables[o + 8]);
+            s_vx[i] += turbulence.x * a;
+            s_vy[i] += turbulence.y * a;
+        }
+    }
+}
+
+// Whether the container side is open at coordinate c along it, on a periodic
+// axis or across an outflow drain; same as edgeOpen in physics-worker.js
+function edgeOpen(side, c, drainCount) {
+    if (side === SIDE_LEFT || side === SIDE_RIGHT ? periodX > 0 : periodY > 0) return true;
+    for (let d = 0; d < drainCount; d++) {
+        const o = tableBase.drains + d * DRAIN_FLOATS;
+        if (s_tables[o] !== DRAIN_OUTFLOW || s_tables[o + 5] !== side) continue;
+        const vertical = side === SIDE_LEFT || side === SIDE_RIGHT;
+        const lo = vertical ? s_tables[o + 2] : s_tables[o + 1];
+        const hi = vertical ? s_tables[o + 4] : s_tables[o + 3];
+        if (c >= lo && c <= hi) return true;
+    }
+    return false;
+}
+
+// Same as integrateSlice in physics-worker.js, reading the scene objects from
+// the shared tables. The number of clamped velocities goes to s_reduce.
+function integrateSlice(start, end, portalCount, explosionCount, drainCount, fieldCount) {
+    const BOUNDARY_DAMPING = -0.3;
+    const dt = s_params[9];
+    const width = s_params[6], height = s_params[7];
+    const vitesseMax2 = VITESSE_MAX * VITESSE_MAX;
+    const tool = s_params[PARAM_MOUSE_TOOL];
+    const mouseX = s_params[PARAM_MOUSE_X], mouseY = s_params[PARAM_MOUSE_Y];
+    const toolStrength = s_params[PARAM_TOOL_STRENGTH];
+    const toolRadius = s_params[PARAM_TOOL_RADIUS];
+    const dirX = s_params[PARAM_MOUSE_DIR_X], dirY = s_params[PARAM_MOUSE_DIR_Y];
+    let clamped = 0;
+
+    // Box around all the drains
+    let drainMinX = Infinity, drainMinY = Infinity, drainMaxX = -Infinity, drainMaxY = -Infinity;
+    for (let d = 0; d < drainCount; d++) {
+        const o = tableBase.drains + d * DRAIN_FLOATS;
+        drainMinX = Math.min(drainMinX, s_tables[o + 1]);
+        drainMinY = Math.min(drainMinY, s_tables[o + 2]);
+        drainMaxX = Math.max(drainMaxX, s_tables[o + 3]);
+        drainMaxY = Math.max(drainMaxY, s_tables[o + 4]);
+    }
+
+    for (let i = start; i < end; i++) {
+        if (s_teleportCD[i] > 0) s_teleportCD[i] -= dt;
+        let flags = 0;
+
+        // Frozen particles: zero velocity, skip movement
+        if (s_frozen[i]) {
+            s_vx[i] = 0;
+            s_vy[i] = 0;
+            s_flags[i] = 0;
+            continue;
+        }
+
+        s_vx[i] += s_fx[i] * dt;
+        s_vy[i] += s_fy[i] * dt;
+        s_vx[i] *= 0.999;
+        s_vy[i] *= 0.999;
+
+        const v2 = s_vx[i] * s_vx[i] + s_vy[i] * s_vy[i];
+        if (v2 > vitesseMax2) {
+            const ratio = VITESSE_MAX / Math.sqrt(v2);
+            s_vx[i] *= ratio;
+            s_vy[i] *= ratio;
+            clamped++;
+        }
+
+        // Explosion forces, strength already scaled by age
+        for (let e = 0; e < explosionCount; e++) {
+            const o = tableBase.explosions + e * EXPLOSION_FLOATS;
+            const radius = s_tables[o + 2];
+            const edx = s_x[i] - s_tables[o];
+            const edy = s_y[i] - s_tables[o + 1];
+            const eDist2 = edx * edx + edy * edy;
+            if (eDist2 < radius * radius && eDist2 > 1) {
+                const eDist = Math.sqrt(eDist2);
+                const falloff = 1.0 - eDist / radius;
+                const force = s_tables[o + 3] * falloff * falloff;
+                s_vx[i] += (edx / eDist) * force * dt;
+                s_vy[i] += (edy / eDist) * force * dt;
+            }
+        }
+
+        if (fieldCount > 0) applyForceFields(i, fieldCount, dt);
+
+        // Local gravity tool
+        if (tool === 5) {
+            const mdx = wrapDx(mouseX - s_x[i]);
+            const mdy = wrapDy(mouseY - s_y[i]);
+            const mDist2 = mdx * mdx + mdy * mdy;
+            if (mDist2 < toolRadius * toolRadius && mDist2 > 100) {
+                const mDist = Math.sqrt(mDist2);
+                const force = toolStrength * 3.0 / (mDist * 0.5);
+                s_vx[i] += (mdx / mDist) * force * dt;
+                s_vy[i] += (mdy / mDist) * force * dt;
+            }
+        }
+
+        s_x[i] += s_vx[i] * dt;
+        s_y[i] += s_vy[i] * dt;
+
+        // Mouse obstacle
+        if (tool === 1) {
+            const mdx = wrapDx(s_x[i] - mouseX);
+            const mdy = wrapDy(s_y[i] - mouseY);
+            const mDist2 = mdx * mdx + mdy * mdy;
+            if (mDist2 < toolRadius * toolRadius) {
+                let mDist = Math.sqrt(mDist2);
+                if (mDist === 0) mDist = 1;
+                const nx = mdx / mDist;
+                const ny = mdy / mDist;
+                s_x[i] = mouseX + nx * toolRadius;
+                s_y[i] = mouseY + ny * toolRadius;
+                s_vx[i] += nx * 300;
+                s_vy[i] += ny * 300;
+                if (v2 > 100000) flags |= FLAG_PUSH_FOAM;
+            }
+        }
+
+        // Vortex tool
+        if (tool === 2) {
+            const mdx = wrapDx(s_x[i] - mouseX);
+            const mdy = wrapDy(s_y[i] - mouseY);
+            const mDist2 = mdx * mdx + mdy * mdy;
+            if (mDist2 < toolRadius * toolRadius && mDist2 > 1) {
+                const mDist = Math.sqrt(mDist2);
+                const strength = toolStrength * (1.0 - mDist / toolRadius);
+                s_vx[i] += (-mdy / mDist) * strength * dt;
+                s_vy[i] += (mdx / mDist) * strength * dt;
+            }
+        }
+
+        // Wind tool, blowing along the drag direction
+        if (tool === 3) {
+            const mdx = wrapDx(s_x[i] - mouseX);
+            const mdy = wrapDy(s_y[i] - mouseY);
+            if (mdx * mdx + mdy * mdy < toolRadius * toolRadius) {
+                s_vx[i] += toolStrength * dirX * dt;
+                s_vy[i] += toolStrength * dirY * dt;
+            }
+        }
+
+        // Attractor tool
+        if (tool === 4) {
+            const mdx = wrapDx(mouseX - s_x[i]);
+            const mdy = wrapDy(mouseY - s_y[i]);
+            const mDist2 = mdx * mdx + mdy * mdy;
+            if (mDist2 < toolRadius * toolRadius && mDist2 > 1) {
+                const mDist = Math.sqrt(mDist2);
+                const strength = toolStrength * 2;
+                s_vx[i] += (mdx / mDist) * strength * dt;
+                s_vy[i] += (mdy / mDist) * strength * dt;
+            }
+        }
+
+        // Periodic axes: leaving one side re-enters on the other
+        if (periodX > 0) {
+            if (s_x[i] < 0) s_x[i] += periodX;
+            else if (s_x[i] >= periodX) s_x[i] -= periodX;
+        }
+        if (periodY > 0) {
+            if (s_y[i] < 0) s_y[i] += periodY;
+            else if (s_y[i] >= periodY) s_y[i] -= periodY;
+        }
+
+        // Boundary clamping
+        if (s_x[i] - PARTICLE_RADIUS < 0) {
+            if (!edgeOpen(SIDE_LEFT, s_y[i], drainCount)) {
+                s_x[i] = PARTICLE_RADIUS;
+                s_vx[i] *= BOUNDARY_DAMPING;
+            }
+        } else if (s_x[i] + PARTICLE_RADIUS > width) {
+            if (!edgeOpen(SIDE_RIGHT, s_y[i], drainCount)) {
+                s_x[i] = width - PARTICLE_RADIUS;
+                s_vx[i] *= BOUNDARY_DAMPING;
+            }
+        }
+        if (s_y[i] - PARTICLE_RADIUS < 0) {
+            if (!edgeOpen(SIDE_TOP, s_x[i], drainCount)) {
+                s_y[i] = PARTICLE_RADIUS;
+                s_vy[i] *= BOUNDARY_DAMPING;
+            }
+        } else if (s_y[i] + PARTICLE_RADIUS > height) {
+            if (!edgeOpen(SIDE_BOTTOM, s_x[i], drainCount)) {
+                s_y[i] = height - PARTICLE_RADIUS;
+                s_vy[i] *= BOUNDARY_DAMPING;
+                if (Math.abs(s_vy[i]) > 100) flags |= FLAG_FLOOR_FOAM;
+            }
+        }
+
+        const accel2 = s_fx[i] * s_fx[i] + s_fy[i] * s_fy[i];
+        if (accel2 > 800000) flags |= FLAG_SPLASH;
+
+        // Teleporter portals
+        if (s_teleportCD[i] <= 0) {
+            for (let pp = 0; pp < portalCount; pp++) {
+                const o = tableBase.portals + pp * PORTAL_FLOATS;
+                const r2 = s_tables[o + 4];
+                const dx1 = s_x[i] - s_tables[o];
+                const dy1 = s_y[i] - s_tables[o + 1];
+                if (dx1 * dx1 + dy1 * dy1 < r2) {
+                    s_x[i] = s_tables[o + 2] + dx1;
+                    s_y[i] = s_tables[o + 3] + dy1;
+                    s_teleportCD[i] = 0.15;
+                    break;
+                }
+                const dx2 = s_x[i] - s_tables[o + 2];
+                const dy2 = s_y[i] - s_tables[o + 3];
+                if (dx2 * dx2 + dy2 * dy2 < r2) {
+                    s_x[i] = s_tables[o] + dx2;
+                    s_y[i] = s_tables[o + 1] + dy2;
+                    s_teleportCD[i] = 0.15;
+                    break;
+                }
+            }
+        }
+
+        // Drains, behind one box around all of them
+        const px = s_x[i], py = s_y[i];
+        if (px >= drainMinX && px <= drainMaxX && py >= drainMinY && py <= drainMaxY) {
+            for (let d = 0; d < drainCount; d++) {
+                const o = tableBase.drains + d * DRAIN_FLOATS;
+                if (px < s_tables[o + 1] || px > s_tables[o + 3] || py < s_tables[o + 2] || py > s_tables[o + 4]) continue;
+                if (s_tables[o] === DRAIN_CIRCLE) {
+                    const dx = px - (s_tables[o + 1] + s_tables[o + 3]) * 0.5;
+                    const dy = py - (s_tables[o + 2] + s_tables[o + 4]) * 0.5;
+                    if (dx * dx + dy * dy >= s_tables[o + 5]) continue;
+                }
+                flags |= FLAG_DRAINED;
+                break;
+            }
+        }
+        s_flags[i] = flags;
     }
+    s_reduce[REDUCE_CLAMPS] = clamped;
 }
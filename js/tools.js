@@ -2,12 +2,33 @@
 // TOOLS - Système d'outils d'interaction
 // ==========================================
 
+// Overlay colors of the bonded solid materials (SOLID_MATERIALS in physics-worker.js)
+const SOLID_COLORS = {
+    jelly: 'rgba(89, 217, 77, 0.8)',
+    snow: 'rgba(235, 242, 255, 0.8)',
+    mud: 'rgba(140, 95, 55, 0.9)'
+};
+
+// Bounds of the pointer tool radii (mouse wheel, Rayon binding)
+const TOOL_RADIUS_MIN = 10;
+const TOOL_RADIUS_MAX = 400;
+
+// Overlay color bases of the force field types (FIELD_TYPES in physics-worker.js)
+const FIELD_COLORS = {
+    directional: 'rgba(56, 189, 248, ',
+    radial: 'rgba(251, 191, 36, ',
+    vortex: 'rgba(168, 85, 247, ',
+    turbulence: 'rgba(45, 212, 191, '
+};
+
 export class ToolManager {
     constructor(worker, overlayCanvas) {
         this.worker = worker;
         this.overlay = overlayCanvas;
         this.ctx = overlayCanvas.getContext('2d');
         this.activeTool = 'push';
+        this.phase = 0; // phase of new solids (emitters take theirs from emitterSettings)
+        this.dyeColor = [0.10, 0.45, 0.75]; // paint color, also dyes new emitters
         this.container = document.getElementById('canvas-container');
 
         // Tool state
@@ -17,6 +38,15 @@ export class ToolManager {
         this.mouseY = -1000;
         this.shiftHeld = false;
 
+        // Radius of each pointer tool, resized with the mouse wheel
+        this.toolRadii = {
+            push: 45, vortex: 120, wind: 150, attractor: 200, localGravity: 180,
+            freeze: 50, eraser: 30, heat: 60, cool: 60, paint: 40, drain: 30
+        };
+        // Smoothed drag direction, steers the wind tool
+        this.dragDirX = 1;
+        this.dragDirY = 0;
+
         // Wall drawing
         this.wallStartX = 0;
         this.wallStartY = 0;
@@ -25,11 +55,48 @@ export class ToolManager {
         // Teleporter: pending first portal
         this.pendingPortal = null;
 
+        // Bonded solids: material and dragged rectangle
+        this.solidMaterial = 'jelly';
+        this.isDrawingSolid = false;
+        this.solidStartX = 0;
+        this.solidStartY = 0;
+
+        // Force fields: settings and dragged radius / direction
+        this.fieldType = 'directional';
+        this.fieldFalloff = 'smooth';
+        this.fieldStrength = 600;
+        this.isDrawingField = false;
+        this.fieldStartX = 0;
+        this.fieldStartY = 0;
+
+        // Emitters: dragged aim, settings of the next one placed and of the
+        // selected one (edited in place by the inspector)
+        this.isAimingEmitter = false;
+        this.emitterStartX = 0;
+        this.emitterStartY = 0;
+        this.selectedEmitter = -1;
+        this.emitterSettings = {
+            rate: 60, speed: 300, spread: 0.5,
+            shape: 'point', width: 40,
+            schedule: 'continuous', duration: 2, interval: 4,
+            enabled: true, phase: 0
+        };
+
+        // Drains: shape, rate limit (0 = none), dragged rectangle or outflow
+        // span, and the particles each one absorbed (fed from main.js)
+        this.drainShape = 'circle';
+        this.drainRate = 0;
+        this.isDrawingDrain = false;
+        this.drainStartX = 0;
+        this.drainStartY = 0;
+        this.drainCounts = [];
+
         // Placed objects for overlay rendering
         this.emitters = [];
         this.drains = [];
         this.walls = [];
         this.portalPairs = [];
+        this.forceFields = [];
 
         // Rigid bodies: placement state
         this.rigidBodies = [];
@@ -105,13 +172,44 @@ export class ToolManager {
             explosion: 'Explosion',
             localGravity: 'Gravite',
             freeze: 'Geler',
-            teleporter: 'Teleporteur'
+            heat: 'Chauffer',
+            cool: 'Refroidir',
+            paint: 'Peinture',
+            solid: 'Solide',
+            teleporter: 'Teleporteur',
+            field: 'Champ'
         };
         if (this.toolInfoEl) {
             this.toolInfoEl.textContent = toolNames[tool] || tool;
         }
     }
 
+    // Resize the active tool; the worker keeps one radius per tool
+    setToolRadius(radius) {
+        const tool = this.activeTool;
+        if (!(tool in this.toolRadii)) return;
+        this.toolRadii[tool] = Math.max(TOOL_RADIUS_MIN, Math.min(TOOL_RADIUS_MAX, Math.round(radius)));
+        this.worker.postMessage({ type: 'tool', tool, radius: this.toolRadii[tool] });
+    }
+
+    _trackDrag(pos) {
+        const dx = pos.x - this.mouseX;
+        const dy = pos.y - this.mouseY;
+        const len = Math.sqrt(dx * dx + dy * dy);
+        if (len < 2) return;
+        const x = this.dragDirX * 0.6 + (dx / len) * 0.4;
+        const y = this.dragDirY * 0.6 + (dy / len) * 0.4;
+        const norm = Math.sqrt(x * x + y * y);
+        // Full reversal: take the new direction as is
+        if (norm < 1e-3) {
+            this.dragDirX = dx / len;
+            this.dragDirY = dy / len;
+        } else {
+            this.dragDirX = x / norm;
+            this.dragDirY = y / norm;
+        }
+    }
+
     _getCanvasPos(e) {
         const rect = this.container.getBoundingClientRect();
         return {
@@ -173,6 +271,7 @@ export class ToolManager {
 
         container.addEventListener('mousemove', (e) => {
             const pos = this._getCanvasPos(e);
+            if (this.mouseDown) this._trackDrag(pos);
             this.mouseX = pos.x;
             this.mouseY = pos.y;
             if (this.mouseDown) {
@@ -182,10 +281,19 @@ export class ToolManager {
                 type: 'mouse',
                 x: pos.x,
                 y: pos.y,
-                active: this.mouseDown
+                active: this.mouseDown,
+                dirX: this.dragDirX,
+                dirY: this.dragDirY
             });
         });
 
+        // Mouse wheel: resize the active tool
+        container.addEventListener('wheel', (e) => {
+            if (!(this.activeTool in this.toolRadii)) return;
+            e.preventDefault();
+            this.setToolRadius(this.toolRadii[this.activeTool] * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+        }, { passive: false });
+
         window.addEventListener('mouseup', () => {
             if (this.mouseDown) {
                 this._onUp({ x: this.mouseX, y: this.mouseY });
@@ -214,10 +322,14 @@ export class ToolManager {
         container.addEventListener('touchmove', (e) => {
             const touch = e.touches[0];
             const pos = this._getCanvasPos(touch);
+            this._trackDrag(pos);
             this.mouseX = pos.x;
             this.mouseY = pos.y;
             this._onMove(pos);
-            this.worker.postMessage({ type: 'mouse', x: pos.x, y: pos.y, active: true });
+            this.worker.postMessage({
+                type: 'mouse', x: pos.x, y: pos.y, active: true,
+                dirX: this.dragDirX, dirY: this.dragDirY
+            });
         }, { passive: true });
 
         window.addEventListener('touchend', () => {
@@ -348,22 +460,27 @@ export class ToolManager {
 
     _onDown(pos) {
         switch (this.activeTool) {
-            case 'emitter':
-                this.emitters.push({ x: pos.x, y: pos.y, angle: Math.PI / 2 });
-                this.worker.postMessage({
-                    type: 'addEmitter',
-                    x: pos.x, y: pos.y,
-                    angle: Math.PI / 2,
-                    rate: 60, speed: 300
-                });
+            case 'emitter': {
+                // Clic sur un émetteur existant → le sélectionner pour l'inspecteur
+                const hit = this._emitterAt(pos);
+                if (hit >= 0) {
+                    this.selectEmitter(hit);
+                } else {
+                    this.isAimingEmitter = true;
+                    this.emitterStartX = pos.x;
+                    this.emitterStartY = pos.y;
+                }
                 break;
+            }
 
             case 'drain':
-                this.drains.push({ x: pos.x, y: pos.y, radius: 30 });
-                this.worker.postMessage({
-                    type: 'addDrain',
-                    x: pos.x, y: pos.y, radius: 30
-                });
+                if (this.drainShape === 'circle') {
+                    this._addDrain({ shape: 'circle', x: pos.x, y: pos.y, radius: this.toolRadii.drain, rate: this.drainRate });
+                } else {
+                    this.isDrawingDrain = true;
+                    this.drainStartX = pos.x;
+                    this.drainStartY = pos.y;
+                }
                 break;
 
             case 'wall':
@@ -399,6 +516,18 @@ export class ToolManager {
                 }
                 break;
 
+            case 'solid':
+                this.isDrawingSolid = true;
+                this.solidStartX = pos.x;
+                this.solidStartY = pos.y;
+                break;
+
+            case 'field':
+                this.isDrawingField = true;
+                this.fieldStartX = pos.x;
+                this.fieldStartY = pos.y;
+                break;
+
             case 'eraser':
                 this._eraseNear(pos);
                 break;
@@ -410,9 +539,9 @@ export class ToolManager {
 
             case 'freeze':
                 if (this.shiftHeld) {
-                    this.worker.postMessage({ type: 'thawAt', x: pos.x, y: pos.y, radius: 50 });
+                    this.worker.postMessage({ type: 'thawAt', x: pos.x, y: pos.y, radius: this.toolRadii.freeze });
                 } else {
-                    this.worker.postMessage({ type: 'freezeAt', x: pos.x, y: pos.y, radius: 50 });
+                    this.worker.postMessage({ type: 'freezeAt', x: pos.x, y: pos.y, radius: this.toolRadii.freeze });
                 }
                 break;
 
@@ -437,7 +566,7 @@ export class ToolManager {
                 }
                 break;
 
-            // push, vortex, wind, attractor, localGravity are handled continuously in the worker
+            // push, vortex, wind, attractor, localGravity, heat, cool, paint are handled continuously in the worker
         }
     }
 
@@ -447,9 +576,9 @@ export class ToolManager {
         }
         if (this.activeTool === 'freeze') {
             if (this.shiftHeld) {
-                this.worker.postMessage({ type: 'thawAt', x: pos.x, y: pos.y, radius: 50 });
+                this.worker.postMessage({ type: 'thawAt', x: pos.x, y: pos.y, radius: this.toolRadii.freeze });
             } else {
-                this.worker.postMessage({ type: 'freezeAt', x: pos.x, y: pos.y, radius: 50 });
+                this.worker.postMessage({ type: 'freezeAt', x: pos.x, y: pos.y, radius: this.toolRadii.freeze });
             }
         }
     }
@@ -469,6 +598,46 @@ export class ToolManager {
                 this.worker.postMessage({ type: 'addWall', ...wall });
             }
         }
+        if (this.activeTool === 'solid' && this.isDrawingSolid) {
+            this.isDrawingSolid = false;
+            let x1 = this.solidStartX, y1 = this.solidStartY;
+            let x2 = pos.x, y2 = pos.y;
+            // Clic sans glisser → bloc par défaut de 80 px
+            if (Math.abs(x2 - x1) < 10 && Math.abs(y2 - y1) < 10) {
+                x1 -= 40; y1 -= 40; x2 = x1 + 80; y2 = y1 + 80;
+            }
+            this.worker.postMessage({
+                type: 'addSolid',
+                x1, y1, x2, y2,
+                material: this.solidMaterial,
+                phase: this.phase
+            });
+        }
+        if (this.activeTool === 'drain' && this.isDrawingDrain) {
+            this.isDrawingDrain = false;
+            this._addDrain(this._draggedDrain(pos));
+        }
+        if (this.activeTool === 'emitter' && this.isAimingEmitter) {
+            this.isAimingEmitter = false;
+            const em = this._aimedEmitter(pos);
+            this.emitters.push(em);
+            this.worker.postMessage({ type: 'addEmitter', ...em });
+            this.selectEmitter(this.emitters.length - 1);
+        }
+        if (this.activeTool === 'field' && this.isDrawingField) {
+            this.isDrawingField = false;
+            const field = this._draggedField(pos);
+            this.forceFields.push(field);
+            this.worker.postMessage({
+                type: 'addForceField',
+                fieldType: field.type,
+                x: field.x, y: field.y,
+                radius: field.radius,
+                strength: field.strength,
+                falloff: field.falloff,
+                angle: field.angle
+            });
+        }
         if (this.activeTool === 'rigidBody' && this.isDrawingRigidBody) {
             this.isDrawingRigidBody = false;
             const x1 = this.rigidBodyStartX, y1 = this.rigidBodyStartY;
@@ -509,28 +678,137 @@ export class ToolManager {
         }
     }
 
+    // Field under construction: the drag sets the radius and the direction
+    _draggedField(pos) {
+        const dx = pos.x - this.fieldStartX;
+        const dy = pos.y - this.fieldStartY;
+        const len = Math.sqrt(dx * dx + dy * dy);
+        // Clic sans glisser → champ par défaut de 120 px vers la droite
+        return {
+            type: this.fieldType,
+            x: this.fieldStartX, y: this.fieldStartY,
+            radius: len < 10 ? 120 : Math.max(len, 40),
+            strength: this.fieldStrength,
+            falloff: this.fieldFalloff,
+            angle: len < 10 ? 0 : Math.atan2(dy, dx)
+        };
+    }
+
+    _addDrain(drain) {
+        this.drains.push(drain);
+        this.worker.postMessage({ type: 'addDrain', ...drain });
+    }
+
+    // Rectangle or outflow span under construction. An outflow goes on the
+    // container side nearest to where the drag started and spans the drag
+    // along it; a click without dragging gives a default size.
+    _draggedDrain(pos) {
+        const x0 = this.drainStartX, y0 = this.drainStartY;
+        if (this.drainShape === 'rect') {
+            if (Math.abs(pos.x - x0) < 10 && Math.abs(pos.y - y0) < 10) {
+                return { shape: 'rect', x1: x0 - 40, y1: y0 - 40, x2: x0 + 40, y2: y0 + 40, rate: this.drainRate };
+            }
+            return { shape: 'rect', x1: Math.min(x0, pos.x), y1: Math.min(y0, pos.y), x2: Math.max(x0, pos.x), y2: Math.max(y0, pos.y), rate: this.drainRate };
+        }
+        const w = this.overlay.width, h = this.overlay.height;
+        const gaps = { left: x0, right: w - x0, top: y0, bottom: h - y0 };
+        const side = Object.keys(gaps).reduce((a, b) => gaps[b] < gaps[a] ? b : a);
+        const vertical = side === 'left' || side === 'right';
+        const start = vertical ? y0 : x0;
+        const end = vertical ? pos.y : pos.x;
+        const half = this.toolRadii.drain;
+        const [from, to] = Math.abs(end - start) < 10 ? [start - half, start + half] : [Math.min(start, end), Math.max(start, end)];
+        return { shape: 'outflow', side, from, to, rate: this.drainRate };
+    }
+
+    _drainCenter(drain) {
+        if (drain.shape === 'rect') return { x: (drain.x1 + drain.x2) / 2, y: (drain.y1 + drain.y2) / 2 };
+        if (drain.shape === 'outflow') {
+            const mid = (drain.from + drain.to) / 2;
+            if (drain.side === 'left') return { x: 0, y: mid };
+            if (drain.side === 'right') return { x: this.overlay.width, y: mid };
+            if (drain.side === 'top') return { x: mid, y: 0 };
+            return { x: mid, y: this.overlay.height };
+        }
+        return { x: drain.x, y: drain.y };
+    }
+
+    // Emitter under construction: the drag aims it, a click pours straight down
+    _aimedEmitter(pos) {
+        const dx = pos.x - this.emitterStartX;
+        const dy = pos.y - this.emitterStartY;
+        return {
+            ...this.emitterSettings,
+            x: this.emitterStartX, y: this.emitterStartY,
+            angle: dx * dx + dy * dy < 100 ? Math.PI / 2 : Math.atan2(dy, dx),
+            enabled: true,
+            dye: this.dyeColor.slice()
+        };
+    }
+
+    _emitterAt(pos) {
+        for (let i = this.emitters.length - 1; i >= 0; i--) {
+            const dx = this.emitters[i].x - pos.x;
+            const dy = this.emitters[i].y - pos.y;
+            if (dx * dx + dy * dy < 15 * 15) return i;
+        }
+        return -1;
+    }
+
+    // The inspector edits emitterSettings in place, so copy rather than replace it
+    selectEmitter(index) {
+        this.selectedEmitter = index;
+        const em = this.emitters[index];
+        if (!em) return;
+        for (const key of Object.keys(this.emitterSettings)) {
+            if (em[key] !== undefined) this.emitterSettings[key] = em[key];
+        }
+    }
+
+    // Inspector edit: applies to the selected emitter and to the next ones placed
+    updateEmitter(settings) {
+        Object.assign(this.emitterSettings, settings);
+        const em = this.emitters[this.selectedEmitter];
+        if (!em) return;
+        Object.assign(em, settings);
+        this.worker.postMessage({ type: 'updateEmitter', index: this.selectedEmitter, settings });
+    }
+
     _eraseNear(pos) {
+        const eraseR = this.toolRadii.eraser;
+        const eraseR2 = eraseR * eraseR;
         // Erase emitters
         for (let i = this.emitters.length - 1; i >= 0; i--) {
             const dx = this.emitters[i].x - pos.x;
             const dy = this.emitters[i].y - pos.y;
-            if (dx * dx + dy * dy < 900) {
+            if (dx * dx + dy * dy < eraseR2) {
                 this.emitters.splice(i, 1);
                 this.worker.postMessage({ type: 'removeEmitter', index: i });
+                if (this.selectedEmitter === i) this.selectedEmitter = -1;
+                else if (this.selectedEmitter > i) this.selectedEmitter--;
             }
         }
-        // Erase drains
+        // Erase drains (by center)
         for (let i = this.drains.length - 1; i >= 0; i--) {
-            const dx = this.drains[i].x - pos.x;
-            const dy = this.drains[i].y - pos.y;
-            if (dx * dx + dy * dy < 900) {
+            const c = this._drainCenter(this.drains[i]);
+            const dx = c.x - pos.x;
+            const dy = c.y - pos.y;
+            if (dx * dx + dy * dy < eraseR2) {
                 this.drains.splice(i, 1);
+                this.drainCounts.splice(i, 1);
                 this.worker.postMessage({ type: 'removeDrain', index: i });
             }
         }
+        // Erase force fields (by center)
+        for (let i = this.forceFields.length - 1; i >= 0; i--) {
+            const dx = this.forceFields[i].x - pos.x;
+            const dy = this.forceFields[i].y - pos.y;
+            if (dx * dx + dy * dy < eraseR2) {
+                this.forceFields.splice(i, 1);
+                this.worker.postMessage({ type: 'removeForceField', index: i });
+            }
+        }
         // Erase walls (check each segment, not just midpoint)
-        const eraseR = 30;
-        const eraseR2 = eraseR * eraseR;
         this.walls = this.walls.filter(w => {
             // Check distance to segment, not just midpoint
             const wdx = w.x2 - w.x1, wdy = w.y2 - w.y1;
@@ -568,7 +846,7 @@ export class ToolManager {
                 this.worker.postMessage({ type: 'removeBoat' });
             }
         }
-        this.worker.postMessage({ type: 'eraseWallNear', x: pos.x, y: pos.y });
+        this.worker.postMessage({ type: 'eraseWallNear', x: pos.x, y: pos.y, radius: eraseR });
     }
 
     // ==========================================
@@ -764,69 +1042,24 @@ export class ToolManager {
         }
 
         // Draw emitters
-        for (const em of this.emitters) {
-            ctx.save();
-            ctx.translate(em.x, em.y);
-
-            // Body (no shadowBlur)
-            ctx.fillStyle = 'rgba(6, 182, 212, 0.5)';
-            ctx.strokeStyle = 'rgba(6, 182, 212, 0.9)';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.arc(0, 0, 12, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.stroke();
-
-            // Direction arrow
-            const ax = Math.cos(em.angle) * 20;
-            const ay = Math.sin(em.angle) * 20;
-            ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
-            ctx.lineWidth = 2;
-            ctx.beginPath();
-            ctx.moveTo(0, 0);
-            ctx.lineTo(ax, ay);
-            ctx.stroke();
-
-            // Arrow head
-            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-            ctx.beginPath();
-            ctx.moveTo(ax, ay);
-            ctx.lineTo(ax - Math.cos(em.angle - 0.4) * 7, ay - Math.sin(em.angle - 0.4) * 7);
-            ctx.lineTo(ax - Math.cos(em.angle + 0.4) * 7, ay - Math.sin(em.angle + 0.4) * 7);
-            ctx.closePath();
-            ctx.fill();
-
-            ctx.restore();
+        this.emitters.forEach((em, i) => this._drawEmitter(ctx, em, i === this.selectedEmitter, 1));
+        if (this.activeTool === 'emitter' && this.isAimingEmitter && this.mouseDown) {
+            this._drawEmitter(ctx, this._aimedEmitter({ x: this.mouseX, y: this.mouseY }), false, 0.6);
         }
 
         // Draw drains
-        for (const drain of this.drains) {
-            ctx.save();
-            ctx.translate(drain.x, drain.y);
-
-            ctx.strokeStyle = 'rgba(239, 68, 68, 0.7)';
-            ctx.lineWidth = 2;
-            ctx.setLineDash([4, 3]);
-            ctx.beginPath();
-            ctx.arc(0, 0, drain.radius, 0, Math.PI * 2);
-            ctx.stroke();
-            ctx.setLineDash([]);
-
-            // Animated spiral
-            ctx.strokeStyle = 'rgba(239, 68, 68, 0.35)';
-            ctx.lineWidth = 1.5;
-            ctx.beginPath();
-            const t = performance.now() / 1000;
-            for (let a = 0; a < Math.PI * 4; a += 0.15) {
-                const r = (drain.radius * 0.8) * (1 - a / (Math.PI * 4));
-                const x = Math.cos(a + t * 3) * r;
-                const y = Math.sin(a + t * 3) * r;
-                if (a === 0) ctx.moveTo(x, y);
-                else ctx.lineTo(x, y);
-            }
-            ctx.stroke();
+        this.drains.forEach((drain, i) => this._drawDrain(ctx, drain, this.drainCounts[i], 1));
+        if (this.activeTool === 'drain' && this.isDrawingDrain && this.mouseDown) {
+            this._drawDrain(ctx, this._draggedDrain({ x: this.mouseX, y: this.mouseY }), undefined, 0.6);
+        }
 
-            ctx.restore();
+        // Draw force fields
+        const ft = performance.now() / 1000;
+        for (const field of this.forceFields) {
+            this._drawForceField(ctx, field, ft, 1);
+        }
+        if (this.activeTool === 'field' && this.isDrawingField && this.mouseDown) {
+            this._drawForceField(ctx, this._draggedField({ x: this.mouseX, y: this.mouseY }), ft, 0.6);
         }
 
         // Draw portal pairs
@@ -852,6 +1085,17 @@ export class ToolManager {
             ctx.restore();
         }
 
+        // Bonded solid drag preview
+        if (this.activeTool === 'solid' && this.isDrawingSolid && this.mouseDown) {
+            const x = Math.min(this.solidStartX, this.mouseX), y = Math.min(this.solidStartY, this.mouseY);
+            const w = Math.abs(this.mouseX - this.solidStartX), h = Math.abs(this.mouseY - this.solidStartY);
+            ctx.strokeStyle = SOLID_COLORS[this.solidMaterial];
+            ctx.lineWidth = 2;
+            ctx.setLineDash([8, 4]);
+            ctx.strokeRect(x, y, w, h);
+            ctx.setLineDash([]);
+        }
+
         // Rigid body drag preview
         if (this.activeTool === 'rigidBody' && this.isDrawingRigidBody && this.mouseDown) {
             const x1 = this.rigidBodyStartX, y1 = this.rigidBodyStartY;
@@ -1226,16 +1470,254 @@ export class ToolManager {
         ctx.restore();
     }
 
+    _drawDrain(ctx, drain, count, alpha) {
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = 'rgba(239, 68, 68, 0.7)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 3]);
+        const t = performance.now() / 1000;
+
+        if (drain.shape === 'rect') {
+            ctx.fillStyle = 'rgba(239, 68, 68, 0.08)';
+            ctx.fillRect(drain.x1, drain.y1, drain.x2 - drain.x1, drain.y2 - drain.y1);
+            ctx.strokeRect(drain.x1, drain.y1, drain.x2 - drain.x1, drain.y2 - drain.y1);
+            ctx.setLineDash([]);
+        } else if (drain.shape === 'outflow') {
+            // Open span of the container side, arrows drifting out of the domain
+            const c = this._drainCenter(drain);
+            const vertical = drain.side === 'left' || drain.side === 'right';
+            const out = drain.side === 'left' || drain.side === 'top' ? -1 : 1;
+            const half = (drain.to - drain.from) / 2;
+            ctx.translate(c.x, c.y);
+            if (!vertical) ctx.rotate(Math.PI / 2);
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(0, -half);
+            ctx.lineTo(0, half);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.strokeStyle = 'rgba(239, 68, 68, 0.45)';
+            ctx.lineWidth = 1.5;
+            const drift = (t * 20) % 12;
+            for (let k = -half + 10; k < half; k += 24) {
+                const x = out * (-16 + drift);
+                ctx.beginPath();
+                ctx.moveTo(x, k);
+                ctx.lineTo(x + out * 8, k);
+                ctx.lineTo(x + out * 4, k - 3);
+                ctx.moveTo(x + out * 8, k);
+                ctx.lineTo(x + out * 4, k + 3);
+                ctx.stroke();
+            }
+            if (!vertical) ctx.rotate(-Math.PI / 2);
+            ctx.translate(-c.x, -c.y);
+        } else {
+            ctx.translate(drain.x, drain.y);
+            ctx.beginPath();
+            ctx.arc(0, 0, drain.radius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            // Animated spiral
+            ctx.strokeStyle = 'rgba(239, 68, 68, 0.35)';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            for (let a = 0; a < Math.PI * 4; a += 0.15) {
+                const r = (drain.radius * 0.8) * (1 - a / (Math.PI * 4));
+                const x = Math.cos(a + t * 3) * r;
+                const y = Math.sin(a + t * 3) * r;
+                if (a === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+            ctx.translate(-drain.x, -drain.y);
+        }
+
+        // Absorbed particles, and the rate limit if any
+        if (count !== undefined) {
+            const c = this._drainCenter(drain);
+            const lx = Math.max(30, Math.min(this.overlay.width - 30, c.x));
+            const ly = Math.max(12, Math.min(this.overlay.height - 8, c.y));
+            ctx.fillStyle = 'rgba(254, 202, 202, 0.8)';
+            ctx.font = '9px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(drain.rate > 0 ? `${count} (${drain.rate}/s)` : `${count}`, lx, ly);
+        }
+        ctx.restore();
+    }
+
+    _drawEmitter(ctx, em, selected, alpha) {
+        ctx.save();
+        ctx.translate(em.x, em.y);
+        // Switched off: dimmed
+        ctx.globalAlpha = em.enabled === false ? alpha * 0.4 : alpha;
+
+        // Nozzle of line and area emitters, across the jet
+        if (em.shape === 'line' || em.shape === 'area') {
+            const w = em.width;
+            ctx.save();
+            ctx.rotate(em.angle);
+            ctx.strokeStyle = 'rgba(6, 182, 212, 0.7)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            if (em.shape === 'line') {
+                ctx.moveTo(0, -w / 2);
+                ctx.lineTo(0, w / 2);
+            } else {
+                ctx.rect(-w / 2, -w / 2, w, w);
+            }
+            ctx.stroke();
+            ctx.restore();
+        }
+
+        // Body (no shadowBlur)
+        ctx.fillStyle = 'rgba(6, 182, 212, 0.5)';
+        ctx.strokeStyle = 'rgba(6, 182, 212, 0.9)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, 12, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        // Direction arrow, longer for faster jets
+        const len = 12 + Math.min(em.speed ?? 300, 1500) / 30;
+        const ax = Math.cos(em.angle) * len;
+        const ay = Math.sin(em.angle) * len;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(ax, ay);
+        ctx.stroke();
+
+        // Arrow head
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.beginPath();
+        ctx.moveTo(ax, ay);
+        ctx.lineTo(ax - Math.cos(em.angle - 0.4) * 7, ay - Math.sin(em.angle - 0.4) * 7);
+        ctx.lineTo(ax - Math.cos(em.angle + 0.4) * 7, ay - Math.sin(em.angle + 0.4) * 7);
+        ctx.closePath();
+        ctx.fill();
+
+        // Selection ring (edited by the inspector)
+        if (selected) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(0, 0, 18, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.restore();
+    }
+
+    _drawForceField(ctx, field, t, alpha) {
+        const color = FIELD_COLORS[field.type] || FIELD_COLORS.directional;
+        const r = field.radius;
+        const sign = field.strength < 0 ? -1 : 1;
+        ctx.save();
+        ctx.translate(field.x, field.y);
+
+        // Area of influence
+        ctx.strokeStyle = color + (0.6 * alpha) + ')';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.strokeStyle = color + (0.4 * alpha) + ')';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        switch (field.type) {
+            case 'directional': {
+                // Three arrows drifting along the field direction
+                ctx.rotate(field.angle);
+                const len = r * 0.5;
+                const shift = ((t * 0.5) % 1) * r * 0.3 * sign;
+                for (let k = -1; k <= 1; k++) {
+                    const y = k * r * 0.35;
+                    const x0 = -len / 2 + shift, x1 = len / 2 + shift;
+                    const tip = sign > 0 ? x1 : x0;
+                    ctx.moveTo(x0, y); ctx.lineTo(x1, y);
+                    ctx.moveTo(tip - 6 * sign, y - 4); ctx.lineTo(tip, y); ctx.lineTo(tip - 6 * sign, y + 4);
+                }
+                break;
+            }
+            case 'radial': {
+                // Spokes pointing outward (push) or inward (pull)
+                for (let k = 0; k < 8; k++) {
+                    const a = (Math.PI / 4) * k;
+                    const c = Math.cos(a), s = Math.sin(a);
+                    const r0 = r * 0.3, r1 = r * 0.7;
+                    const tip = sign > 0 ? r1 : r0;
+                    const back = tip - 6 * sign;
+                    ctx.moveTo(c * r0, s * r0); ctx.lineTo(c * r1, s * r1);
+                    ctx.moveTo(c * back - s * 4, s * back + c * 4);
+                    ctx.lineTo(c * tip, s * tip);
+                    ctx.lineTo(c * back + s * 4, s * back - c * 4);
+                }
+                break;
+            }
+            case 'vortex': {
+                // Arcs turning with the spin direction
+                for (let ring = 0; ring < 2; ring++) {
+                    const rr = r * (0.35 + ring * 0.3);
+                    const a0 = t * sign + ring * Math.PI;
+                    ctx.moveTo(Math.cos(a0) * rr, Math.sin(a0) * rr);
+                    ctx.arc(0, 0, rr, a0, a0 + Math.PI * 1.2);
+                }
+                break;
+            }
+            case 'turbulence': {
+                // Wavy strokes
+                for (let k = -1; k <= 1; k++) {
+                    const y0 = k * r * 0.35;
+                    for (let x = -r * 0.6; x <= r * 0.6; x += 4) {
+                        const y = y0 + Math.sin(x * 0.08 + t * 2 + k) * r * 0.08;
+                        if (x === -r * 0.6) ctx.moveTo(x, y);
+                        else ctx.lineTo(x, y);
+                    }
+                }
+                break;
+            }
+        }
+        ctx.stroke();
+
+        // Center
+        ctx.fillStyle = color + (0.8 * alpha) + ')';
+        ctx.beginPath();
+        ctx.arc(0, 0, 3, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+
+    _drawRadiusRing(ctx, x, y, r, color) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
     _drawToolCursor(ctx) {
         const x = this.mouseX;
         const y = this.mouseY;
         if (x < -100 || y < -100) return; // not initialized yet
+        const r = this.toolRadii[this.activeTool]; // live radius of the pointer tools
 
         ctx.save();
         switch (this.activeTool) {
             case 'push': {
                 ctx.beginPath();
-                ctx.arc(x, y, 45, 0, Math.PI * 2);
+                ctx.arc(x, y, r, 0, Math.PI * 2);
                 ctx.fillStyle = 'rgba(255,255,255,0.08)';
                 ctx.fill();
                 ctx.strokeStyle = 'rgba(255,255,255,0.5)';
@@ -1266,7 +1748,7 @@ export class ToolManager {
                 ctx.lineWidth = 1;
                 ctx.setLineDash([3, 3]);
                 ctx.beginPath();
-                ctx.arc(x, y, 30, 0, Math.PI * 2);
+                ctx.arc(x, y, this.drainShape === 'circle' ? r : 8, 0, Math.PI * 2);
                 ctx.stroke();
                 ctx.setLineDash([]);
                 ctx.beginPath();
@@ -1318,18 +1800,23 @@ export class ToolManager {
             }
 
             case 'vortex': {
+                this._drawRadiusRing(ctx, x, y, r, 'rgba(168, 85, 247, 0.2)');
                 ctx.strokeStyle = 'rgba(168, 85, 247, 0.5)';
                 ctx.lineWidth = 1.5;
                 const t = performance.now() / 500;
                 for (let ring = 0; ring < 3; ring++) {
                     ctx.beginPath();
-                    ctx.arc(x, y, 30 + ring * 20, t + ring * 0.8, t + ring * 0.8 + Math.PI * 1.2);
+                    ctx.arc(x, y, r * (0.25 + ring * 0.17), t + ring * 0.8, t + ring * 0.8 + Math.PI * 1.2);
                     ctx.stroke();
                 }
                 break;
             }
 
             case 'wind': {
+                this._drawRadiusRing(ctx, x, y, r, 'rgba(56, 189, 248, 0.2)');
+                // Arrows along the drag direction
+                ctx.translate(x, y);
+                ctx.rotate(Math.atan2(this.dragDirY, this.dragDirX));
                 ctx.strokeStyle = 'rgba(56, 189, 248, 0.5)';
                 ctx.lineWidth = 1.5;
                 const phase = performance.now() / 300;
@@ -1337,18 +1824,19 @@ export class ToolManager {
                     const offset = ((phase + i * 5) % 30) - 15;
                     const yOff = -12 + i * 12;
                     ctx.beginPath();
-                    ctx.moveTo(x - 15 + offset, y + yOff);
-                    ctx.lineTo(x + 15 + offset, y + yOff);
+                    ctx.moveTo(-15 + offset, yOff);
+                    ctx.lineTo(15 + offset, yOff);
                     // Arrow tip
-                    ctx.lineTo(x + 10 + offset, y + yOff - 3);
-                    ctx.moveTo(x + 15 + offset, y + yOff);
-                    ctx.lineTo(x + 10 + offset, y + yOff + 3);
+                    ctx.lineTo(10 + offset, yOff - 3);
+                    ctx.moveTo(15 + offset, yOff);
+                    ctx.lineTo(10 + offset, yOff + 3);
                     ctx.stroke();
                 }
                 break;
             }
 
             case 'attractor': {
+                this._drawRadiusRing(ctx, x, y, r, 'rgba(251, 191, 36, 0.2)');
                 ctx.strokeStyle = 'rgba(251, 191, 36, 0.5)';
                 ctx.lineWidth = 1;
                 const t2 = performance.now() / 800;
@@ -1369,12 +1857,28 @@ export class ToolManager {
                 break;
             }
 
+            case 'field': {
+                const color = FIELD_COLORS[this.fieldType];
+                ctx.strokeStyle = color + '0.6)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([3, 3]);
+                ctx.beginPath();
+                ctx.arc(x, y, 14, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.beginPath();
+                ctx.arc(x, y, 3, 0, Math.PI * 2);
+                ctx.fillStyle = color + '0.8)';
+                ctx.fill();
+                break;
+            }
+
             case 'eraser': {
                 ctx.strokeStyle = 'rgba(239, 68, 68, 0.4)';
                 ctx.lineWidth = 2;
                 ctx.setLineDash([4, 4]);
                 ctx.beginPath();
-                ctx.arc(x, y, 30, 0, Math.PI * 2);
+                ctx.arc(x, y, r, 0, Math.PI * 2);
                 ctx.stroke();
                 ctx.setLineDash([]);
                 // X in center
@@ -1410,6 +1914,7 @@ export class ToolManager {
             }
 
             case 'localGravity': {
+                this._drawRadiusRing(ctx, x, y, r, 'rgba(168, 85, 247, 0.2)');
                 const t4 = performance.now() / 600;
                 // Concentric rings pulsing inward
                 for (let ring = 0; ring < 3; ring++) {
@@ -1438,7 +1943,7 @@ export class ToolManager {
                 ctx.lineWidth = 2;
                 ctx.setLineDash([4, 3]);
                 ctx.beginPath();
-                ctx.arc(x, y, 50, 0, Math.PI * 2);
+                ctx.arc(x, y, r, 0, Math.PI * 2);
                 ctx.stroke();
                 ctx.setLineDash([]);
 
@@ -1473,7 +1978,67 @@ export class ToolManager {
                 ctx.fillStyle = `rgba(${color}, 0.5)`;
                 ctx.font = '9px sans-serif';
                 ctx.textAlign = 'center';
-                ctx.fillText(label, x, y + 65);
+                ctx.fillText(label, x, y + r + 15);
+                break;
+            }
+
+            case 'heat':
+            case 'cool': {
+                const heating = this.activeTool === 'heat';
+                const color = heating ? '255, 120, 40' : '100, 200, 255';
+                ctx.strokeStyle = `rgba(${color}, 0.5)`;
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.stroke();
+
+                // Wavy lines drifting up (heat) or down (cold)
+                const t5 = performance.now() / 700;
+                for (let i = 0; i < 3; i++) {
+                    const drift = (((t5 + i / 3) % 1) - 0.5) * 16 * (heating ? -1 : 1);
+                    const lx = x - 10 + i * 10;
+                    ctx.beginPath();
+                    ctx.moveTo(lx, y + 10 + drift);
+                    ctx.quadraticCurveTo(lx - 5, y + drift, lx, y - 10 + drift);
+                    ctx.stroke();
+                }
+
+                // Label
+                ctx.fillStyle = `rgba(${color}, 0.5)`;
+                ctx.font = '9px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.fillText(heating ? 'CHAUFFER' : 'REFROIDIR', x, y + r + 15);
+                break;
+            }
+
+            case 'paint': {
+                // Filled with the paint color
+                const [cr, cg, cb] = this.dyeColor.map(c => Math.round(c * 255));
+                ctx.fillStyle = `rgba(${cr}, ${cg}, ${cb}, 0.25)`;
+                ctx.strokeStyle = `rgba(${cr}, ${cg}, ${cb}, 0.8)`;
+                ctx.lineWidth = 1.5;
+                ctx.beginPath();
+                ctx.arc(x, y, r, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.stroke();
+                break;
+            }
+
+            case 'solid': {
+                // Small bonded lattice in the material color
+                ctx.strokeStyle = SOLID_COLORS[this.solidMaterial];
+                ctx.fillStyle = SOLID_COLORS[this.solidMaterial];
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x - 8, y - 8, 16, 16);
+                ctx.beginPath();
+                ctx.moveTo(x - 8, y - 8); ctx.lineTo(x + 8, y + 8);
+                ctx.moveTo(x + 8, y - 8); ctx.lineTo(x - 8, y + 8);
+                ctx.stroke();
+                for (const [dx, dy] of [[-8, -8], [8, -8], [-8, 8], [8, 8]]) {
+                    ctx.beginPath();
+                    ctx.arc(x + dx, y + dy, 2.5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
                 break;
             }
 
@@ -1515,11 +2080,38 @@ export class ToolManager {
         ctx.restore();
     }
 
+    // Rebuild the overlay mirrors from a scene restored in the worker
+    syncObjects(scene) {
+        this.emitters = scene.emitters.map(em => ({ ...em }));
+        this.selectedEmitter = -1;
+        this.isAimingEmitter = false;
+        this.drains = scene.drains.map(d => ({ ...d }));
+        this.drainCounts = [];
+        this.isDrawingDrain = false;
+        this.forceFields = (scene.forceFields || []).map(f => ({ ...f }));
+        this.walls = scene.walls.map(w => ({ ...w }));
+        this.portalPairs = scene.portals.map(p => ({
+            p1: { x: p.p1x, y: p.p1y },
+            p2: { x: p.p2x, y: p.p2y }
+        }));
+        this.pendingPortal = null;
+        this.isDrawingWall = false;
+        this.isDrawingRigidBody = false;
+        this.isDrawingSolid = false;
+        this.isDrawingField = false;
+        for (const rb of scene.rigidBodies) {
+            this.nextRigidBodyId = Math.max(this.nextRigidBodyId, rb.id + 1);
+        }
+    }
+
     reset() {
         this.emitters = [];
+        this.selectedEmitter = -1;
         this.drains = [];
+        this.drainCounts = [];
         this.walls = [];
         this.portalPairs = [];
+        this.forceFields = [];
         this.rigidBodies = [];
         this.pendingPortal = null;
         this.boatData = null;
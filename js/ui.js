@@ -56,7 +56,9 @@ export const PRESETS = {
             gasConst: 2000,
             nearGasConst: 8000,
             viscosity: 300,
-            surfaceTension: 1200
+            surfaceTension: 1200,
+            temperature: 1200,      // coulée à 1200 °C, se fige en roche sous 700 °C
+            meltPoint: 700
         },
         render: {
             waterColor: [0.95, 0.25, 0.05],
@@ -136,15 +138,122 @@ export const PRESETS = {
             causticsEnabled: false,
             foamEnabled: true
         }
+    },
+    ketchup: {
+        name: 'Ketchup',
+        physics: {
+            gravity: 1500,
+            gasConst: 3000,
+            nearGasConst: 10000,
+            viscosity: 50,
+            surfaceTension: 1500,
+            rheology: 'bingham',    // tient en tas tant qu'on ne le secoue pas
+            yieldStress: 300
+        },
+        render: {
+            waterColor: [0.75, 0.08, 0.05],
+            deepColor: [0.35, 0.02, 0.02],
+            specularPower: 40,
+            specularIntensity: 0.9,
+            refractionStrength: 0.1,
+            fresnelPower: 2.0,
+            threshold: 0.22,
+            particleSize: 30,
+            causticsEnabled: false,
+            foamEnabled: false
+        }
+    },
+    cornstarch: {
+        name: 'Maizena',
+        physics: {
+            gravity: 1500,
+            gasConst: 4000,
+            nearGasConst: 10000,
+            viscosity: 30,
+            surfaceTension: 1000,
+            rheology: 'power',      // rhéo-épaississant: durcit sous les chocs
+            flowIndex: 1.8
+        },
+        render: {
+            waterColor: [0.92, 0.90, 0.82],
+            deepColor: [0.60, 0.58, 0.50],
+            specularPower: 20,
+            specularIntensity: 0.4,
+            refractionStrength: 0.1,
+            fresnelPower: 1.5,
+            threshold: 0.22,
+            particleSize: 28,
+            causticsEnabled: false,
+            foamEnabled: false
+        }
+    },
+    paint: {
+        name: 'Peinture',
+        physics: {
+            gravity: 1500,
+            gasConst: 3000,
+            nearGasConst: 10000,
+            viscosity: 200,
+            surfaceTension: 1200,
+            rheology: 'power',      // rhéo-fluidifiant: coule sous le pinceau, tient au repos
+            flowIndex: 0.4
+        },
+        render: {
+            waterColor: [0.15, 0.35, 0.80],
+            deepColor: [0.05, 0.12, 0.40],
+            specularPower: 60,
+            specularIntensity: 1.2,
+            refractionStrength: 0.1,
+            fresnelPower: 2.0,
+            threshold: 0.22,
+            particleSize: 28,
+            causticsEnabled: false,
+            foamEnabled: false
+        }
+    },
+    sand: {
+        name: 'Sable',
+        physics: {
+            gravity: 1500,
+            gasConst: 4000,
+            nearGasConst: 10000,
+            viscosity: 5,
+            surfaceTension: 0,      // grains secs: aucune cohésion
+            reposeAngle: 34         // frottement entre grains, s'entasse au lieu de s'étaler
+        },
+        render: {
+            waterColor: [0.86, 0.72, 0.45],
+            deepColor: [0.62, 0.47, 0.25],
+            specularPower: 10,
+            specularIntensity: 0.1,
+            refractionStrength: 0.0,
+            fresnelPower: 1.0,
+            threshold: 0.25,
+            particleSize: 24,
+            causticsEnabled: false,
+            foamEnabled: false
+        }
     }
 };
 
+// Phases de fluide — mêmes valeurs par défaut que physics-worker.js.
+// La phase 0 suit les réglages Physique, Thermique et la couleur de Rendu.
+export const PHASES = [
+    { name: 'Eau' },
+    { name: 'Huile', density: 0.6, viscosity: 20, surfaceTension: 800, temperature: 20, meltPoint: -20, reposeAngle: 0, color: [0.95, 0.80, 0.25] },
+    { name: 'Miel', density: 1.4, viscosity: 400, surfaceTension: 2000, temperature: 20, meltPoint: -10, reposeAngle: 0, color: [0.85, 0.55, 0.10] },
+    { name: 'Mercure', density: 3.0, viscosity: 2, surfaceTension: 3000, temperature: 20, meltPoint: -39, reposeAngle: 0, color: [0.72, 0.74, 0.78] }
+];
+
 export class UI {
-    constructor(worker, renderer, toolManager, recorder) {
+    constructor(worker, renderer, toolManager, recorder, sceneManager, inputRecorder) {
         this.worker = worker;
         this.renderer = renderer;
         this.tools = toolManager;
         this.recorder = recorder;
+        this.scenes = sceneManager;
+        this.inputs = inputRecorder;
+        this.workerCapacity = 10000; // last capacity reported by the worker
 
         // Current params (mutable, bound to Tweakpane)
         this.params = {
@@ -154,6 +263,21 @@ export class UI {
             nearGasConst: 6000,
             viscosity: 5,          // Viscosité basse pour un fluide réaliste
             surfaceTension: 1500,
+            rheology: 'newtonian', // Comportement de la phase 0 sous cisaillement
+            flowIndex: 1.0,        // Loi de puissance: < 1 fluidifiant, > 1 épaississant
+            yieldStress: 0,        // Bingham: seuil d'écoulement
+            reposeAngle: 0,        // > 0: la phase 0 devient granulaire (sable)
+            solver: 'ddr',         // 'pbf' = incompressible (Position Based Fluids)
+            pbfIterations: 4,
+            phase: 0,              // Phase versée par 'Ajouter' et les émetteurs
+            periodicX: false,      // Bords périodiques: sortir à droite fait rentrer à gauche
+            periodicY: false,
+            // Thermique (°C)
+            temperature: 20,       // Température de coulée de la phase 0
+            meltPoint: 0,          // Sous ce point la phase 0 se fige
+            conduction: 2,
+            cooling: 0.02,
+            ambientTemp: 20,
             // Render
             mode: 'water',
             waterColor: { r: 6, g: 182, b: 212 },
@@ -171,17 +295,65 @@ export class UI {
             shadowEnabled: true,
             bloomEnabled: true,
             bloomIntensity: 0.4,
+            // Colorant (suivi du mélange)
+            dyeEnabled: false,
+            dyeColor: { r: 26, g: 115, b: 191 }, // Couleur de l'outil Peinture et du fluide versé
+            dyeDiffusion: 0.5,
             // Performance
             fps: 0,
             simFps: 0,
             particleCount: 0,
             foamCount: 0,
             threading: 'single',
+            workerLoad: '-',
+            capacity: 10000,
+            adaptiveStepping: true,
+            substeps: 2,
             // Tool strength
-            toolStrength: 500
+            toolStrength: 500,
+            toolRadius: 45, // Rayon de l'outil actif (molette)
+            solidMaterial: 'jelly', // Matériau de l'outil Solide
+            fieldType: 'directional', // Outil Champ
+            fieldFalloff: 'smooth',
+            fieldStrength: 600,
+            drainShape: 'circle', // Outil Drain
+            drainRate: 0,
+            // Scenes
+            sceneParticles: true,
+            deterministic: false,
+            seed: 12345
+        };
+
+        // Solver diagnostics (filled from frame messages when enabled)
+        this.diagnostics = {
+            enabled: false,
+            kinetic: 0,
+            potential: 0,
+            total: 0,
+            kineticLog: 0,
+            totalLog: 0,
+            momentumX: 0,
+            momentumY: 0,
+            angularMomentum: 0,
+            avgDensityError: 0,
+            maxDensityError: 0,
+            maxSpeed: 0,
+            speedClamps: 0
         };
 
+        // Editable phases 1..3 (index 0 stays null, see PHASES)
+        this.phases = PHASES.map(ph => ph.color ? {
+            density: ph.density,
+            viscosity: ph.viscosity,
+            surfaceTension: ph.surfaceTension,
+            temperature: ph.temperature,
+            meltPoint: ph.meltPoint,
+            reposeAngle: ph.reposeAngle,
+            color: this._arrayToRgb(ph.color)
+        } : null);
+
         this._initTweakpane();
+        this._syncPhaseColors();
         this._initPresets();
         this._initButtons();
     }
@@ -205,6 +377,16 @@ export class UI {
         // === Physics folder ===
         const physics = this.pane.addFolder({ title: 'Physique', expanded: true });
 
+        physics.addBinding(this.params, 'solver', {
+            options: { 'Double densite': 'ddr', 'PBF (incompressible)': 'pbf' },
+            label: 'Solveur'
+        }).on('change', () => this._syncPhysics());
+
+        physics.addBinding(this.params, 'pbfIterations', {
+            min: 1, max: 10, step: 1,
+            label: 'Iterations PBF'
+        }).on('change', () => this._syncPhysics());
+
         physics.addBinding(this.params, 'gravity', {
             min: -2000, max: 3000, step: 10,
             label: 'Gravite'
@@ -215,6 +397,26 @@ export class UI {
             label: 'Viscosite'
         }).on('change', () => this._syncPhysics());
 
+        physics.addBinding(this.params, 'rheology', {
+            options: { 'Newtonien': 'newtonian', 'Loi de puissance': 'power', 'Bingham': 'bingham' },
+            label: 'Rheologie'
+        }).on('change', () => this._syncPhysics());
+
+        physics.addBinding(this.params, 'flowIndex', {
+            min: 0.2, max: 2.5, step: 0.05,
+            label: 'Indice n'
+        }).on('change', () => this._syncPhysics());
+
+        physics.addBinding(this.params, 'yieldStress', {
+            min: 0, max: 1000, step: 10,
+            label: 'Seuil'
+        }).on('change', () => this._syncPhysics());
+
+        physics.addBinding(this.params, 'reposeAngle', {
+            min: 0, max: 60, step: 1,
+            label: 'Angle de talus'
+        }).on('change', () => this._syncPhysics());
+
         physics.addBinding(this.params, 'surfaceTension', {
             min: 0, max: 3000, step: 50,
             label: 'Tension surf.'
@@ -230,6 +432,73 @@ export class UI {
             label: 'Anti-compression'
         }).on('change', () => this._syncPhysics());
 
+        physics.addBinding(this.params, 'periodicX', { label: 'Periodique X' }).on('change', () => this._syncBoundaries());
+        physics.addBinding(this.params, 'periodicY', { label: 'Periodique Y' }).on('change', () => this._syncBoundaries());
+
+        // === Thermal folder ===
+        const thermal = this.pane.addFolder({ title: 'Thermique', expanded: false });
+
+        thermal.addBinding(this.params, 'temperature', {
+            min: -50, max: 1500, step: 10,
+            label: 'Temp. coulee'
+        }).on('change', () => this._syncPhysics());
+
+        thermal.addBinding(this.params, 'meltPoint', {
+            min: -50, max: 1500, step: 10,
+            label: 'Point de fusion'
+        }).on('change', () => this._syncPhysics());
+
+        thermal.addBinding(this.params, 'conduction', {
+            min: 0, max: 50, step: 1,
+            label: 'Conduction'
+        }).on('change', () => this._syncPhysics());
+
+        thermal.addBinding(this.params, 'cooling', {
+            min: 0, max: 0.5, step: 0.01,
+            label: 'Refroidissement'
+        }).on('change', () => this._syncPhysics());
+
+        thermal.addBinding(this.params, 'ambientTemp', {
+            min: -50, max: 100, step: 1,
+            label: 'Temp. ambiante'
+        }).on('change', () => this._syncPhysics());
+
+        // === Phases folder ===
+        const phaseFolder = this.pane.addFolder({ title: 'Phases', expanded: false });
+
+        phaseFolder.addBinding(this.params, 'phase', {
+            options: Object.fromEntries(PHASES.map((ph, k) => [ph.name, k])),
+            label: 'A verser'
+        }).on('change', () => {
+            this.tools.phase = this.params.phase;
+        });
+
+        PHASES.forEach((ph, k) => {
+            if (!this.phases[k]) return;
+            const folder = phaseFolder.addFolder({ title: ph.name, expanded: false });
+            const values = this.phases[k];
+            folder.addBinding(values, 'density', {
+                min: 0.2, max: 5, step: 0.1, label: 'Densite'
+            }).on('change', () => this._syncPhases());
+            folder.addBinding(values, 'viscosity', {
+                min: 0, max: 1000, step: 5, label: 'Viscosite'
+            }).on('change', () => this._syncPhases());
+            folder.addBinding(values, 'surfaceTension', {
+                min: 0, max: 3000, step: 50, label: 'Tension surf.'
+            }).on('change', () => this._syncPhases());
+            folder.addBinding(values, 'temperature', {
+                min: -50, max: 1500, step: 10, label: 'Temp. coulee'
+            }).on('change', () => this._syncPhases());
+            folder.addBinding(values, 'meltPoint', {
+                min: -50, max: 1500, step: 10, label: 'Point de fusion'
+            }).on('change', () => this._syncPhases());
+            folder.addBinding(values, 'reposeAngle', {
+                min: 0, max: 60, step: 1, label: 'Angle de talus'
+            }).on('change', () => this._syncPhases());
+            folder.addBinding(values, 'color', { label: 'Couleur' })
+                .on('change', () => this._syncPhaseColors());
+        });
+
         // === Rendering folder ===
         const rendering = this.pane.addFolder({ title: 'Rendu', expanded: false });
 
@@ -267,6 +536,17 @@ export class UI {
         rendering.addBinding(this.params, 'foamEnabled', { label: 'Mousse' })
             .on('change', () => this._syncRender());
 
+        // === Dye folder ===
+        const dye = this.pane.addFolder({ title: 'Colorant', expanded: false });
+
+        dye.addBinding(this.params, 'dyeEnabled', { label: 'Afficher' })
+            .on('change', () => this._syncRender());
+        dye.addBinding(this.params, 'dyeColor', { label: 'Couleur' })
+            .on('change', () => this._syncDye());
+        dye.addBinding(this.params, 'dyeDiffusion', {
+            min: 0, max: 5, step: 0.1, label: 'Diffusion'
+        }).on('change', () => this._syncDye());
+
         // === Effects folder ===
         const effects = this.pane.addFolder({ title: 'Effets', expanded: false });
 
@@ -291,6 +571,162 @@ export class UI {
         }).on('change', () => {
             this.worker.postMessage({ type: 'tool', tool: this.tools.activeTool, strength: this.params.toolStrength });
         });
+        tools.addBinding(this.params, 'toolRadius', {
+            min: 10, max: 400, step: 5, label: 'Rayon'
+        }).on('change', () => {
+            this.tools.setToolRadius(this.params.toolRadius);
+        });
+        tools.addBinding(this.params, 'solidMaterial', {
+            options: { 'Gelee': 'jelly', 'Neige': 'snow', 'Boue': 'mud' },
+            label: 'Materiau'
+        }).on('change', () => {
+            this.tools.solidMaterial = this.params.solidMaterial;
+        });
+        tools.addBinding(this.params, 'fieldType', {
+            options: { 'Directionnel': 'directional', 'Radial': 'radial', 'Vortex': 'vortex', 'Turbulence': 'turbulence' },
+            label: 'Type de champ'
+        }).on('change', () => {
+            this.tools.fieldType = this.params.fieldType;
+        });
+        tools.addBinding(this.params, 'fieldStrength', {
+            min: -2000, max: 2000, step: 50, label: 'Force du champ'
+        }).on('change', () => {
+            this.tools.fieldStrength = this.params.fieldStrength;
+        });
+        tools.addBinding(this.params, 'fieldFalloff', {
+            options: { 'Aucune': 'none', 'Lineaire': 'linear', 'Douce': 'smooth' },
+            label: 'Attenuation'
+        }).on('change', () => {
+            this.tools.fieldFalloff = this.params.fieldFalloff;
+        });
+
+        tools.addBinding(this.params, 'drainShape', {
+            options: { 'Cercle': 'circle', 'Rectangle': 'rect', 'Sortie (bord)': 'outflow' },
+            label: 'Forme du drain'
+        }).on('change', () => {
+            this.tools.drainShape = this.params.drainShape;
+        });
+        tools.addBinding(this.params, 'drainRate', {
+            min: 0, max: 500, step: 5, label: 'Debit max (0 = libre)'
+        }).on('change', () => {
+            this.tools.drainRate = this.params.drainRate;
+        });
+
+        // === Emitter folder (selected emitter, and the next ones placed) ===
+        const emitter = this.pane.addFolder({ title: 'Emetteur', expanded: false });
+        const em = this.tools.emitterSettings;
+        const editEmitter = (key) => () => this.tools.updateEmitter({ [key]: em[key] });
+        emitter.addBinding(em, 'enabled', { label: 'Actif' }).on('change', editEmitter('enabled'));
+        emitter.addBinding(em, 'rate', {
+            min: 1, max: 400, step: 1, label: 'Debit (p/s)'
+        }).on('change', editEmitter('rate'));
+        emitter.addBinding(em, 'speed', {
+            min: 0, max: 1500, step: 10, label: 'Vitesse'
+        }).on('change', editEmitter('speed'));
+        emitter.addBinding(em, 'spread', {
+            min: 0, max: 3.14, step: 0.05, label: 'Dispersion (rad)'
+        }).on('change', editEmitter('spread'));
+        emitter.addBinding(em, 'phase', {
+            options: Object.fromEntries(PHASES.map((ph, k) => [ph.name, k])),
+            label: 'Phase'
+        }).on('change', editEmitter('phase'));
+        emitter.addBinding(em, 'shape', {
+            options: { 'Point': 'point', 'Buse (ligne)': 'line', 'Zone': 'area' },
+            label: 'Forme'
+        }).on('change', editEmitter('shape'));
+        emitter.addBinding(em, 'width', {
+            min: 5, max: 300, step: 5, label: 'Largeur buse'
+        }).on('change', editEmitter('width'));
+        emitter.addBinding(em, 'schedule', {
+            options: { 'Continu': 'continuous', 'Une fois': 'once', 'Pulse': 'pulse' },
+            label: 'Programme'
+        }).on('change', editEmitter('schedule'));
+        emitter.addBinding(em, 'duration', {
+            min: 0.1, max: 30, step: 0.1, label: 'Duree (s)'
+        }).on('change', editEmitter('duration'));
+        emitter.addBinding(em, 'interval', {
+            min: 0.2, max: 60, step: 0.1, label: 'Periode (s)'
+        }).on('change', editEmitter('interval'));
+
+        // === Scene folder ===
+        const scene = this.pane.addFolder({ title: 'Scene', expanded: false });
+        scene.addBinding(this.params, 'sceneParticles', { label: 'Inclure le fluide' });
+        scene.addButton({ title: 'Sauver la scene' }).on('click', () => {
+            this.scenes.save(this.params.sceneParticles);
+        });
+        scene.addButton({ title: 'Charger une scene' }).on('click', () => {
+            this.scenes.load();
+        });
+        scene.addButton({ title: "Capturer l'etat" }).on('click', () => {
+            this.scenes.captureSnapshot();
+        });
+        scene.addButton({ title: "Restaurer l'etat" }).on('click', () => {
+            this.scenes.restoreSnapshot();
+        });
+        const sendDeterministic = () => {
+            this.worker.postMessage({ type: 'setDeterministic', enabled: this.params.deterministic, seed: this.params.seed });
+        };
+        scene.addBinding(this.params, 'deterministic', { label: 'Deterministe' }).on('change', sendDeterministic);
+        scene.addBinding(this.params, 'seed', { label: 'Graine', min: 1, max: 999999, step: 1 }).on('change', () => {
+            if (this.params.deterministic) sendDeterministic();
+        });
+
+        // === Replay folder ===
+        const replay = this.pane.addFolder({ title: 'Replay', expanded: false });
+        replay.addBinding(this.inputs, 'filmReplay', { label: 'Filmer le replay' });
+        const recordBtn = replay.addButton({ title: 'Enregistrer les entrees' });
+        recordBtn.on('click', () => {
+            if (this.inputs.recording) {
+                this.inputs.stop();
+                recordBtn.title = 'Enregistrer les entrees';
+            } else {
+                // Recording switches the worker to deterministic mode with this seed
+                this.inputs.start(this.params.seed);
+                recordBtn.title = 'Arreter et sauver';
+            }
+        });
+        replay.addButton({ title: 'Rejouer un fichier' }).on('click', () => {
+            this.inputs.replay();
+        });
+
+        // === Diagnostics folder ===
+        const diag = this.pane.addFolder({ title: 'Diagnostics', expanded: false });
+        const sci = (v) => v.toExponential(2);
+        diag.addBinding(this.diagnostics, 'enabled', { label: 'Activer' }).on('change', (ev) => {
+            this.worker.postMessage({ type: 'setDiagnostics', enabled: ev.value });
+        });
+        diag.addBinding(this.diagnostics, 'kinetic', { readonly: true, label: 'E cinetique', format: sci });
+        diag.addBinding(this.diagnostics, 'potential', { readonly: true, label: 'E potentielle', format: sci });
+        diag.addBinding(this.diagnostics, 'total', { readonly: true, label: 'E totale', format: sci });
+        // The energies scale with the particle count and the domain, from
+        // about 1e4 for a puddle to 1e11 for a full tank: graphed in decades
+        diag.addBinding(this.diagnostics, 'kineticLog', {
+            readonly: true, label: 'log10 E cinetique',
+            view: 'graph', min: 0, max: 12
+        });
+        diag.addBinding(this.diagnostics, 'totalLog', {
+            readonly: true, label: 'log10 E totale',
+            view: 'graph', min: 0, max: 12
+        });
+        diag.addBinding(this.diagnostics, 'momentumX', { readonly: true, label: 'Quantite mvt X', format: sci });
+        diag.addBinding(this.diagnostics, 'momentumY', { readonly: true, label: 'Quantite mvt Y', format: sci });
+        diag.addBinding(this.diagnostics, 'angularMomentum', { readonly: true, label: 'Moment cinetique', format: sci });
+        diag.addBinding(this.diagnostics, 'avgDensityError', {
+            readonly: true, label: 'Ecart densite moy',
+            view: 'graph', min: 0, max: 2
+        });
+        diag.addBinding(this.diagnostics, 'maxDensityError', {
+            readonly: true, label: 'Ecart densite max',
+            view: 'graph', min: 0, max: 5
+        });
+        diag.addBinding(this.diagnostics, 'maxSpeed', {
+            readonly: true, label: 'Vitesse max',
+            view: 'graph', min: 0, max: 1500
+        });
+        diag.addBinding(this.diagnostics, 'speedClamps', {
+            readonly: true, label: 'Hits vitesseMax',
+            view: 'graph', min: 0, max: 200
+        });
 
         // === Performance folder ===
         const perf = this.pane.addFolder({ title: 'Performance', expanded: false });
@@ -305,6 +741,26 @@ export class UI {
         perf.addBinding(this.params, 'particleCount', { readonly: true, label: 'Particules' });
         perf.addBinding(this.params, 'foamCount', { readonly: true, label: 'Mousse' });
         perf.addBinding(this.params, 'threading', { readonly: true, label: 'Threading' });
+        // One line per sub-worker: ms of work per frame and particles in its slice
+        perf.addBinding(this.params, 'workerLoad', {
+            readonly: true, label: 'Charge workers',
+            multiline: true, rows: 4
+        });
+        // Reallocates the simulation; foam gets a fifth of the particle capacity
+        perf.addBinding(this.params, 'capacity', {
+            options: { '10 000': 10000, '20 000': 20000, '40 000': 40000, '80 000': 80000 },
+            label: 'Capacite'
+        }).on('change', (ev) => {
+            if (ev.value === this.workerCapacity) return;
+            this.worker.postMessage({ type: 'setCapacity', maxParticles: ev.value });
+        });
+        perf.addBinding(this.params, 'adaptiveStepping', { label: 'Pas adaptatif' }).on('change', (ev) => {
+            this.worker.postMessage({ type: 'params', adaptiveStepping: ev.value });
+        });
+        perf.addBinding(this.params, 'substeps', {
+            readonly: true, label: 'Sous-pas',
+            view: 'graph', min: 0, max: 8
+        });
     }
 
     _syncPhysics() {
@@ -314,10 +770,51 @@ export class UI {
             gasConst: this.params.gasConst,
             nearGasConst: this.params.nearGasConst,
             viscosity: this.params.viscosity,
-            surfaceTension: this.params.surfaceTension
+            surfaceTension: this.params.surfaceTension,
+            rheology: this.params.rheology,
+            flowIndex: this.params.flowIndex,
+            yieldStress: this.params.yieldStress,
+            solver: this.params.solver,
+            pbfIterations: this.params.pbfIterations,
+            phases: [{
+                temperature: this.params.temperature,
+                meltPoint: this.params.meltPoint,
+                reposeAngle: this.params.reposeAngle
+            }],
+            conduction: this.params.conduction,
+            cooling: this.params.cooling,
+            ambientTemp: this.params.ambientTemp
+        });
+    }
+
+    _syncBoundaries() {
+        this.worker.postMessage({ type: 'params', periodicX: this.params.periodicX, periodicY: this.params.periodicY });
+    }
+
+    _syncPhases() {
+        this.worker.postMessage({
+            type: 'params',
+            phases: this.phases.map(ph => ph && {
+                density: ph.density,
+                viscosity: ph.viscosity,
+                surfaceTension: ph.surfaceTension,
+                temperature: ph.temperature,
+                meltPoint: ph.meltPoint,
+                reposeAngle: ph.reposeAngle
+            })
         });
     }
 
+    _syncDye() {
+        const color = this._rgbToArray(this.params.dyeColor);
+        this.tools.dyeColor = color;
+        this.worker.postMessage({ type: 'params', dyeColor: color, dyeDiffusion: this.params.dyeDiffusion });
+    }
+
+    _syncPhaseColors() {
+        this.renderer.settings.phaseColors = this.phases.map(ph => ph && this._rgbToArray(ph.color));
+    }
+
     _syncRender() {
         const s = this.renderer.settings;
         s.waterColor = this._rgbToArray(this.params.waterColor);
@@ -334,6 +831,7 @@ export class UI {
         s.shadowEnabled = this.params.shadowEnabled;
         s.bloomEnabled = this.params.bloomEnabled;
         s.bloomIntensity = this.params.bloomIntensity;
+        s.dyeEnabled = this.params.dyeEnabled;
     }
 
     _initPresets() {
@@ -359,6 +857,12 @@ export class UI {
         this.params.nearGasConst = p.nearGasConst;
         this.params.viscosity = p.viscosity;
         this.params.surfaceTension = p.surfaceTension;
+        this.params.temperature = p.temperature ?? 20;
+        this.params.meltPoint = p.meltPoint ?? 0;
+        this.params.rheology = p.rheology ?? 'newtonian';
+        this.params.flowIndex = p.flowIndex ?? 1.0;
+        this.params.yieldStress = p.yieldStress ?? 0;
+        this.params.reposeAngle = p.reposeAngle ?? 0;
         this._syncPhysics();
 
         // Apply rendering
@@ -379,9 +883,81 @@ export class UI {
         this.pane.refresh();
     }
 
+    // Reflect the mode the worker is back in after a replay, in case the
+    // checkbox was toggled while the replay ignored it
+    updateDeterministic(enabled) {
+        if (this.params.deterministic === enabled) return;
+        this.params.deterministic = enabled;
+        this.pane.refresh();
+    }
+
+    // Reflect physics params restored from a scene (the worker already uses them)
+    applySceneParams(p) {
+        if (p.gravity !== undefined) this.params.gravity = p.gravity;
+        if (p.gasConst !== undefined) this.params.gasConst = p.gasConst;
+        if (p.nearGasConst !== undefined) this.params.nearGasConst = p.nearGasConst;
+        if (p.viscosity !== undefined) this.params.viscosity = p.viscosity;
+        if (p.surfaceTension !== undefined) this.params.surfaceTension = p.surfaceTension;
+        if (p.rheology !== undefined) this.params.rheology = p.rheology;
+        if (p.flowIndex !== undefined) this.params.flowIndex = p.flowIndex;
+        if (p.yieldStress !== undefined) this.params.yieldStress = p.yieldStress;
+        if (p.solver !== undefined) this.params.solver = p.solver;
+        if (p.pbfIterations !== undefined) this.params.pbfIterations = p.pbfIterations;
+        this.params.periodicX = !!p.periodicX;
+        this.params.periodicY = !!p.periodicY;
+        if (p.conduction !== undefined) this.params.conduction = p.conduction;
+        if (p.cooling !== undefined) this.params.cooling = p.cooling;
+        if (p.ambientTemp !== undefined) this.params.ambientTemp = p.ambientTemp;
+        if (p.dyeColor) {
+            this.params.dyeColor = this._arrayToRgb(p.dyeColor);
+            this.tools.dyeColor = p.dyeColor.slice();
+        }
+        if (p.dyeDiffusion !== undefined) this.params.dyeDiffusion = p.dyeDiffusion;
+        if (p.phases) {
+            const water = p.phases[0];
+            if (water && water.temperature !== undefined) this.params.temperature = water.temperature;
+            if (water && water.meltPoint !== undefined) this.params.meltPoint = water.meltPoint;
+            if (water && water.reposeAngle !== undefined) this.params.reposeAngle = water.reposeAngle;
+            p.phases.forEach((ph, k) => {
+                if (!ph || !this.phases[k]) return;
+                if (ph.density !== undefined) this.phases[k].density = ph.density;
+                if (ph.viscosity !== undefined) this.phases[k].viscosity = ph.viscosity;
+                if (ph.surfaceTension !== undefined) this.phases[k].surfaceTension = ph.surfaceTension;
+                if (ph.temperature !== undefined) this.phases[k].temperature = ph.temperature;
+                if (ph.meltPoint !== undefined) this.phases[k].meltPoint = ph.meltPoint;
+                if (ph.reposeAngle !== undefined) this.phases[k].reposeAngle = ph.reposeAngle;
+            });
+        }
+        this.pane.refresh();
+    }
+
+    updateSubsteps(n) {
+        this.params.substeps = n;
+    }
+
+    updateWorkerLoad(load) {
+        this.params.workerLoad = load.times
+            .map((ms, w) => `W${w + 1}  ${ms.toFixed(2)} ms  ${load.slices[w]} p`)
+            .join('\n');
+    }
+
+    // Capacity reported by the worker, after init or a reallocation
+    updateCapacity(maxParticles) {
+        this.workerCapacity = maxParticles;
+        this.params.capacity = maxParticles;
+        this.pane.refresh();
+    }
+
+    updateDiagnostics(d) {
+        Object.assign(this.diagnostics, d);
+        this.diagnostics.total = d.kinetic + d.potential;
+        this.diagnostics.kineticLog = Math.log10(1 + d.kinetic);
+        this.diagnostics.totalLog = Math.log10(1 + Math.max(0, this.diagnostics.total));
+    }
+
     _initButtons() {
         document.getElementById('btn-add').addEventListener('click', () => {
-            this.worker.postMessage({ type: 'addParticles', count: 400 });
+            this.worker.postMessage({ type: 'addParticles', count: 400, phase: this.params.phase });
         });
 
         document.getElementById('btn-reset').addEventListener('click', () => {
@@ -412,6 +988,9 @@ export class UI {
         this.params.particleCount = particleCount;
         this.params.foamCount = foamCount;
         this.params.threading = multiWorker ? `${workerCount} workers` : 'single';
+        // Rayon follows the active tool and the mouse wheel
+        const radius = this.tools.toolRadii[this.tools.activeTool];
+        if (radius !== undefined) this.params.toolRadius = radius;
         this.pane.refresh();
 
         const threadLabel = multiWorker ? `${workerCount}W` : '1T';
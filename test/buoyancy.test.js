@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { settledWater, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 400, H = 400;
+const CONTAINER_MARGIN = 5;
+
+// Bodies large enough for the particle-count buoyancy to outweigh gravity.
+// `bottom` is the lowest point below the centre, used to find the floor contact.
+const BODIES = {
+    box: { shape: { shapeType: 'box', halfW: 45, halfH: 20 }, bottom: 20 },
+    circle: { shape: { shapeType: 'circle', radius: 40 }, bottom: 40 },
+    triangle: {
+        shape: { shapeType: 'triangle', localVerts: [{ x: -40, y: -15 }, { x: 40, y: -15 }, { x: 0, y: 30 }] },
+        bottom: 30
+    }
+};
+
+const water = settledWater(W, H, 20, 20);
+const surface = [...water.particles.y].sort((a, b) => a - b)[Math.floor(water.particles.count * 0.05)];
+
+for (const [name, { shape, bottom }] of Object.entries(BODIES)) {
+    // The counting buoyancy is barely damped, so bodies bob around their
+    // equilibrium depth: check the time-averaged position instead of a rest state.
+    test(`${name} floats around an equilibrium inside the water`, () => {
+        const solver = solverWith(water);
+        solver.post({ type: 'addRigidBody', id: 1, x: W / 2, y: 120, ...shape });
+        solver.advance(150);
+
+        const ys = [];
+        for (let k = 0; k < 90; k++) {
+            solver.advance(5);
+            ys.push(solver.run('rigidBodies[0].y'));
+        }
+        const floorContact = H - CONTAINER_MARGIN - bottom;
+        const depth = mean(ys);
+        assert.ok(depth > surface, `${name} sits above the water (y=${depth.toFixed(1)}, surface=${surface.toFixed(1)})`);
+        assert.ok(depth < floorContact - bottom, `${name} sank (y=${depth.toFixed(1)}, floor contact=${floorContact})`);
+        assert.ok(Math.max(...ys) - Math.min(...ys) < H / 2, `${name} bobbing amplitude diverged`);
+        assert.ok(Math.abs(solver.run('rigidBodies[0].x') - W / 2) < W / 4, `${name} drifted sideways`);
+    });
+}
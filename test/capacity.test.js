@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSolver } = require('../headless/solver-context.js');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 800, H = 600;
+
+const capacity = (sim) => Array.from(sim.run('[MAX_PARTICLES, MAX_FOAM, MAX_GRID_CELLS]'));
+
+test('the capacity is chosen at init and sizes every particle array', () => {
+    const sim = createSolver({ width: W, height: H, maxParticles: 20000 });
+    assert.deepEqual(capacity(sim).slice(0, 2), [20000, 4000]);
+    assert.deepEqual(Array.from(sim.run('[p_x.length, p_id.length, bondDegree.length, foam_x.length]')),
+        [20000, 20000, 20000, 4000]);
+    const reported = sim.reply('capacity');
+    assert.equal(reported.maxParticles, 20000);
+    assert.equal(reported.maxFoam, 4000);
+});
+
+test('raising the capacity keeps the simulation exactly where it was', () => {
+    const doc = scene(W, H, fluidBlock(100, 300, 20, 12, 18.5));
+    const plain = solverWith(doc);
+    const raised = solverWith(doc);
+    plain.advance(10);
+    raised.advance(10);
+    raised.post({ type: 'setCapacity', maxParticles: 40000 });
+    assert.deepEqual(capacity(raised).slice(0, 2), [40000, 8000]);
+    assert.equal(raised.run('p_x.length'), 40000);
+    assert.equal(raised.reply('capacity').maxParticles, 40000);
+
+    plain.advance(10);
+    raised.advance(10);
+    assert.deepEqual(Array.from(raised.particles().x), Array.from(plain.particles().x));
+    assert.deepEqual(Array.from(raised.particles().y), Array.from(plain.particles().y));
+});
+
+test('lowering the capacity drops the last particles and their bonds', () => {
+    const sim = solverWith(scene(W, H, fluidBlock(20, 40, 33, 30, 18.5)));
+    sim.post({ type: 'addSolid', x1: 650, y1: 400, x2: 750, y2: 495, material: 'jelly' });
+    assert.equal(sim.run('particleCount'), 1026);
+    assert.equal(sim.run('bondCount'), 110);
+
+    sim.post({ type: 'setCapacity', maxParticles: 1000 });
+    assert.equal(sim.run('particleCount'), 1000);
+    const bonds = sim.run('Array.from({ length: bondCount }, (_, b) => Math.max(bondA[b], bondB[b]))');
+    assert.ok(bonds.length < 110);
+    assert.ok(bonds.every(i => i < 1000));
+    sim.advance(5);
+    assert.equal(sim.run('particleCount'), 1000);
+});
+
+test('a window with more cells than the grid holds grows the grid', () => {
+    const sim = solverWith(scene(W, H, fluidBlock(100, 300, 10, 10, 18.5)));
+    sim.post({ type: 'resize', width: 8000, height: 7000 });
+    const cells = sim.run('cols * rows');
+    assert.ok(cells > 40000);
+    assert.equal(capacity(sim)[2], cells);
+    assert.equal(sim.run('cellHead.length'), cells);
+    assert.equal(sim.run('particleCount'), 100);
+    sim.advance(5);
+    assert.equal(sim.run('particleCount'), 100);
+});
+
+test('a domain the grid cannot grow for is cut down and reported', () => {
+    const sim = solverWith(scene(W, H, fluidBlock(100, 300, 10, 10, 18.5)));
+    // Stands in for a browser refusing the memory
+    sim.run(`allocateLocalArrays = ((allocate) => function () {
+        if (MAX_GRID_CELLS > 40000) throw new RangeError('Array buffer allocation failed');
+        allocate();
+    })(allocateLocalArrays)`);
+    sim.messages.length = 0;
+    sim.post({ type: 'resize', width: 8000, height: 7000 });
+    assert.ok(sim.reply('capacityError'));
+    const [width, height] = sim.run('[width, height]');
+    assert.ok(width <= 8000 && height < 7000);
+    assert.ok(sim.run('cols * rows') <= 40000);
+    const reported = sim.reply('capacity');
+    assert.deepEqual([reported.width, reported.height], [width, height]);
+    sim.advance(5);
+    assert.equal(sim.run('particleCount'), 100);
+});
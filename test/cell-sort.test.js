@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 600, H = 400;
+
+// Mixed fluid stored in scrambled order next to a jelly block, sorting off
+function scrambledSolver(extra) {
+    const block = fluidBlock(20, H - 20 - 9 * 18.5, 12, 10, 18.5);
+    const order = block.x.map((_, i) => (i * 37) % block.count);
+    const particles = {
+        count: block.count,
+        x: order.map(k => block.x[k]), y: order.map(k => block.y[k]),
+        vx: order.map(() => 0), vy: order.map(() => 0),
+        phase: order.map(k => k % 3), temperature: order.map(k => 10 + k)
+    };
+    const sim = solverWith(scene(W, H, particles, extra));
+    sim.post({ type: 'params', sortInterval: 0 });
+    sim.post({ type: 'addSolid', x1: 350, y1: 250, x2: 450, y2: 340, material: 'jelly' });
+    sim.advance(5);
+    return sim;
+}
+
+// Everything about each particle, keyed by id, and the bonds as id pairs
+function byId(sim) {
+    return sim.run(`(() => {
+        const particles = {};
+        for (let i = 0; i < particleCount; i++) {
+            particles[p_id[i]] = [p_x[i], p_y[i], p_vx[i], p_vy[i], p_phase[i], p_temperature[i], p_dyeR[i], p_material[i]];
+        }
+        const bonds = [];
+        for (let b = 0; b < bondCount; b++) {
+            const pair = [p_id[bondA[b]], p_id[bondB[b]]].sort((u, v) => u - v);
+            bonds.push(pair.join('-') + '@' + bondRest[b]);
+        }
+        return JSON.stringify({ particles, bonds: bonds.sort() });
+    })()`);
+}
+
+test('sorting by cell reorders the storage but keeps particles and bonds with their ids', () => {
+    const sim = scrambledSolver();
+    const before = byId(sim);
+    sim.run('sortParticlesByCell()');
+    assert.equal(byId(sim), before);
+
+    const cells = Array.from(sim.run(`Array.from({ length: particleCount }, (_, i) =>
+        Math.min(cols - 1, (p_x[i] / cellW) | 0) + Math.min(rows - 1, (p_y[i] / cellH) | 0) * cols)`));
+    for (let i = 1; i < cells.length; i++) assert.ok(cells[i] >= cells[i - 1], `particle ${i} out of cell order`);
+});
+
+test('ids stay unique through sorting steps and drains and are saved with the scene', () => {
+    const sim = scrambledSolver({ drains: [{ x: 60, y: H - 30, radius: 25 }] });
+    sim.post({ type: 'params', sortInterval: 4 });
+    sim.advance(60);
+
+    const ids = Array.from(sim.run('p_id.slice(0, particleCount)'));
+    assert.ok(ids.length < 120 + 36, 'the drain took no particle');
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(ids.every(id => id < sim.run('nextParticleId')));
+
+    // A reloaded scene keeps them, so saved states can be matched particle by particle
+    sim.post({ type: 'getScene', includeParticles: true });
+    const copy = solverWith(sim.reply('scene').scene);
+    assert.deepEqual(Array.from(copy.run('p_id.slice(0, particleCount)')), ids);
+    copy.post({ type: 'addParticles', count: 1, x: 300, y: 100 });
+    assert.ok(!ids.includes(copy.run('p_id[particleCount - 1]')), 'a new particle reused an id');
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 600, H = 400;
+
+function assertInsideDomain(p) {
+    for (let i = 0; i < p.count; i++) {
+        assert.ok(Number.isFinite(p.x[i]) && Number.isFinite(p.y[i]), `particle ${i} is not finite`);
+        assert.ok(p.x[i] >= 0 && p.x[i] <= W && p.y[i] >= 0 && p.y[i] <= H, `particle ${i} left the domain`);
+    }
+}
+
+test('particle count is conserved without emitters or drains', () => {
+    const solver = solverWith(scene(W, H, fluidBlock(20, 40, 15, 20, 18.9)));
+    const initial = solver.particles().count;
+    for (let k = 0; k < 6; k++) {
+        solver.advance(25);
+        const p = solver.particles();
+        assert.equal(p.count, initial);
+        assertInsideDomain(p);
+    }
+});
+
+test('walls, portals and rigid bodies do not create or destroy particles', () => {
+    const solver = solverWith(scene(W, H, fluidBlock(20, 40, 15, 20, 18.9), {
+        walls: [{ x1: 250, y1: 250, x2: 450, y2: 300, thickness: 8 }],
+        portals: [{ p1x: 500, p1y: 350, p2x: 100, p2y: 60, radius: 25 }],
+        rigidBodies: [{ id: 1, shapeType: 'circle', x: 400, y: 150, radius: 25 }]
+    }));
+    const initial = solver.particles().count;
+    solver.advance(150);
+    const p = solver.particles();
+    assert.equal(p.count, initial);
+    assertInsideDomain(p);
+});
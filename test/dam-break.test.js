@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 800, H = 400;
+const KERNEL_RADIUS = 35;
+
+// Front positions of the reference column (15 x 20 particles, gravity 1200)
+// recorded with the current constants. Retuning the solver may move them by
+// less than one kernel radius; anything more is a behaviour change.
+const EXPECTED_FRONT = { 20: 309.5, 40: 418.2, 60: 590.0 };
+
+// Right-most particle close to the floor
+function frontPosition(p) {
+    let front = 0;
+    for (let i = 0; i < p.count; i++) {
+        if (p.y[i] > H - 60 && p.x[i] > front) front = p.x[i];
+    }
+    return front;
+}
+
+test('dam-break front reaches the reference positions', () => {
+    const solver = solverWith(scene(W, H, fluidBlock(20, H - 20 - 19 * 18.9, 15, 20, 18.9)));
+    let done = 0;
+    let previous = frontPosition(solver.particles());
+    for (const frame of Object.keys(EXPECTED_FRONT).map(Number)) {
+        solver.advance(frame - done);
+        done = frame;
+        const front = frontPosition(solver.particles());
+        assert.ok(front >= previous, `front moved backwards at frame ${frame}`);
+        assert.ok(Math.abs(front - EXPECTED_FRONT[frame]) < KERNEL_RADIUS,
+            `front at frame ${frame} is ${front.toFixed(1)}, expected ${EXPECTED_FRONT[frame]}`);
+        previous = front;
+    }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, waterLayer, solverWith } = require('./helpers/scenes.js');
+
+const W = 600, H = 400, SPACING = 18.5;
+
+const count = (sim) => sim.run('particleCount');
+const absorbed = (sim) => Array.from(sim.run('drains.map(d => d.absorbed)'));
+
+test('water leaves through an outflow span on the side and nowhere else', () => {
+    // Layer pushed to the right, open on the lower half of the right side
+    const doc = waterLayer(W, H, 20, 6);
+    doc.params.gravityX = 600;
+    doc.drains = [{ shape: 'outflow', side: 'right', from: H / 2, to: H }];
+    const sim = solverWith(doc);
+    const before = count(sim);
+    sim.advance(150);
+
+    const p = sim.particles();
+    assert.ok(p.count < before * 0.5, `${p.count} of ${before} particles left`);
+    assert.equal(absorbed(sim)[0], before - p.count);
+    for (let i = 0; i < p.count; i++) {
+        assert.ok(p.x[i] >= 0 && p.x[i] <= W && p.y[i] >= 0 && p.y[i] <= H, `particle ${i} out of the domain`);
+    }
+
+    // The rest of the side stays closed: an opening above the water lets nothing out
+    const closed = waterLayer(W, H, 20, 6);
+    closed.params.gravityX = 600;
+    closed.drains = [{ shape: 'outflow', side: 'right', from: 0, to: 100 }];
+    const kept = solverWith(closed);
+    kept.advance(150);
+    assert.equal(count(kept), before);
+});
+
+test('rectangular drains remove what enters them', () => {
+    const doc = scene(W, H, fluidBlock(100, 100, 10, 5, SPACING), {
+        drains: [{ shape: 'rect', x1: 50, y1: 300, x2: 550, y2: 400 }]
+    });
+    const sim = solverWith(doc);
+    sim.advance(120);
+    assert.ok(count(sim) < 10, `${count(sim)} particles left`);
+    assert.equal(absorbed(sim)[0], 50 - count(sim));
+});
+
+test('rate-limited drains remove at most their rate', () => {
+    const drained = (rate) => {
+        const doc = waterLayer(W, H, 25, 6);
+        doc.drains = [{ x: 300, y: H - 20, radius: 60, rate }];
+        const sim = solverWith(doc);
+        sim.advance(72); // about 1 s
+        return absorbed(sim)[0];
+    };
+    const free = drained(0);
+    const limited = drained(20);
+    assert.ok(limited >= 18 && limited <= 21, `${limited} particles in a second`);
+    assert.ok(free > 40, `${free} particles without a limit`);
+});
+
+test('drain shapes and rates survive a scene round trip', () => {
+    const drains = [
+        { shape: 'circle', x: 100, y: 100, radius: 25, rate: 0 },
+        { shape: 'rect', x1: 200, y1: 50, x2: 260, y2: 90, rate: 15 },
+        { shape: 'outflow', side: 'bottom', from: 400, to: 500, rate: 0 }
+    ];
+    const sim = solverWith(scene(W, H, fluidBlock(20, 20, 2, 2, SPACING), { drains }));
+    sim.post({ type: 'getScene', includeParticles: false });
+    assert.deepEqual(JSON.parse(JSON.stringify(sim.reply('scene').scene.drains)), drains);
+});
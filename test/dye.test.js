@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 400, H = 400, SPACING = 18.5;
+const RED = [1, 0, 0], BLUE = [0, 0, 1];
+
+// Red left half, blue right half
+function twoColorPool() {
+    const block = fluidBlock(20, H - 20 - 9 * SPACING, 20, 10, SPACING);
+    block.dyeR = block.x.map(x => x < W / 2 ? 1 : 0);
+    block.dyeG = block.x.map(() => 0);
+    block.dyeB = block.x.map(x => x < W / 2 ? 0 : 1);
+    return block;
+}
+
+const dye = (sim) => sim.run(`({
+    r: p_dyeR.slice(0, particleCount), g: p_dyeG.slice(0, particleCount), b: p_dyeB.slice(0, particleCount)
+})`);
+
+test('dye diffuses slightly across the interface', () => {
+    const block = twoColorPool();
+    const sim = solverWith(scene(W, H, block));
+    sim.advance(100);
+
+    const d = dye(sim);
+    const p = sim.particles();
+    const interfaceRed = [], farRed = [];
+    for (let i = 0; i < p.count; i++) {
+        if (!block.dyeR[i]) continue;
+        for (const c of [d.r[i], d.g[i], d.b[i]]) assert.ok(c >= 0 && c <= 1);
+        if (Math.abs(p.x[i] - W / 2) < SPACING) interfaceRed.push(d.r[i]);
+        else if (p.x[i] < W / 4) farRed.push(d.r[i]);
+    }
+    assert.ok(mean(interfaceRed) < 0.97, `red at the interface ${mean(interfaceRed).toFixed(3)}`);
+    assert.ok(mean(farRed) > 0.99, `red far from the interface ${mean(farRed).toFixed(3)}`);
+});
+
+test('paint tool tints the fluid under the cursor', () => {
+    const sim = solverWith(scene(W, H, fluidBlock(20, H - 20 - 9 * SPACING, 20, 10, SPACING)));
+    sim.post({ type: 'params', dyeColor: RED });
+    sim.post({ type: 'tool', tool: 'paint' });
+    sim.post({ type: 'mouse', x: 100, y: H - 80, active: true });
+    sim.advance(30);
+    sim.post({ type: 'mouse', x: 100, y: H - 80, active: false });
+
+    const d = dye(sim);
+    const p = sim.particles();
+    let painted = 0, untouched = 0;
+    for (let i = 0; i < p.count; i++) {
+        if (Math.hypot(p.x[i] - 100, p.y[i] - (H - 80)) < 30 && d.r[i] > 0.8) painted++;
+        if (p.x[i] > 300 && d.r[i] < 0.15) untouched++;
+    }
+    assert.ok(painted > 0);
+    assert.ok(untouched > 10);
+});
+
+test('emitters pour their own dye and drains keep the rest intact', () => {
+    const block = twoColorPool();
+    const sim = solverWith(scene(W, H, block, {
+        emitters: [{ x: 200, y: 60, angle: Math.PI / 2, rate: 60, speed: 100, dye: [0, 1, 0] }],
+        drains: [{ x: 40, y: H - 30, radius: 30 }]
+    }));
+    sim.advance(60);
+
+    const d = dye(sim);
+    const count = d.r.length;
+    let green = 0;
+    for (let i = 0; i < count; i++) {
+        // Every particle is still close to red, blue or green: swaps copied the dye along
+        const nearest = Math.min(
+            Math.hypot(d.r[i] - 1, d.g[i], d.b[i]),
+            Math.hypot(d.r[i], d.g[i], d.b[i] - 1),
+            Math.hypot(d.r[i], d.g[i] - 1, d.b[i]));
+        assert.ok(nearest < 0.6, `particle ${i} dyed ${d.r[i]}, ${d.g[i]}, ${d.b[i]}`);
+        if (d.g[i] > 0.5) green++;
+    }
+    assert.ok(green > 20, `${green} green particles`);
+    assert.ok(count < block.count + green, 'the drain removed particles');
+
+    // And the whole state survives a scene round trip
+    sim.post({ type: 'getScene', includeParticles: true });
+    const saved = sim.reply('scene').scene;
+    const copy = solverWith(saved);
+    assert.deepEqual(Array.from(dye(copy).g), Array.from(saved.particles.dyeG));
+    assert.deepEqual(Array.from(copy.run('emitters[0].dye')), [0, 1, 0]);
+});
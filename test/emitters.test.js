@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 600, H = 400;
+
+// Empty weightless tank with the given emitters
+function tank(emitters) {
+    const doc = scene(W, H, { count: 0, x: [], y: [], vx: [], vy: [] }, { emitters });
+    doc.params.gravity = 0;
+    return solverWith(doc);
+}
+
+const count = (sim) => sim.run('particleCount');
+
+test('emitters pour along their angle at their rate and speed', () => {
+    const sim = tank([{ x: 100, y: 200, angle: 0, rate: 100, speed: 200, spread: 0 }]);
+    sim.advance(50); // 0.7 s
+    const p = sim.particles();
+    assert.ok(Math.abs(p.count - 70) <= 2, `${p.count} particles`);
+    assert.ok(mean(Array.from(p.vx)) > 150);
+    assert.ok(Math.abs(mean(Array.from(p.vy))) < 20);
+
+    const idle = tank([{ x: 100, y: 200, enabled: false }]);
+    idle.advance(20);
+    assert.equal(count(idle), 0);
+});
+
+test('line nozzles spread the jet across their width', () => {
+    const across = (shape) => {
+        const sim = tank([{ x: 300, y: 50, angle: Math.PI / 2, rate: 1000, speed: 100, spread: 0, shape, width: 200 }]);
+        sim.advance(1);
+        const x = Array.from(sim.particles().x);
+        return Math.max(...x) - Math.min(...x);
+    };
+    const point = across('point'), line = across('line');
+    assert.ok(point < 20 && line > 150, `point ${point.toFixed(1)}, line ${line.toFixed(1)}`);
+});
+
+test('scheduled emitters run once or in pulses', () => {
+    const once = tank([{ x: 300, y: 100, rate: 100, schedule: 'once', duration: 0.2 }]);
+    once.advance(30);
+    const poured = count(once);
+    assert.ok(Math.abs(poured - 20) <= 2, `${poured} particles`);
+    once.advance(30);
+    assert.equal(count(once), poured);
+
+    // On 0.1 s out of every 0.4 s: about a quarter of the continuous flow
+    const pulse = tank([{ x: 300, y: 100, rate: 100, schedule: 'pulse', duration: 0.1, interval: 0.4 }]);
+    pulse.advance(114); // 1.6 s, four pulses
+    assert.ok(Math.abs(count(pulse) - 40) <= 4, `${count(pulse)} particles`);
+});
+
+test('updateEmitter edits a placed emitter and restarts its schedule', () => {
+    const sim = tank([{ x: 300, y: 100, rate: 100, schedule: 'once', duration: 0.1 }]);
+    sim.advance(20);
+    const first = count(sim);
+    sim.post({ type: 'updateEmitter', index: 0, settings: { rate: 50, duration: 0.4 } });
+    sim.advance(40);
+    assert.ok(Math.abs(count(sim) - first - 20) <= 2, `${count(sim) - first} more particles`);
+
+    sim.post({ type: 'getScene', includeParticles: false });
+    const em = sim.reply('scene').scene.emitters[0];
+    assert.deepEqual(
+        [em.rate, em.schedule, em.duration, em.shape, em.enabled],
+        [50, 'once', 0.4, 'point', true]
+    );
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 600, H = 400, SPACING = 18.5;
+
+// Weightless 8 x 8 block centred on (300, 200) with the given fields
+function floating(forceFields) {
+    const doc = scene(W, H, fluidBlock(300 - 3.5 * SPACING, 200 - 3.5 * SPACING, 8, 8, SPACING), { forceFields });
+    doc.params.gravity = 0;
+    return solverWith(doc);
+}
+
+test('a directional field pushes the fluid along its angle, only inside its radius', () => {
+    const sim = floating([{ type: 'directional', x: 300, y: 200, radius: 200, strength: 800, falloff: 'none', angle: Math.PI / 2 }]);
+    sim.advance(10);
+    const p = sim.particles();
+    assert.ok(mean(Array.from(p.vy)) > 50, `mean vy ${mean(Array.from(p.vy)).toFixed(1)}`);
+    assert.ok(Math.abs(mean(Array.from(p.vx))) < 10);
+
+    const outside = floating([{ type: 'directional', x: 50, y: 50, radius: 40, strength: 800, angle: 0 }]);
+    outside.advance(10);
+    assert.ok(Math.abs(mean(Array.from(outside.particles().vx))) < 1);
+});
+
+test('vortex fields spin the fluid and negative radial fields gather it', () => {
+    const spin = (strength) => {
+        const sim = floating([{ type: 'vortex', x: 300, y: 200, radius: 250, strength, falloff: 'linear' }]);
+        sim.advance(10);
+        const p = sim.particles();
+        let momentum = 0;
+        for (let i = 0; i < p.count; i++) momentum += (p.x[i] - 300) * p.vy[i] - (p.y[i] - 200) * p.vx[i];
+        return momentum / p.count;
+    };
+    assert.ok(spin(600) > 100);
+    assert.ok(spin(-600) < -100);
+
+    const spread = (sim) => {
+        const p = sim.particles();
+        return mean(Array.from(p.x, (x, i) => Math.hypot(x - 300, p.y[i] - 200)));
+    };
+    const free = floating([]);
+    const gathered = floating([{ type: 'radial', x: 300, y: 200, radius: 250, strength: -1500 }]);
+    free.advance(20);
+    gathered.advance(20);
+    assert.ok(spread(gathered) < spread(free) - 3, `${spread(gathered).toFixed(1)} vs ${spread(free).toFixed(1)}`);
+});
+
+test('turbulence stirs the fluid without a net push', () => {
+    // Fluid over the whole box: the noise averages out over many cells
+    const doc = scene(W, H, fluidBlock(20, 20, 30, 20, SPACING), {
+        forceFields: [{ type: 'turbulence', x: 300, y: 200, radius: 400, strength: 1500, falloff: 'none' }]
+    });
+    doc.params.gravity = 0;
+    const sim = solverWith(doc);
+    sim.advance(10);
+    const p = sim.particles();
+    const speed = mean(Array.from(p.vx, (vx, i) => Math.hypot(vx, p.vy[i])));
+    const drift = Math.hypot(mean(Array.from(p.vx)), mean(Array.from(p.vy)));
+    assert.ok(speed > 20, `mean speed ${speed.toFixed(1)}`);
+    assert.ok(drift < speed / 4, `drift ${drift.toFixed(1)} for a mean speed of ${speed.toFixed(1)}`);
+});
+
+test('force fields are placed, erased and saved with the scene', () => {
+    const sim = floating([]);
+    sim.post({ type: 'addForceField', fieldType: 'vortex', x: 100, y: 100, radius: 80, strength: -300, falloff: 'linear' });
+    sim.post({ type: 'addForceField', fieldType: 'directional', x: 400, y: 300, radius: 60, angle: Math.PI });
+    sim.post({ type: 'addForceField', fieldType: 'radial', x: 200, y: 300 });
+    sim.post({ type: 'removeForceField', index: 2 });
+
+    sim.post({ type: 'getScene', includeParticles: false });
+    const saved = sim.reply('scene').scene.forceFields;
+    assert.deepEqual(saved.map(f => ({ ...f })), [
+        { type: 'vortex', x: 100, y: 100, radius: 80, strength: -300, falloff: 'linear', angle: 0 },
+        { type: 'directional', x: 400, y: 300, radius: 60, strength: 600, falloff: 'smooth', angle: Math.PI }
+    ]);
+    const copy = floating(saved);
+    assert.equal(copy.run('forceFields[1].dirX'), -1);
+    assert.equal(copy.run('forceFields.length'), 2);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 400, H = 400;
+
+function solver() {
+    const sim = solverWith(scene(W, H, fluidBlock(40, 200, 10, 5, 18.5)));
+    sim.advance(5);
+    return sim;
+}
+
+test('frames rotate through the shared slots and match the particles', () => {
+    const sim = solver();
+    const channel = sim.reply('frameChannel');
+    assert.ok(channel, 'no frameChannel message');
+    const header = new Int32Array(channel.buffer, 0, channel.headerInts);
+
+    const used = [];
+    for (let f = 0; f < 4; f++) {
+        const before = header[0];
+        const { message, transfer } = sim.run('publishFrame()');
+        assert.equal(transfer.length, 0);
+        assert.equal(message.positions, undefined);
+        assert.notEqual(header[0], before, 'wrote over the slot published last');
+        assert.equal(header[1], message.frameSeq);
+        assert.equal(header[2 + header[0] * 2], message.frameSeq);
+        used.push(header[0]);
+        sim.advance(1);
+    }
+    assert.deepEqual(used, [0, 1, 2, 0]);
+
+    // The slot published last holds the particles as they are now
+    sim.run('publishFrame()');
+    const p = sim.particles();
+    const slot = channel.slots[header[0]];
+    const count = header[3 + header[0] * 2];
+    const positions = new Float32Array(channel.buffer, slot.positions, count * 2);
+    const densities = new Float32Array(channel.buffer, slot.densities, count);
+    assert.equal(count, p.count);
+    for (let i = 0; i < count; i++) {
+        assert.equal(positions[i * 2], p.x[i]);
+        assert.equal(positions[i * 2 + 1], p.y[i]);
+        assert.equal(densities[i], p.density[i]);
+    }
+});
+
+test('without shared memory frames are transferred and their buffers reused', () => {
+    const sim = solver();
+    sim.run('frameChannel = null');
+    const first = sim.run('publishFrame()');
+    assert.equal(first.transfer.length, 1);
+    assert.equal(first.transfer[0], first.message.frameBuffer);
+    const p = sim.particles();
+    assert.deepEqual(Array.from(first.message.positions.filter((_, k) => k % 2 === 0)), Array.from(p.x));
+
+    sim.post({ type: 'frameBuffer', buffer: first.message.frameBuffer });
+    const second = sim.run('publishFrame()');
+    assert.equal(second.message.frameBuffer, first.message.frameBuffer);
+    assert.equal(second.message.frameSeq, first.message.frameSeq + 1);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 600, H = 400;
+const EMPTY = { count: 0, x: [], y: [], vx: [], vy: [] };
+
+function withGrains(doc, reposeAngle) {
+    Object.assign(doc.params, { surfaceTension: 0, viscosity: 5, phases: [{ reposeAngle }] });
+    return solverWith(doc);
+}
+
+// Pours from the middle of the tank, then lets it settle; returns the height
+// of the heap at the centre and 150 px to each side
+function pour(reposeAngle) {
+    const sim = withGrains(scene(W, H, EMPTY, {
+        emitters: [{ x: W / 2, y: 200, rate: 40, speed: 300, angle: Math.PI / 2, phase: 0 }]
+    }), reposeAngle);
+    sim.advance(300);
+    sim.run('emitters.length = 0');
+    sim.advance(100);
+
+    const p = sim.particles();
+    const heightNear = (x0) => {
+        let top = 0;
+        for (let i = 0; i < p.count; i++) {
+            if (Math.abs(p.x[i] - x0) < 25) top = Math.max(top, H - p.y[i]);
+        }
+        return top;
+    };
+    const speeds = Array.from(p.vx, (vx, i) => Math.hypot(vx, p.vy[i])).sort((a, b) => a - b);
+    return {
+        centre: heightNear(W / 2),
+        sides: Math.max(heightNear(W / 2 - 150), heightNear(W / 2 + 150)),
+        medianSpeed: speeds[speeds.length >> 1]
+    };
+}
+
+test('poured sand comes to rest in a heap where water spreads flat', () => {
+    const water = pour(0);
+    const sand = pour(34);
+    assert.ok(water.centre - water.sides < 15, `water ${water.centre.toFixed(0)} / ${water.sides.toFixed(0)}`);
+    assert.ok(sand.centre - sand.sides > 20, `sand ${sand.centre.toFixed(0)} / ${sand.sides.toFixed(0)}`);
+    assert.ok(sand.medianSpeed < 1, `median speed ${sand.medianSpeed.toFixed(2)}`);
+
+    const steep = pour(55);
+    assert.ok(steep.centre > sand.centre + 20, `${steep.centre.toFixed(0)} vs ${sand.centre.toFixed(0)}`);
+});
+
+// Small heap dropped on a wall segment tilted by `slope` degrees; returns how
+// far down the ramp it has moved a second after landing
+function rampSlide(reposeAngle, slope) {
+    const tan = Math.tan(slope * Math.PI / 180);
+    const wall = { x1: 100, y1: 150, x2: 500, y2: 150 + 400 * tan, thickness: 8 };
+    const block = fluidBlock(180, 0, 5, 3, 18.5);
+    block.y = block.x.map((x, i) => wall.y1 + (x - wall.x1) * tan - 25 - Math.floor(i / 5) * 18.5);
+    const sim = withGrains(scene(W, H, block, { walls: [wall] }), reposeAngle);
+    const meanX = () => Array.from(sim.particles().x).reduce((a, b) => a + b, 0) / block.count;
+    sim.advance(30);
+    const landed = meanX();
+    sim.advance(60);
+    return meanX() - landed;
+}
+
+test('sand rests on a ramp gentler than its angle and slides down a steeper one', () => {
+    assert.ok(rampSlide(34, 20) < 40);
+    assert.ok(rampSlide(34, 45) > 80);
+    assert.ok(rampSlide(0, 20) > 100);
+});
+
+test('drains swallow grains and the angle survives a scene round trip', () => {
+    const doc = scene(W, H, fluidBlock(200, H - 20 - 5 * 18.5, 8, 6, 18.5), {
+        drains: [{ x: 230, y: H - 30, radius: 30 }]
+    });
+    const sim = withGrains(doc, 34);
+    sim.advance(60);
+    assert.ok(sim.run('particleCount') < 48);
+
+    sim.post({ type: 'getScene', includeParticles: false });
+    const saved = sim.reply('scene').scene;
+    assert.equal(saved.params.phases[0].reposeAngle, 34);
+    const copy = solverWith(saved);
+    copy.advance(1);
+    assert.equal(copy.run('phases[0].reposeAngle'), 34);
+    assert.ok(Math.abs(copy.run('phaseFriction[0]') - Math.tan(34 * Math.PI / 180)) < 1e-6);
+});
@@ -0,0 +1,70 @@
+// ==========================================
+// TEST SCENES
+// Scene documents (same format as "Sauver la scene") used by the physics
+// regression tests. Run the suite with: node --test test/
+// ==========================================
+const { createSolver } = require('../../headless/solver-context.js');
+
+const GRAVITY = 1200;
+
+// Rectangular block of fluid at rest, cols x rows particles
+function fluidBlock(x0, y0, cols, rows, spacing) {
+    const x = [], y = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            x.push(x0 + c * spacing);
+            y.push(y0 + r * spacing);
+        }
+    }
+    return { count: x.length, x, y, vx: x.map(() => 0), vy: y.map(() => 0) };
+}
+
+function scene(width, height, particles, extra = {}) {
+    return {
+        format: 'sph-scene',
+        version: 1,
+        width,
+        height,
+        params: { gravity: GRAVITY, gravityX: 0 },
+        particles,
+        ...extra
+    };
+}
+
+// Solver with the given scene loaded (replaces the default ocean and boat)
+function solverWith(doc) {
+    const solver = createSolver({ width: doc.width, height: doc.height });
+    solver.post({ type: 'loadScene', scene: doc });
+    const error = solver.reply('sceneError');
+    if (error) throw new Error(error.message);
+    return solver;
+}
+
+// Water layer resting on the floor of a width x height tank
+function waterLayer(width, height, cols, rows, spacing = 18.5) {
+    return scene(width, height, fluidBlock(20, height - 20 - (rows - 1) * spacing, cols, rows, spacing));
+}
+
+// Runs a layer until it is at rest and returns the settled scene (with fluid).
+// The water keeps compacting slowly, so the default matches the 800 fixed
+// substeps the buoyancy and hydrostatic references were recorded with.
+function settledWater(width, height, cols, rows, frames = 400) {
+    const solver = solverWith(waterLayer(width, height, cols, rows));
+    solver.advance(frames);
+    solver.post({ type: 'getScene', includeParticles: true });
+    return solver.reply('scene').scene;
+}
+
+function rmsSpeed(p) {
+    let sum = 0;
+    for (let i = 0; i < p.count; i++) sum += p.vx[i] * p.vx[i] + p.vy[i] * p.vy[i];
+    return Math.sqrt(sum / p.count);
+}
+
+function mean(values) {
+    let sum = 0;
+    for (const v of values) sum += v;
+    return sum / values.length;
+}
+
+module.exports = { GRAVITY, fluidBlock, scene, solverWith, waterLayer, settledWater, rmsSpeed, mean };
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { settledWater, solverWith, rmsSpeed, mean } = require('./helpers/scenes.js');
+
+test('water at rest stays at rest', () => {
+    const solver = solverWith(settledWater(400, 300, 20, 12));
+    const level = mean(solver.particles().y);
+
+    for (let k = 0; k < 8; k++) {
+        solver.advance(25);
+        const p = solver.particles();
+        let maxSpeed = 0;
+        for (let i = 0; i < p.count; i++) {
+            maxSpeed = Math.max(maxSpeed, Math.hypot(p.vx[i], p.vy[i]));
+        }
+        assert.ok(rmsSpeed(p) < 10, `rms speed ${rmsSpeed(p).toFixed(2)} px/s`);
+        assert.ok(maxSpeed < 40, `max speed ${maxSpeed.toFixed(1)} px/s`);
+        assert.ok(Math.abs(mean(p.y) - level) < 2, `mean height drifted to ${mean(p.y).toFixed(2)}`);
+    }
+});
+
+test('density increases with depth at rest', () => {
+    const solver = solverWith(settledWater(400, 300, 20, 12));
+    solver.advance(1);
+    const p = solver.particles();
+    const top = [], bottom = [];
+    for (let i = 0; i < p.count; i++) {
+        // Skip the side walls, where the boundary force compresses the fluid
+        if (p.x[i] < 60 || p.x[i] > 340) continue;
+        if (p.y[i] < 210) top.push(p.density[i]);
+        else if (p.y[i] > 250) bottom.push(p.density[i]);
+    }
+    assert.ok(top.length > 0 && bottom.length > 0);
+    assert.ok(mean(bottom) > mean(top), `density ${mean(top).toFixed(2)} (top) vs ${mean(bottom).toFixed(2)} (bottom)`);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { waterLayer, solverWith, rmsSpeed, mean } = require('./helpers/scenes.js');
+
+const REST_DENS = 3.0;
+
+// Mean density near the floor of a 45 particle deep column after it settled
+function bottomDensity(solver) {
+    solver.advance(300);
+    const p = solver.particles();
+    const bottom = [];
+    for (let i = 0; i < p.count; i++) {
+        if (p.x[i] > 40 && p.x[i] < 260 && p.y[i] > 900) bottom.push(p.density[i]);
+    }
+    assert.ok(bottom.length > 0);
+    return mean(bottom);
+}
+
+function deepTank(solver) {
+    const doc = waterLayer(300, 1000, 14, 45);
+    doc.params.solver = solver;
+    return solverWith(doc);
+}
+
+test('deep tank stays near rest density at the bottom with PBF', () => {
+    const ddr = bottomDensity(deepTank('ddr'));
+    const pbf = bottomDensity(deepTank('pbf'));
+    assert.ok(ddr > REST_DENS * 1.3, `double density bottom ${ddr.toFixed(2)}`);
+    assert.ok(Math.abs(pbf - REST_DENS) < REST_DENS * 0.05, `PBF bottom ${pbf.toFixed(2)}`);
+});
+
+test('PBF water settles', () => {
+    const doc = waterLayer(400, 300, 20, 12);
+    doc.params.solver = 'pbf';
+    const solver = solverWith(doc);
+    solver.advance(600);
+    const level = mean(solver.particles().y);
+    solver.advance(100);
+    const p = solver.particles();
+    assert.ok(rmsSpeed(p) < 10, `rms speed ${rmsSpeed(p).toFixed(2)} px/s`);
+    assert.ok(Math.abs(mean(p.y) - level) < 2, `mean height drifted to ${mean(p.y).toFixed(2)}`);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, waterLayer, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 600, H = 400, SPACING = 18.5;
+
+const count = (sim) => sim.run('particleCount');
+
+test('water leaving one side re-enters on the other', () => {
+    const doc = waterLayer(W, H, 20, 6);
+    doc.params.gravityX = 600;
+    doc.params.periodicX = true;
+    const sim = solverWith(doc);
+    const before = count(sim);
+
+    // Follow the rightmost particle across the seam
+    const id = sim.run('p_id[p_x.slice(0, particleCount).indexOf(Math.max(...p_x.slice(0, particleCount)))]');
+    let wrapped = false, last = sim.run(`p_x[p_id.subarray(0, particleCount).indexOf(${id})]`);
+    for (let f = 0; f < 150; f++) {
+        sim.advance(1);
+        const x = sim.run(`p_x[p_id.subarray(0, particleCount).indexOf(${id})]`);
+        if (x < last - W / 2) wrapped = true;
+        last = x;
+    }
+    assert.ok(wrapped, 'the particle never crossed the seam');
+
+    const p = sim.particles();
+    assert.equal(p.count, before);
+    assert.ok(mean(Array.from(p.vx)) > 100, 'the flow was stopped by a wall');
+    for (let i = 0; i < p.count; i++) {
+        assert.ok(p.x[i] >= 0 && p.x[i] <= W, `particle ${i} at x = ${p.x[i]}`);
+        assert.ok(p.y[i] <= H, `particle ${i} below the floor`);
+    }
+});
+
+test('density is continuous across the seam', () => {
+    // Full-width layer in a weightless tank, one column every SPACING
+    const columns = Math.round(W / SPACING);
+    const spacing = W / columns;
+    const edgeRatio = (periodicX) => {
+        const doc = scene(W, H, fluidBlock(spacing / 2, 150, columns, 6, spacing));
+        doc.params.gravity = 0;
+        doc.params.periodicX = periodicX;
+        const sim = solverWith(doc);
+        sim.run('updatePeriods(); updateGrid(); computeDensityPressure()');
+        const x = sim.run('p_x.slice(0, particleCount)');
+        const d = sim.run('p_density.slice(0, particleCount)');
+        const edge = [], middle = [];
+        for (let i = 0; i < x.length; i++) {
+            if (x[i] < spacing) edge.push(d[i]);
+            else if (Math.abs(x[i] - W / 2) < spacing) middle.push(d[i]);
+        }
+        return mean(edge) / mean(middle);
+    };
+    const periodic = edgeRatio(true), closed = edgeRatio(false);
+    assert.ok(Math.abs(periodic - 1) < 0.01, `periodic edge density ratio ${periodic.toFixed(3)}`);
+    assert.ok(closed < 0.9, `closed edge density ratio ${closed.toFixed(3)}`);
+});
+
+test('force fields and tools reach across the seam', () => {
+    // Weightless drop just left of the seam, pulled from just right of it
+    const drift = (periodicX, forceFields, tool) => {
+        const doc = scene(W, H, fluidBlock(W - 60, 180, 3, 3, SPACING), { forceFields });
+        doc.params.gravity = 0;
+        doc.params.periodicX = periodicX;
+        const sim = solverWith(doc);
+        if (tool) {
+            sim.post({ type: 'tool', tool: 'attractor', radius: 100 });
+            sim.post({ type: 'mouse', x: 10, y: 200, active: true });
+        }
+        sim.advance(5);
+        return mean(Array.from(sim.particles().vx));
+    };
+    const attract = [{ type: 'radial', x: 10, y: 200, radius: 100, strength: -1500, falloff: 'none' }];
+    assert.ok(drift(true, attract) > 50, 'the field did not reach across the seam');
+    assert.ok(Math.abs(drift(false, attract)) < 1, 'the field reached through a wall');
+    assert.ok(drift(true, [], true) > 50, 'the attractor did not reach across the seam');
+    assert.ok(Math.abs(drift(false, [], true)) < 1, 'the attractor reached through a wall');
+});
+
+test('the vertical axis can wrap on its own', () => {
+    // Falling water comes back in at the top instead of piling on the floor
+    const doc = scene(W, H, fluidBlock(250, 100, 5, 5, SPACING));
+    doc.params.periodicY = true;
+    const sim = solverWith(doc);
+    sim.advance(150);
+    const p = sim.particles();
+    assert.equal(p.count, 25);
+    assert.ok(mean(Array.from(p.vy)) > 500, 'the water landed on the floor');
+    for (let i = 0; i < p.count; i++) {
+        assert.ok(p.x[i] >= 0 && p.x[i] <= W, `particle ${i} through a side wall`);
+    }
+});
+
+test('periodic axes survive scenes and snapshots', () => {
+    const doc = waterLayer(W, H, 5, 2);
+    doc.params.periodicX = true;
+    const sim = solverWith(doc);
+    sim.post({ type: 'getScene', includeParticles: false });
+    const params = sim.reply('scene').scene.params;
+    assert.deepEqual([params.periodicX, params.periodicY], [true, false]);
+
+    sim.post({ type: 'snapshot' });
+    const snapshot = sim.reply('snapshot').snapshot;
+    sim.post({ type: 'params', periodicX: false, periodicY: true });
+    sim.post({ type: 'restore', snapshot });
+    assert.equal(sim.run('[periodicX, periodicY].join()'), 'true,false');
+
+    // Older scenes without the flags load with closed walls
+    const closed = solverWith(waterLayer(W, H, 5, 2));
+    assert.equal(closed.run('[periodicX, periodicY].join()'), 'false,false');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 400, H = 400, SPACING = 18.5;
+const MERCURY = 3;
+
+// A layer of `topPhase` poured on a layer of water, 160 particles each
+function layers(topPhase, solver) {
+    const bottom = fluidBlock(20, H - 20 - 7 * SPACING, 20, 8, SPACING);
+    const top = fluidBlock(20, H - 20 - 15 * SPACING, 20, 8, SPACING);
+    const particles = {
+        count: top.count + bottom.count,
+        x: [...top.x, ...bottom.x], y: [...top.y, ...bottom.y],
+        vx: [...top.vx, ...bottom.vx], vy: [...top.vy, ...bottom.vy],
+        phase: [...top.x.map(() => topPhase), ...bottom.x.map(() => 0)]
+    };
+    const doc = scene(W, H, particles);
+    doc.params.solver = solver;
+    return solverWith(doc);
+}
+
+function meanDepths(solver) {
+    const phase = solver.run('p_phase.slice(0, particleCount)');
+    const p = solver.particles();
+    const water = [], other = [];
+    for (let i = 0; i < p.count; i++) (phase[i] === 0 ? water : other).push(p.y[i]);
+    return { water: mean(water), other: mean(other) };
+}
+
+for (const solver of ['ddr', 'pbf']) {
+    test(`heavy phase sinks below water (${solver})`, () => {
+        const sim = layers(MERCURY, solver);
+        const before = meanDepths(sim);
+        assert.ok(before.other < before.water);
+        sim.advance(300);
+        const after = meanDepths(sim);
+        assert.ok(after.other > after.water + 20, `mercury at ${after.other.toFixed(0)}, water at ${after.water.toFixed(0)}`);
+    });
+}
+
+test('phases survive a scene round trip', () => {
+    const sim = layers(MERCURY, 'ddr');
+    sim.post({ type: 'params', phases: [null, { viscosity: 55 }] });
+    sim.post({ type: 'getScene', includeParticles: true });
+    const doc = sim.reply('scene').scene;
+    assert.equal(doc.params.phases[1].viscosity, 55);
+
+    const copy = solverWith(doc);
+    assert.deepEqual(Array.from(copy.run('p_phase.slice(0, particleCount)')), Array.from(doc.particles.phase));
+    assert.equal(copy.run('phases[1].viscosity'), 55);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 600, H = 400, SPACING = 18.5;
+
+// Weightless 12 x 12 block centred on (300, 200)
+function floating() {
+    const doc = scene(W, H, fluidBlock(300 - 5.5 * SPACING, 200 - 5.5 * SPACING, 12, 12, SPACING));
+    doc.params.gravity = 0;
+    return solverWith(doc);
+}
+
+test('the wind blows along the drag direction', () => {
+    const blow = (dir) => {
+        const sim = floating();
+        sim.post({ type: 'tool', tool: 'wind', strength: 800 });
+        sim.post({ type: 'mouse', x: 300, y: 200, active: true, ...dir });
+        sim.advance(5);
+        const p = sim.particles();
+        return { vx: mean(Array.from(p.vx)), vy: mean(Array.from(p.vy)) };
+    };
+    const right = blow({});
+    assert.ok(right.vx > 30 && Math.abs(right.vy) < 5, `default wind ${right.vx.toFixed(1)}, ${right.vy.toFixed(1)}`);
+    const up = blow({ dirX: 0, dirY: -1 });
+    assert.ok(up.vy < -30 && Math.abs(up.vx) < 5, `upward wind ${up.vx.toFixed(1)}, ${up.vy.toFixed(1)}`);
+});
+
+test('each tool keeps its own radius and the worker uses it', () => {
+    const cleared = (radius) => {
+        const sim = floating();
+        sim.post({ type: 'tool', tool: 'push', radius });
+        sim.post({ type: 'tool', tool: 'vortex', radius: 300 });
+        sim.post({ type: 'tool', tool: 'push' });
+        sim.post({ type: 'mouse', x: 300, y: 200, active: true });
+        sim.advance(1);
+        const p = sim.particles();
+        return Math.min(...Array.from(p.x, (x, i) => Math.hypot(x - 300, p.y[i] - 200)));
+    };
+    assert.ok(cleared(45) < 60);
+    assert.ok(cleared(90) > 85);
+
+    const sim = floating();
+    sim.post({ type: 'tool', tool: 'attractor', radius: 70 });
+    sim.run('restoreSnapshot(captureSnapshot())');
+    assert.deepEqual(Array.from(sim.run('[toolRadii.attractor, toolRadii.push]')), [70, 45]);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSolver } = require('../headless/solver-context.js');
+const { scene, fluidBlock } = require('./helpers/scenes.js');
+
+const LISTS = ['emitters', 'drains', 'walls', 'portals', 'rigidBodies', 'forceFields'];
+
+function load(doc) {
+    const sim = createSolver({ width: 800, height: 600 });
+    sim.post({ type: 'loadScene', scene: doc });
+    return sim;
+}
+
+test('minimal scenes load and echo a complete object layout', () => {
+    const sim = load({ format: 'sph-scene', version: 1 });
+    assert.equal(sim.reply('sceneError'), null);
+    const echoed = sim.reply('sceneLoaded').scene;
+    for (const name of LISTS) assert.ok(Array.isArray(echoed[name]), `${name} is not a list`);
+    assert.deepEqual([echoed.width, echoed.height], [800, 600]);
+    assert.equal(echoed.particles, null);
+});
+
+test('the domain takes the size of the loaded scene', () => {
+    const sim = load(scene(400, 300, fluidBlock(20, 200, 5, 5, 18.5)));
+    assert.equal(sim.run('`${width} x ${height}`'), '400 x 300');
+    assert.deepEqual([sim.reply('sceneLoaded').scene.width, sim.reply('sceneLoaded').scene.height], [400, 300]);
+    sim.advance(60);
+    const p = sim.particles();
+    for (let i = 0; i < p.count; i++) {
+        assert.ok(p.x[i] <= 400 && p.y[i] <= 300, `particle ${i} outside the 400 x 300 domain`);
+    }
+
+    const bad = load(scene(-5, 300, fluidBlock(20, 200, 5, 5, 18.5)));
+    assert.match(bad.reply('sceneError').message, /Invalid scene size/);
+    assert.equal(bad.run('`${width} x ${height}`'), '800 x 600');
+});
+
+test('a malformed scene is rejected before anything changes', () => {
+    const doc = scene(400, 300, fluidBlock(20, 200, 5, 5, 18.5));
+    doc.params.gravity = 0;
+    delete doc.particles.vy;
+    const before = createSolver({ width: 800, height: 600 }).run('[particleCount, GRAVITY_Y].join()');
+    const sim = load(doc);
+    assert.match(sim.reply('sceneError').message, /Invalid scene particles: vy/);
+    assert.equal(sim.run('`${width} x ${height}`'), '800 x 600');
+    assert.equal(sim.run('[particleCount, GRAVITY_Y].join()'), before);
+    assert.equal(sim.reply('sceneLoaded'), null);
+});
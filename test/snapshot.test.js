@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 500, H = 400;
+const FRAMES = 20;
+
+// The solver runs in its own realm: typed arrays and objects become plain
+// ones so that deepEqual compares values only
+function plain(value) {
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (Array.isArray(value)) return value.map(plain);
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const key of Object.keys(value)) out[key] = plain(value[key]);
+        return out;
+    }
+    return value;
+}
+
+function state(solver) {
+    solver.post({ type: 'snapshot' });
+    return plain(solver.reply('snapshot').snapshot);
+}
+
+// Snapshot, run FRAMES, restore, run FRAMES again: both runs must end in the
+// same state, particle arrays, foam, bodies, boat and RNG included
+function assertRoundTrip(solver) {
+    solver.post({ type: 'snapshot' });
+    const snapshot = solver.reply('snapshot').snapshot;
+    solver.advance(FRAMES);
+    const first = state(solver);
+    solver.post({ type: 'restore', snapshot });
+    solver.advance(FRAMES);
+    const second = state(solver);
+
+    assert.ok(first.foamCount > 0, 'no foam to compare');
+    for (const name in first.particles) {
+        assert.deepEqual(second.particles[name], first.particles[name], `particle ${name} diverged`);
+    }
+    assert.deepEqual(second.foam, first.foam);
+    assert.deepEqual(second.rigidBodies, first.rigidBodies);
+    assert.deepEqual(second.boat, first.boat);
+    assert.equal(second.rngState, first.rngState);
+    assert.deepEqual(second, first);
+}
+
+// A block dropped into a tank, splashing hard enough to spawn foam
+function splashingScene(extra) {
+    return scene(W, H, fluidBlock(150, 60, 12, 12, 18.5), extra);
+}
+
+test('a restored snapshot runs on exactly like the original', () => {
+    const solver = solverWith(splashingScene());
+    solver.advance(15);
+    assertRoundTrip(solver);
+});
+
+test('a restored snapshot runs on exactly with bodies, a boat and explosions', () => {
+    const solver = solverWith(splashingScene({
+        rigidBodies: [
+            { id: 1, shapeType: 'circle', x: 120, y: 200, radius: 20 },
+            { id: 2, shapeType: 'box', x: 380, y: 220, halfW: 25, halfH: 15 }
+        ]
+    }));
+    solver.advance(15);
+    solver.post({ type: 'placeBoat', x: 250, y: 250 });
+    solver.post({ type: 'boatKeys', up: true, right: true });
+    solver.post({ type: 'explosion', x: 250, y: 330 });
+    solver.advance(1);
+    assert.ok(solver.run('explosions.length') > 0, 'the explosion already ended');
+    assertRoundTrip(solver);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, solverWith } = require('./helpers/scenes.js');
+
+const W = 400, H = 400;
+const EMPTY = { count: 0, x: [], y: [], vx: [], vy: [] };
+
+// 100 x 95 px block whose bottom edge starts `drop` px above the floor
+function droppedSolid(material, drop, extra = {}) {
+    const sim = solverWith(scene(W, H, EMPTY, extra));
+    sim.post({ type: 'addSolid', x1: 150, y1: H - 30 - drop - 95, x2: 250, y2: H - 30 - drop, material });
+    return sim;
+}
+
+const extent = (sim) => {
+    const p = sim.particles();
+    const xs = Array.from(p.x), ys = Array.from(p.y);
+    return { w: Math.max(...xs) - Math.min(...xs), h: Math.max(...ys) - Math.min(...ys) };
+};
+const bondCount = (sim) => sim.run('bondCount');
+
+test('the solid tool fills the rectangle with a bonded lattice', () => {
+    const sim = droppedSolid('jelly', 100);
+    const count = sim.run('particleCount');
+    assert.equal(count, 36);
+    // 6 x 6 lattice: 2 * 6 * 5 sides plus 2 * 5 * 5 diagonals
+    assert.equal(bondCount(sim), 110);
+    assert.ok(Array.from(sim.run('p_material.slice(0, particleCount)')).every(m => m === 1));
+});
+
+test('jelly bounces back to its shape after a fall', () => {
+    const sim = droppedSolid('jelly', 250);
+    sim.advance(150);
+    const { w, h } = extent(sim);
+    assert.equal(bondCount(sim), 110);
+    assert.ok(Math.abs(w - 95) < 10 && Math.abs(h - 95) < 10, `${w.toFixed(0)} x ${h.toFixed(0)}`);
+});
+
+test('snow holds when set down, crumbles on impact and packs when pressed', () => {
+    const gentle = droppedSolid('snow', 0);
+    gentle.advance(100);
+    assert.equal(bondCount(gentle), 110);
+    assert.ok(extent(gentle).h > 85);
+
+    const dropped = droppedSolid('snow', 150);
+    dropped.advance(100);
+    assert.ok(bondCount(dropped) < 110);
+    assert.ok(extent(dropped).h < 70);
+
+    // Loose snow pressed closer than the lattice spacing bonds again
+    const x = [], y = [];
+    for (let r = 0; r < 4; r++) for (let c = 0; c < 6; c++) { x.push(150 + c * 17); y.push(H - 30 - r * 17); }
+    const loose = solverWith(scene(W, H, { count: x.length, x, y, vx: x.map(() => 0), vy: x.map(() => 0), material: x.map(() => 2) }));
+    assert.equal(bondCount(loose), 0);
+    loose.advance(1);
+    assert.ok(bondCount(loose) > 20);
+});
+
+test('mud keeps the shape it is squashed into', () => {
+    const sim = droppedSolid('mud', 150);
+    sim.advance(150);
+    const { h } = extent(sim);
+    assert.ok(h < 75, `height ${h.toFixed(0)}`);
+    // Deformed plastically rather than torn apart
+    assert.ok(bondCount(sim) >= 100);
+    const strain = sim.run(`(() => {
+        let max = 0;
+        for (let b = 0; b < bondCount; b++) {
+            const r = Math.hypot(p_x[bondB[b]] - p_x[bondA[b]], p_y[bondB[b]] - p_y[bondA[b]]);
+            max = Math.max(max, Math.abs(r - bondRest[b]) / bondRest[b]);
+        }
+        return max;
+    })()`);
+    assert.ok(strain < 0.2, `largest strain ${strain.toFixed(3)}`);
+});
+
+test('drains cut bonds cleanly and bonds survive a scene round trip', () => {
+    const sim = droppedSolid('jelly', 100, { drains: [{ x: 160, y: H - 40, radius: 25 }] });
+    sim.advance(80);
+    const count = sim.run('particleCount');
+    assert.ok(count < 36);
+
+    const bonds = sim.run(`Array.from({ length: bondCount }, (_, b) => [
+        bondA[b], bondB[b], bondRest[b], Math.hypot(p_x[bondB[b]] - p_x[bondA[b]], p_y[bondB[b]] - p_y[bondA[b]])
+    ])`);
+    assert.ok(bonds.length > 0 && bonds.length < 110);
+    for (const [a, b, rest, r] of bonds) {
+        assert.ok(a < count && b < count && a !== b);
+        // Still between lattice neighbours: no bond was redirected to the wrong particle
+        assert.ok(Math.abs(r - rest) < rest * 0.3, `bond ${a}-${b} at ${r.toFixed(1)} for ${rest.toFixed(1)}`);
+    }
+
+    sim.post({ type: 'getScene', includeParticles: true });
+    const saved = sim.reply('scene').scene;
+    const copy = solverWith(saved);
+    assert.equal(bondCount(copy), bonds.length);
+    assert.deepEqual(Array.from(copy.run('bondA.slice(0, bondCount)')), Array.from(saved.bonds.a));
+    assert.deepEqual(Array.from(copy.run('p_material.slice(0, particleCount)')), Array.from(saved.particles.material));
+});
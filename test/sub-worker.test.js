@@ -0,0 +1,324 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSubWorker } = require('../headless/solver-context.js');
+const { scene, fluidBlock, solverWith } = require('./helpers/scenes.js');
+
+const W = 600, H = 400;
+const SLICES = 3;
+
+// A splashing state with plenty of neighbours and wall contacts, all phases
+// mixed and temperature and dye gradients across the block
+function splashingSolver() {
+    const block = fluidBlock(20, H - 20 - 19 * 18.9, 15, 20, 18.9);
+    block.phase = block.x.map((_, i) => i % 4);
+    block.temperature = block.x.map(x => 5 + x / 10);
+    block.dyeR = block.x.map(x => x / W);
+    block.dyeG = block.y.map(y => y / H);
+    block.dyeB = block.x.map((_, i) => i % 2);
+    const solver = solverWith(scene(W, H, block));
+    solver.advance(30);
+    return solver;
+}
+
+// Points a sub-worker at copies of the coordinator's inputs, like the shared buffer would
+function attachSubWorker(solver) {
+    const sub = loadSubWorker();
+    sub.context.input = solver.run(`({
+        x: p_x, y: p_y, vx: p_vx, vy: p_vy,
+        density: p_density.slice(), nearDensity: p_nearDensity.slice(),
+        pressure: p_pressure.slice(), nearPressure: p_nearPressure.slice(),
+        cellHead: cellHead.slice(), particleNext: particleNext.slice(), phase: p_phase.slice(),
+        temperature: p_temperature.slice(),
+        dyeR: p_dyeR.slice(), dyeG: p_dyeG.slice(), dyeB: p_dyeB.slice(),
+        viscosity: p_viscosity.slice(),
+        params: (updatePhaseTable(), updateSharedParams(), sharedParams.slice()),
+        frozen: p_frozen.slice(), teleportCD: p_teleportCD.slice(),
+        tables: sharedTables.slice(), reduceFloats: REDUCE_STRIDE,
+        tableBase: { walls: WALL_TABLE, portals: PORTAL_TABLE, explosions: EXPLOSION_TABLE, drains: DRAIN_TABLE, bodies: BODY_TABLE, fields: FIELD_TABLE },
+        count: particleCount, cols, rows
+    })`);
+    sub.run(`
+        s_x = input.x.slice(); s_y = input.y.slice(); s_vx = input.vx.slice(); s_vy = input.vy.slice();
+        s_fx = new Float32Array(input.x.length); s_fy = new Float32Array(input.x.length);
+        s_density = input.density; s_nearDensity = input.nearDensity;
+        s_pressure = input.pressure; s_nearPressure = input.nearPressure;
+        s_cellHead = input.cellHead; s_particleNext = input.particleNext;
+        s_phase = input.phase; s_params = input.params;
+        s_temperature = input.temperature; s_heat = new Float32Array(input.x.length);
+        s_dyeR = input.dyeR; s_dyeG = input.dyeG; s_dyeB = input.dyeB;
+        s_dyeRateR = new Float32Array(input.x.length);
+        s_dyeRateG = new Float32Array(input.x.length);
+        s_dyeRateB = new Float32Array(input.x.length);
+        s_viscosity = input.viscosity;
+        s_frozen = input.frozen; s_flags = new Uint8Array(input.x.length); s_teleportCD = input.teleportCD;
+        s_tables = input.tables; tableBase = input.tableBase; s_reduce = new Float32Array(input.reduceFloats);
+        s_neighbours = new Uint8Array(input.x.length);
+    `);
+    return sub;
+}
+
+// Runs fn over every slice; `args` follow start and end (the grid size by default).
+// Returns each slice's partial sums.
+function runSlices(sub, fn, args) {
+    const { count, cols, rows } = sub.context.input;
+    const size = Math.ceil(count / SLICES);
+    const partials = [];
+    for (let w = 0; w < SLICES; w++) {
+        sub.run(`${fn}(${w * size}, ${Math.min((w + 1) * size, count)}, ${args || `${cols}, ${rows}`})`);
+        partials.push(Array.from(sub.run('s_reduce')));
+    }
+    return partials;
+}
+
+// Sub-worker starting from the coordinator's forces (before the stage under test)
+function attachWithForces(solver) {
+    const sub = attachSubWorker(solver);
+    sub.context.forces = solver.run('({ fx: p_fx.slice(), fy: p_fy.slice() })');
+    sub.run('s_fx = forces.fx; s_fy = forces.fy');
+    return sub;
+}
+
+function assertClose(actual, expected, tolerance, label) {
+    for (let i = 0; i < expected.length; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance, `${label} ${i}: ${actual[i]} vs ${expected[i]}`);
+    }
+}
+
+const maxAbs = (values) => Math.max(...Array.from(values, Math.abs));
+
+test('density slices match computeDensityPressure', () => {
+    for (const rheology of [{ rheology: 'power', flowIndex: 0.4 }, { rheology: 'bingham', yieldStress: 300 }]) {
+        const solver = splashingSolver();
+        solver.post({ type: 'params', ...rheology });
+        solver.run('updateGrid(); computeDensityPressure()');
+        const sub = attachSubWorker(solver);
+        sub.run('s_viscosity = new Float32Array(s_viscosity.length)');
+        runSlices(sub, 'computeDensitySlice');
+
+        const expected = solver.run('({ d: p_density.slice(0, particleCount), p: p_pressure.slice(0, particleCount), np: p_nearPressure.slice(0, particleCount), v: p_viscosity.slice(0, particleCount) })');
+        const actual = sub.run('({ d: s_density, p: s_pressure, np: s_nearPressure, v: s_viscosity, n: s_neighbours })');
+        const { x, y } = sub.context.input;
+        for (let i = 0; i < expected.d.length; i++) {
+            let neighbours = 0;
+            for (let j = 0; j < expected.d.length; j++) {
+                if (j !== i && (x[j] - x[i]) ** 2 + (y[j] - y[i]) ** 2 < 35 * 35) neighbours++;
+            }
+            assert.equal(actual.n[i], neighbours, `neighbours of particle ${i}`);
+            assert.equal(actual.d[i], expected.d[i], `density of particle ${i}`);
+            assert.equal(actual.p[i], expected.p[i], `pressure of particle ${i}`);
+            assert.equal(actual.np[i], expected.np[i], `near pressure of particle ${i}`);
+            // The flow index and yield stress go through the Float32 parameter block
+            assert.ok(Math.abs(actual.v[i] - expected.v[i]) <= expected.v[i] * 1e-5, `${rheology.rheology} viscosity of particle ${i}: ${actual.v[i]} vs ${expected.v[i]}`);
+        }
+    }
+});
+
+test('force slices match computeForces', () => {
+    const solver = splashingSolver();
+    solver.run('updateGrid(); computeDensityPressure(); computeForces()');
+    const sub = attachSubWorker(solver);
+    runSlices(sub, 'computeForcesSlice');
+
+    const expected = solver.run('({ fx: p_fx.slice(0, particleCount), fy: p_fy.slice(0, particleCount), heat: p_heat.slice(0, particleCount) })');
+    const actual = sub.run('({ fx: s_fx, fy: s_fy, heat: s_heat })');
+    // Summation order and the Float32 neighbour cache differ slightly between the paths
+    let scale = 0, heatScale = 0;
+    for (let i = 0; i < expected.fx.length; i++) {
+        scale = Math.max(scale, Math.abs(expected.fx[i]), Math.abs(expected.fy[i]));
+        heatScale = Math.max(heatScale, Math.abs(expected.heat[i]));
+    }
+    assert.ok(heatScale > 0);
+    const tolerance = scale * 1e-4;
+    for (let i = 0; i < expected.fx.length; i++) {
+        assert.ok(Math.abs(actual.fx[i] - expected.fx[i]) <= tolerance, `fx of particle ${i}: ${actual.fx[i]} vs ${expected.fx[i]}`);
+        assert.ok(Math.abs(actual.fy[i] - expected.fy[i]) <= tolerance, `fy of particle ${i}: ${actual.fy[i]} vs ${expected.fy[i]}`);
+        assert.ok(Math.abs(actual.heat[i] - expected.heat[i]) <= heatScale * 1e-4, `heat of particle ${i}: ${actual.heat[i]} vs ${expected.heat[i]}`);
+    }
+
+    const expectedDye = solver.run('[p_dyeRateR, p_dyeRateG, p_dyeRateB].map(a => a.slice(0, particleCount))');
+    const actualDye = sub.run('[s_dyeRateR, s_dyeRateG, s_dyeRateB]');
+    for (let c = 0; c < 3; c++) {
+        for (let i = 0; i < expectedDye[c].length; i++) {
+            assert.ok(Math.abs(actualDye[c][i] - expectedDye[c][i]) <= 1e-5, `dye rate ${c} of particle ${i}: ${actualDye[c][i]} vs ${expectedDye[c][i]}`);
+        }
+    }
+});
+
+// Coordinator and sub-worker both at the start of the PBF projection
+function projectingSolver() {
+    const solver = splashingSolver();
+    solver.post({ type: 'params', solver: 'pbf' });
+    solver.run('updateGrid(); computeDensityPressure(); clearPressures(); computeForces(); predictPositions()');
+    const sub = attachSubWorker(solver);
+    sub.context.predicted = solver.run('({ fx: p_fx.slice(), fy: p_fy.slice() })');
+    sub.run('s_fx = predicted.fx; s_fy = predicted.fy');
+    return { solver, sub };
+}
+
+test('PBF lambda slices match computeConstraintLambdas', () => {
+    const { solver, sub } = projectingSolver();
+    solver.run('computeConstraintLambdas()');
+    runSlices(sub, 'computeLambdaSlice');
+
+    const expected = solver.run('({ d: p_density.slice(0, particleCount), l: p_nearDensity.slice(0, particleCount) })');
+    const actual = sub.run('({ d: s_density, l: s_nearDensity })');
+    for (let i = 0; i < expected.d.length; i++) {
+        assert.equal(actual.d[i], expected.d[i], `density of particle ${i}`);
+        assert.equal(actual.l[i], expected.l[i], `lambda of particle ${i}`);
+    }
+});
+
+test('PBF correction slices match computePositionCorrections', () => {
+    const { solver, sub } = projectingSolver();
+    solver.run('computeConstraintLambdas()');
+    runSlices(sub, 'computeLambdaSlice');
+    solver.run('computePositionCorrections()');
+    runSlices(sub, 'computeCorrectionSlice');
+
+    const expected = solver.run('({ cx: p_pressure.slice(0, particleCount), cy: p_nearPressure.slice(0, particleCount) })');
+    const actual = sub.run('({ cx: s_pressure, cy: s_nearPressure })');
+    for (let i = 0; i < expected.cx.length; i++) {
+        assert.equal(actual.cx[i], expected.cx[i], `x correction of particle ${i}`);
+        assert.equal(actual.cy[i], expected.cy[i], `y correction of particle ${i}`);
+    }
+});
+
+test('wall slices match applyCustomWallForces', () => {
+    const solver = splashingSolver();
+    solver.post({ type: 'addWall', x1: 60, y1: 150, x2: 260, y2: 330, thickness: 10 });
+    solver.post({ type: 'addWall', x1: 200, y1: 380, x2: 320, y2: 380 });
+    solver.run('updateGrid(); computeDensityPressure(); computeForces(); writeWallTable()');
+    const sub = attachWithForces(solver);
+    const before = solver.run('p_fx.slice(0, particleCount)');
+    solver.run('applyCustomWallForces()');
+    runSlices(sub, 'computeWallSlice', 2);
+
+    const expected = solver.run('({ fx: p_fx.slice(0, particleCount), fy: p_fy.slice(0, particleCount) })');
+    const actual = sub.run('({ fx: s_fx, fy: s_fy })');
+    assert.ok(Array.from(expected.fx).some((fx, i) => fx !== before[i]), 'no particle touches the walls');
+    const tolerance = Math.max(maxAbs(expected.fx), maxAbs(expected.fy)) * 1e-5;
+    assertClose(actual.fx, expected.fx, tolerance, 'fx of particle');
+    assertClose(actual.fy, expected.fy, tolerance, 'fy of particle');
+});
+
+test('rigid body slices and their summed reactions match applyRigidBodyContacts', () => {
+    const solver = splashingSolver();
+    solver.post({ type: 'addRigidBody', id: 1, x: 90, y: 300, shapeType: 'box', halfW: 40, halfH: 18 });
+    solver.post({ type: 'addRigidBody', id: 2, x: 180, y: 340, shapeType: 'circle', radius: 30 });
+    solver.post({ type: 'addRigidBody', id: 3, x: 250, y: 300, shapeType: 'triangle', localVerts: [{ x: -35, y: -15 }, { x: 35, y: -15 }, { x: 0, y: 30 }] });
+    // Moving and turned, so every term of the contact model shows up
+    solver.run('rigidBodies.forEach((b, k) => { b.angle = 0.4 + k; b.omega = 1.5; b.vx = 30; b.vy = -20; })');
+    solver.run('updateGrid(); computeDensityPressure(); computeForces(); writeBodyTable()');
+    const sub = attachWithForces(solver);
+    solver.run('applyRigidBodyContacts()');
+    const partials = runSlices(sub, 'computeBodySlice', 3);
+
+    const expected = solver.run('({ fx: p_fx.slice(0, particleCount), fy: p_fy.slice(0, particleCount) })');
+    const actual = sub.run('({ fx: s_fx, fy: s_fy })');
+    // Body positions go through the Float32 table
+    const scale = Math.max(maxAbs(expected.fx), maxAbs(expected.fy));
+    assertClose(actual.fx, expected.fx, scale * 1e-4, 'fx of particle');
+    assertClose(actual.fy, expected.fy, scale * 1e-4, 'fy of particle');
+
+    const bodies = solver.run(`rigidBodies.map((b, k) => [b.fx - GRAVITY_X * b.mass, b.fy - GRAVITY_Y * b.mass, b.torque, bodySubmerged[k]])`);
+    for (let b = 0; b < bodies.length; b++) {
+        const sums = [0, 1, 2, 3].map(k => partials.reduce((sum, row) => sum + row[2 + b * 4 + k], 0));
+        assert.ok(sums[3] > 0, `body ${b} is out of the water`);
+        assert.equal(sums[3], bodies[b][3], `submerged count of body ${b}`);
+        const forceScale = Math.max(Math.abs(bodies[b][0]), Math.abs(bodies[b][1]));
+        assert.ok(Math.abs(sums[0] - bodies[b][0]) <= forceScale * 1e-3, `fx of body ${b}: ${sums[0]} vs ${bodies[b][0]}`);
+        assert.ok(Math.abs(sums[1] - bodies[b][1]) <= forceScale * 1e-3, `fy of body ${b}: ${sums[1]} vs ${bodies[b][1]}`);
+        assert.ok(Math.abs(sums[2] - bodies[b][2]) <= Math.abs(bodies[b][2]) * 1e-3 + forceScale * 1e-2, `torque of body ${b}: ${sums[2]} vs ${bodies[b][2]}`);
+    }
+});
+
+test('integration slices match integrateSlice, flags included', () => {
+    const solver = splashingSolver();
+    solver.post({ type: 'addPortalPair', p1x: 120, p1y: 330, p2x: 500, p2y: 100, radius: 30 });
+    solver.post({ type: 'addDrain', x: 250, y: 360, radius: 30 });
+    solver.post({ type: 'addDrain', shape: 'outflow', side: 'left', from: 250, to: 400 });
+    solver.post({ type: 'tool', tool: 'push', strength: 500, radius: 60 });
+    solver.post({ type: 'mouse', x: 60, y: 350, active: true });
+    solver.post({ type: 'explosion', x: 200, y: 300 });
+    solver.post({ type: 'freezeAt', x: 300, y: 250, radius: 40 });
+    const fields = ['directional', 'radial', 'vortex', 'turbulence'];
+    fields.forEach((type, k) => solver.post({
+        type: 'addForceField', fieldType: type, x: 100 + k * 120, y: 320, radius: 150,
+        strength: 800, falloff: ['none', 'linear', 'smooth', 'linear'][k], angle: -0.5
+    }));
+    solver.run(`forceFields[3].age = 1.3;
+        updateGrid(); computeDensityPressure(); computeForces(); explosions[0].age = 0.1;
+        updateDrains(stepDt); writeDrainTable(); writeIntegrationTables()`);
+    const sub = attachWithForces(solver);
+    const clamps = solver.run('speedClampCount = 0; integrateSlice(0, particleCount); speedClampCount');
+    const partials = runSlices(sub, 'integrateSlice', '1, 1, 2, 4');
+    assert.equal(partials.reduce((sum, row) => sum + row[0], 0), clamps);
+
+    const expected = solver.run(`({ x: p_x.slice(0, particleCount), y: p_y.slice(0, particleCount),
+        vx: p_vx.slice(0, particleCount), vy: p_vy.slice(0, particleCount),
+        cd: p_teleportCD.slice(0, particleCount), flags: p_flags.slice(0, particleCount) })`);
+    const actual = sub.run('({ x: s_x, y: s_y, vx: s_vx, vy: s_vy, cd: s_teleportCD, flags: s_flags })');
+    const flags = Array.from(expected.flags);
+    for (const bit of [1, 4, 8]) assert.ok(flags.some(f => f & bit), `no particle has flag ${bit}`);
+    assert.ok(Array.from(expected.cd).some(cd => cd > 0), 'no particle went through the portal');
+    assert.deepEqual(Array.from(actual.flags).slice(0, flags.length), flags);
+    // The explosion strength is scaled by its age in the Float32 table
+    assertClose(actual.x, expected.x, 1e-3, 'x of particle');
+    assertClose(actual.y, expected.y, 1e-3, 'y of particle');
+    assertClose(actual.vx, expected.vx, 1e-2, 'vx of particle');
+    assertClose(actual.vy, expected.vy, 1e-2, 'vy of particle');
+    assertClose(actual.cd, expected.cd, 1e-6, 'teleport cooldown of particle');
+});
+
+test('slices wrap the neighbour search and positions on periodic axes', () => {
+    // A current across the whole width, so pairs straddle the seam
+    const doc = scene(W, H, fluidBlock(W / 64, H - 20 - 7 * W / 32, 32, 8, W / 32));
+    doc.params.gravityX = 800;
+    doc.params.periodicX = true;
+    const solver = solverWith(doc);
+    solver.advance(5);
+    solver.run('updateGrid(); computeDensityPressure(); computeForces()');
+    const sub = attachSubWorker(solver);
+    const { cols, rows } = sub.context.input;
+    sub.run(`setPeriods(${cols}, ${rows})`);
+    assert.equal(sub.run('[periodX, cellW].join()'), `${W},${W / cols}`);
+    runSlices(sub, 'computeDensitySlice');
+    runSlices(sub, 'computeForcesSlice');
+
+    const expected = solver.run('({ d: p_density.slice(0, particleCount), fx: p_fx.slice(0, particleCount), fy: p_fy.slice(0, particleCount) })');
+    const actual = sub.run('({ d: s_density, fx: s_fx, fy: s_fy })');
+    assertClose(actual.d, expected.d, 1e-5, 'density of particle');
+    const scale = Math.max(maxAbs(expected.fx), maxAbs(expected.fy));
+    assertClose(actual.fx, expected.fx, scale * 1e-4, 'fx of particle');
+    assertClose(actual.fy, expected.fy, scale * 1e-4, 'fy of particle');
+
+    solver.run('writeIntegrationTables(); integrateSlice(0, particleCount)');
+    runSlices(sub, 'integrateSlice', '0, 0, 0, 0');
+    const x = solver.run('p_x.slice(0, particleCount)');
+    assert.ok(Array.from(x).every(v => v >= 0 && v <= W));
+    assertClose(sub.run('s_x'), x, 1e-3, 'x of particle');
+});
+
+test('slices cover the particles with about the same neighbour count each', () => {
+    const solver = splashingSolver();
+    const count = solver.run('particleCount');
+    for (const workers of [2, 3, 7]) {
+        // Crowded first half, then sparse, then a few brand new particles
+        const bounds = Array.from(solver.run(`(() => {
+            numSubWorkers = ${workers};
+            for (let i = 0; i < particleCount; i++) p_neighbours[i] = i < particleCount / 2 ? 30 : i < particleCount - 20 ? 4 : 0;
+            balanceSlices();
+            return control.slice(CTRL_SLICES, CTRL_SLICES + numSubWorkers + 1);
+        })()`));
+        assert.equal(bounds[0], 0);
+        assert.equal(bounds[workers], count);
+        const weights = solver.run('Array.from(p_neighbours.slice(0, particleCount), n => 1 + n)');
+        const total = weights.reduce((a, b) => a + b, 0);
+        for (let w = 0; w < workers; w++) {
+            assert.ok(bounds[w + 1] >= bounds[w]);
+            let load = 0;
+            for (let i = bounds[w]; i < bounds[w + 1]; i++) load += weights[i];
+            assert.ok(Math.abs(load - total / workers) <= 31, `${workers} workers: slice ${w} weighs ${load} of ${total}`);
+        }
+    }
+});
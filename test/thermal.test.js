@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scene, fluidBlock, solverWith, mean } = require('./helpers/scenes.js');
+
+const W = 400, H = 400, SPACING = 18.5;
+
+function waterPool(extraParams = {}) {
+    const block = fluidBlock(20, H - 20 - 9 * SPACING, 20, 10, SPACING);
+    const doc = scene(W, H, block);
+    Object.assign(doc.params, extraParams);
+    return doc;
+}
+
+const temperatures = (sim) => sim.run('p_temperature.slice(0, particleCount)');
+const frozenCount = (sim) => sim.run('p_frozen.slice(0, particleCount).reduce((a, b) => a + b, 0)');
+
+test('heat diffuses from the hot half to the cold half', () => {
+    const doc = waterPool({ cooling: 0, conduction: 10 });
+    doc.particles.temperature = doc.particles.x.map(x => x < W / 2 ? 80 : 20);
+    const sim = solverWith(doc);
+    sim.advance(200);
+
+    const t = temperatures(sim);
+    const hot = [], cold = [];
+    for (let i = 0; i < t.length; i++) (doc.particles.temperature[i] > 50 ? hot : cold).push(t[i]);
+    assert.ok(mean(hot) < 75 && mean(cold) > 25, `hot half at ${mean(hot).toFixed(1)}, cold half at ${mean(cold).toFixed(1)}`);
+    // Without cooling to the air the heat only moves around
+    assert.ok(Math.abs(mean(t) - 50) < 0.5, `mean temperature ${mean(t).toFixed(2)}`);
+});
+
+test('lava cools into rock', () => {
+    const doc = waterPool({ viscosity: 300, cooling: 0.5, phases: [{ temperature: 1200, meltPoint: 700 }] });
+    const sim = solverWith(doc);
+    assert.equal(temperatures(sim)[0], 1200);
+    assert.equal(frozenCount(sim), 0);
+
+    sim.advance(150);
+    assert.ok(Math.max(...temperatures(sim)) < 700);
+    assert.equal(frozenCount(sim), doc.particles.count);
+
+    // Heating it back above the melting point thaws it
+    sim.post({ type: 'thawAt', x: W / 2, y: H - 60, radius: 60 });
+    sim.advance(1);
+    assert.ok(frozenCount(sim) < doc.particles.count);
+});
+
+test('ice melts in warm water', () => {
+    const sim = solverWith(waterPool({ conduction: 10 }));
+    sim.post({ type: 'freezeAt', x: W / 2, y: H - 100, radius: 50 });
+    const frozen = frozenCount(sim);
+    assert.ok(frozen > 10);
+    assert.ok(Math.max(...temperatures(sim).filter(t => t < 0)) <= -30);
+
+    sim.advance(50);
+    assert.ok(frozenCount(sim) < frozen);
+    sim.advance(100);
+    assert.equal(frozenCount(sim), 0);
+});
+
+test('temperatures survive a scene round trip', () => {
+    const doc = waterPool({ ambientTemp: 5 });
+    doc.particles.temperature = doc.particles.x.map((_, i) => 10 + i % 7);
+    const sim = solverWith(doc);
+    sim.post({ type: 'getScene', includeParticles: true });
+    const saved = sim.reply('scene').scene;
+    assert.equal(saved.params.ambientTemp, 5);
+
+    const copy = solverWith(saved);
+    assert.deepEqual(Array.from(temperatures(copy)), doc.particles.temperature);
+    assert.equal(copy.run('AMBIENT_TEMP'), 5);
+});